@@ -4,40 +4,82 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const crypto = require('crypto');
-const dns = require('dns').promises;
-const net = require('net');
 const { createClient } = require('@supabase/supabase-js');
+const { loadJSON, saveJSON } = require('./lib/jsonfile');
+const {
+  createStore, VersionConflictError, toRevision, withoutContent, contentHash, lastChecked, isExpired, LIST_SORTS,
+  GROWTH_INTERVALS, sortValue
+} = require('./lib/storage');
+const { makeSnippet } = require('./lib/search');
+const { extractDocument } = require('./lib/extract');
+const { MAX_DOCUMENT_LENGTH, documentChunks, selectContent, bestChunk } = require('./lib/documents');
+const { createEmbedder } = require('./lib/embeddings');
+const { createVectorIndex } = require('./lib/vectors');
+const { createSummarizer } = require('./lib/summarizers');
+const { createSummaryIndex } = require('./lib/summaries');
+const { createAnswerer } = require('./lib/answerers');
+const { createQuestionAnswering } = require('./lib/answers');
+const { createTrust } = require('./lib/trust');
+const { generateApiKey, hashApiKey, bearerToken, createTokenResolver } = require('./lib/auth');
+const { createRefresher } = require('./lib/refresher');
+const { createSweeper } = require('./lib/sweeper');
+const { createRetention, parseDuration } = require('./lib/retention');
+const { createJobQueue } = require('./lib/jobs');
+const { createFetchGuard } = require('./lib/ssrf');
+const { parseRate, createRateLimiter } = require('./lib/ratelimit');
+const { createQuota, QuotaExceededError } = require('./lib/quota');
+const { createCrawlPolicy, CrawlPolicyError, domainList } = require('./lib/crawl-policy');
+const { createChangeFeed, parseFilter, matchesFilter } = require('./lib/events');
+const { createWebhookDispatcher, generateSecret } = require('./lib/webhooks');
+const {
+  createNamespaces, NamespaceAccessError, validName, VISIBILITIES, SEPARATOR
+} = require('./lib/namespaces');
+const { exportRecords, toMarkdown, markdownPath, parseImport, importRecords, IMPORT_STRATEGIES } = require('./lib/transfer');
+const { createZipWriter } = require('./lib/zip');
+const { canonicalUrl, urlIdentity, sameUrl, urlVariants, declaredCanonical } = require('./lib/urls');
+const { distance, clusters, MIN_CONTENT_LENGTH } = require('./lib/simhash');
+const {
+  ApiError, badRequest, unauthorized, forbidden, notFound, describeError, errorBody
+} = require('./lib/errors');
 
 const app = express();
 app.use(express.json({ limit: '5mb' }));
+// ETags carry entry versions (see etag()); don't let Express hash bodies into its own
+app.set('etag', false);
+// Behind a proxy (Render, Railway...) client IPs come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
 
 // Persistent storage directory
 const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'memory');
 const AGENTS_FILE = path.join(STORAGE_DIR, 'agents.json');
-const MEMORY_FILE = path.join(STORAGE_DIR, 'shared-memory.json');
+const RETIRED_AGENTS_FILE = path.join(STORAGE_DIR, 'retired-agents.json');
+const NAMESPACES_FILE = path.join(STORAGE_DIR, 'namespaces.json');
 
 // Ensure storage exists
 if (!fs.existsSync(STORAGE_DIR)) {
   fs.mkdirSync(STORAGE_DIR, { recursive: true });
 }
 
-// Load/save helpers
-function loadJSON(file, defaultVal = {}) {
-  try {
-    return JSON.parse(fs.readFileSync(file, 'utf8'));
-  } catch { return defaultVal; }
-}
-
-function saveJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
-
-// In-memory state (persisted to disk) — used when Supabase is not configured
+// In-memory agent registry (persisted to disk)
 let registeredAgents = loadJSON(AGENTS_FILE, {});
-let sharedMemory = loadJSON(MEMORY_FILE, {});
 
 function persistAgents() { saveJSON(AGENTS_FILE, registeredAgents); }
-function persistMemory() { saveJSON(MEMORY_FILE, sharedMemory); }
+
+// Names of deregistered agents: { [username]: { deregisteredAt } }. Their
+// entries still carry the name as storedBy, so it is never handed out again.
+let retiredAgents = loadJSON(RETIRED_AGENTS_FILE, {});
+
+function persistRetiredAgents() { saveJSON(RETIRED_AGENTS_FILE, retiredAgents); }
+
+// Namespace registry (persisted to disk): { [name]: { visibility, owner, members, createdAt } }
+let namespaceRegistry = loadJSON(NAMESPACES_FILE, {});
+
+function persistNamespaces() { saveJSON(NAMESPACES_FILE, namespaceRegistry); }
+
+const spaces = createNamespaces({ namespaces: () => namespaceRegistry });
 
 // Supabase (optional persistent storage)
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -46,224 +88,403 @@ const supabase = (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY)
   ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
   : null;
 
-function tagsToText(tags) {
-  if (!Array.isArray(tags)) return '';
-  return tags.map(t => String(t)).join(',');
-}
+// Memory store: disk (default), sqlite, or supabase (default when configured)
+const store = createStore({
+  backend: process.env.STORAGE_BACKEND,
+  storageDir: STORAGE_DIR,
+  sqliteFile: process.env.SQLITE_FILE,
+  supabase,
+  disk: {
+    compactBytes: Number(process.env.DISK_COMPACT_MB || 16) * 1024 * 1024,
+    accessFlushMs: Number(process.env.ACCESS_FLUSH_MS || 5000)
+  }
+});
+
+// Similarity index: EMBEDDER = hashing (offline default) | http | off
+const embedder = createEmbedder({
+  kind: process.env.EMBEDDER || 'hashing',
+  dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 256,
+  url: process.env.EMBEDDINGS_URL,
+  apiKey: process.env.EMBEDDINGS_API_KEY,
+  model: process.env.EMBEDDINGS_MODEL
+});
+const vectors = embedder ? createVectorIndex({ store, embedder }) : null;
 
-async function dbUpsertMemory(entry) {
-  const { data, error } = await supabase
-    .from('memories')
-    .upsert(entry, { onConflict: 'key' })
-    .select('key')
-    .single();
-  if (error) throw new Error(error.message);
-  return data.key;
+// Entry summaries and digests: SUMMARIZER = extractive (offline default) | http | off
+const summarizer = createSummarizer({
+  kind: process.env.SUMMARIZER || 'extractive',
+  url: process.env.SUMMARIZER_URL,
+  apiKey: process.env.SUMMARIZER_API_KEY,
+  model: process.env.SUMMARIZER_MODEL,
+  maxInputChars: parseInt(process.env.SUMMARIZER_MAX_INPUT_CHARS, 10) || undefined
+});
+const summaries = summarizer ? createSummaryIndex({ store, summarizer }) : null;
+
+// Question answering (`ask`): ANSWERER = extractive (offline default) | http | off
+const answerer = createAnswerer({
+  kind: process.env.ANSWERER || 'extractive',
+  url: process.env.ANSWERER_URL,
+  apiKey: process.env.ANSWERER_API_KEY,
+  model: process.env.ANSWERER_MODEL
+});
+const answers = answerer ? createQuestionAnswering({ store, vectors, answerer }) : null;
+
+// Votes, flags, reputations and the trust ranking built on them
+const FLAGS_TO_HIDE = Math.max(Number(process.env.FLAGS_TO_HIDE ?? 2), 1);
+const trust = createTrust({
+  store,
+  agents: () => registeredAgents,
+  minVoterAgeMs: Number(process.env.VOTE_MIN_AGE_HOURS ?? 24) * 3600 * 1000,
+  minVoterContributions: Number(process.env.VOTE_MIN_CONTRIBUTIONS ?? 3),
+  flagsToHide: FLAGS_TO_HIDE
+});
+
+// Default expiry by tag (RETENTION_POLICIES="scratch=1d,prices=6h")
+const retention = createRetention({ policies: process.env.RETENTION_POLICIES });
+
+// Change feed behind /api/memory/stream and webhooks
+const changes = createChangeFeed({ historySize: Number(process.env.CHANGE_HISTORY_SIZE || 1000) });
+
+// Write an entry as a new version, with its provenance and retention, and
+// do the bookkeeping every write needs (quota, change feed, index, summary)
+async function saveEntry(entry, { ifVersion } = {}) {
+  if (entry.expiresAt === undefined) entry.expiresAt = retention.expiryFor(entry.tags, entry.storedAt);
+  entry.provenance = {
+    method: null,
+    sourceUrl: entry.url ?? null,
+    fetchedUrl: null,
+    fetchedAt: null,
+    httpStatus: null,
+    extractor: null,
+    ...entry.provenance,
+    contentHash: contentHash(entry.content)
+  };
+  const saved = await store.upsert(entry, { ifVersion });
+  trust.invalidate();
+  if (quota.record(entry.storedBy, entry.content.length)) persistAgents();
+  changes.publish(saved.version === 1 ? 'created' : 'updated', entry, { version: saved.version });
+  if (vectors) {
+    try {
+      await vectors.index(entry);
+    } catch (e) {
+      console.error(`Embedding failed for ${entry.key}:`, e.message);
+    }
+  }
+  if (summaries) {
+    summaries.update(entry).catch(e => console.error(`Summary failed for ${entry.key}:`, e.message));
+  }
+  return saved;
 }
 
-async function dbGetMemory(key) {
-  const { data, error } = await supabase
-    .from('memories')
-    .select('*')
-    .eq('key', key)
-    .single();
-  if (error) return null;
-  return data;
+// What each author's versions of an entry count against their quota:
+// Map username -> { versions, characters }. An entry not rewritten since
+// versioning was introduced has no revisions and counts as one version.
+async function quotaShares(entry) {
+  const shares = new Map();
+  const add = (username, characters) => {
+    const share = shares.get(username) || { versions: 0, characters: 0 };
+    share.versions++;
+    share.characters += characters;
+    shares.set(username, share);
+  };
+  const PAGE = 100;
+  for (let offset = 0; ; offset += PAGE) {
+    const page = await store.history(entry.key, { limit: PAGE, offset });
+    for (const rev of page) add(rev.storedBy, rev.contentLength || 0);
+    if (page.length < PAGE) break;
+  }
+  if (!shares.size) add(entry.storedBy, (entry.content || '').length);
+  return shares;
 }
 
-async function dbIncrementAccess(key) {
-  // Do a best-effort increment; avoid failing the whole request if it errors.
-  try {
-    const { data } = await supabase.from('memories').select('access_count').eq('key', key).single();
-    const current = (data?.access_count ?? 0);
-    await supabase.from('memories').update({ access_count: current + 1 }).eq('key', key);
-  } catch {}
+// Delete an entry with its history, give every version's author that quota
+// back and announce it
+async function removeEntry(entry) {
+  const shares = await quotaShares(entry);
+  await store.delete(entry.key);
+  trust.invalidate();
+  let released = false;
+  for (const [username, { versions, characters }] of shares) {
+    if (quota.release(username, characters, versions)) released = true;
+  }
+  if (released) persistAgents();
+  changes.publish('deleted', entry);
 }
 
-async function dbSearch(query) {
-  const q = String(query || '').toLowerCase();
-  const or = [
-    `key.ilike.%${q}%`,
-    `title.ilike.%${q}%`,
-    `content.ilike.%${q}%`,
-    `tags_text.ilike.%${q}%`
-  ].join(',');
-
-  const { data, error } = await supabase
-    .from('memories')
-    .select('key,title,url,content,stored_by,stored_at,access_count')
-    .or(or)
-    .order('stored_at', { ascending: false })
-    .limit(10);
-  if (error) throw new Error(error.message);
-
-  return (data || []).map(v => ({
-    key: v.key,
-    title: v.title,
-    preview: (v.content || '').slice(0, 200),
-    storedBy: v.stored_by,
-    storedAt: v.stored_at,
-    accessCount: v.access_count
-  }));
-}
-
-async function dbList() {
-  const { data, error } = await supabase
-    .from('memories')
-    .select('key,title,url,content_length,stored_by,stored_at,access_count')
-    .order('stored_at', { ascending: false })
-    .limit(50);
-  if (error) throw new Error(error.message);
-
-  return (data || []).map(v => ({
-    key: v.key,
-    title: v.title,
-    url: v.url,
-    contentLength: v.content_length,
-    storedBy: v.stored_by,
-    storedAt: v.stored_at,
-    accessCount: v.access_count
-  }));
-}
-
-async function dbStats() {
-  const { count, error: countErr } = await supabase
-    .from('memories')
-    .select('*', { count: 'exact', head: true });
-  if (countErr) throw new Error(countErr.message);
-
-  // Total characters (approx) via summing content_length is easiest
-  const { data, error } = await supabase
-    .from('memories')
-    .select('content_length,stored_by');
-  if (error) throw new Error(error.message);
-
-  const totalCharacters = (data || []).reduce((s, r) => s + (r.content_length || 0), 0);
-  const uniqueContributors = new Set((data || []).map(r => r.stored_by)).size;
-
-  return { totalEntries: count || 0, totalCharacters, uniqueContributors };
-}
-
-async function dbDelete(key, agent) {
-  // Verify ownership first
-  const existing = await dbGetMemory(key);
-  if (!existing) return { ok: false, error: 'Key not found' };
-  if (existing.stored_by !== agent && agent !== 'admin') return { ok: false, error: 'Can only delete your own entries' };
-
-  const { error } = await supabase.from('memories').delete().eq('key', key);
-  if (error) return { ok: false, error: error.message };
-  return { ok: true };
+// A specific revision of an entry. Entries never rewritten since versioning
+// was introduced have no stored revisions, so their current state is version 1.
+async function loadRevision(key, version) {
+  const rev = await store.getRevision(key, version);
+  if (rev) return rev;
+  const entry = await store.get(key);
+  return entry && entry.version === Number(version) ? toRevision(entry) : null;
 }
 
-// --- SSRF / safety helpers ---
+// --- Authentication ---
 
-function isPrivateIp(ip) {
-  // IPv4
-  if (net.isIP(ip) === 4) {
-    const parts = ip.split('.').map(Number);
-    const [a, b] = parts;
-    if (a === 10) return true;
-    if (a === 127) return true;
-    if (a === 0) return true;
-    if (a === 169 && b === 254) return true; // link-local
-    if (a === 172 && b >= 16 && b <= 31) return true;
-    if (a === 192 && b === 168) return true;
-    return false;
-  }
+// Bearer API keys issued at registration. Admins are agents listed in
+// ADMIN_AGENTS, or whoever holds the operator key in ADMIN_API_KEY.
+const ADMIN_AGENTS = (process.env.ADMIN_AGENTS || '').split(',').map(s => s.trim()).filter(Boolean);
+const resolveToken = createTokenResolver({
+  agents: () => registeredAgents,
+  adminKey: process.env.ADMIN_API_KEY,
+  adminAgents: ADMIN_AGENTS
+});
+const ALLOW_ANONYMOUS_WRITES = process.env.ALLOW_ANONYMOUS_WRITES === 'true';
+// Versions the background refresher re-crawls name it in provenance.refreshedBy
+const REFRESHER_USERNAME = 'refresher';
+const RESERVED_USERNAMES = new Set(['admin', 'anonymous', REFRESHER_USERNAME]);
 
-  // IPv6
-  if (net.isIP(ip) === 6) {
-    const normalized = ip.toLowerCase();
-    if (normalized === '::1') return true;
-    if (normalized.startsWith('fc') || normalized.startsWith('fd')) return true; // unique local
-    if (normalized.startsWith('fe80:')) return true; // link-local
-    return false;
+// Sets req.auth to { username, role } when a valid key is presented.
+// A key that is present but wrong is rejected outright.
+function authenticate(req, res, next) {
+  const token = bearerToken(req);
+  req.auth = null;
+  if (!token) return next();
+  req.auth = resolveToken(token);
+  if (!req.auth) {
+    if (req.path.startsWith('/api/v1/')) return sendError(res, unauthorized('Invalid API key'));
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
   }
+  next();
+}
+
+app.use(authenticate);
 
-  return true; // unknown -> treat as unsafe
+function issueApiKey(agentUsername) {
+  const apiKey = generateApiKey();
+  registeredAgents[agentUsername].apiKeyHash = hashApiKey(apiKey);
+  registeredAgents[agentUsername].apiKeyIssuedAt = new Date().toISOString();
+  persistAgents();
+  return apiKey;
 }
 
-async function assertPublicHttpUrl(input) {
-  let u;
+// Best-effort Supabase mirror of one agent (optional)
+async function mirrorAgent(agentUsername) {
+  if (!supabase) return;
+  const agent = registeredAgents[agentUsername];
   try {
-    u = new URL(input);
-  } catch {
-    throw new Error('Invalid URL');
-  }
+    if (!agent) {
+      const retired = retiredAgents[agentUsername];
+      if (!retired) {
+        await supabase.from('agents').delete().eq('agent_username', agentUsername);
+        return;
+      }
+      // Keep the row, keyless, so the name stays retired after a redeploy
+      await supabase.from('agents').upsert({
+        agent_username: agentUsername,
+        api_key_hash: null,
+        api_key_issued_at: null,
+        webhooks: [],
+        deregistered_at: retired.deregisteredAt
+      }, { onConflict: 'agent_username' });
+      return;
+    }
+    await supabase.from('agents').upsert({
+      agent_username: agentUsername,
+      agent_name: agent.name,
+      agent_facts_url: agent.factsUrl || null,
+      mode: agent.mode,
+      contributions: agent.contributions,
+      stored_characters: agent.storedCharacters || 0,
+      webhooks: agent.webhooks || [],
+      api_key_hash: agent.apiKeyHash || null,
+      api_key_issued_at: agent.apiKeyIssuedAt || null,
+      deregistered_at: null
+    }, { onConflict: 'agent_username' });
+  } catch {}
+}
 
-  if (!['http:', 'https:'].includes(u.protocol)) {
-    throw new Error('Only http/https URLs are allowed');
+// Agents from the Supabase mirror that this disk doesn't know about (e.g. after
+// a redeploy without a persistent volume), so their API keys keep working.
+async function loadAgentsFromSupabase() {
+  if (!supabase) return;
+  try {
+    const { data, error } = await supabase.from('agents').select('*');
+    if (error) throw new Error(error.message);
+    let restored = 0;
+    for (const row of data || []) {
+      if (registeredAgents[row.agent_username] || retiredAgents[row.agent_username]) continue;
+      if (row.deregistered_at) {
+        retiredAgents[row.agent_username] = { deregisteredAt: row.deregistered_at };
+        persistRetiredAgents();
+        continue;
+      }
+      registeredAgents[row.agent_username] = {
+        name: row.agent_name || row.agent_username,
+        factsUrl: row.agent_facts_url,
+        mode: row.mode || 'passive',
+        registeredAt: row.registered_at,
+        contributions: row.contributions || 0,
+        storedCharacters: row.stored_characters || 0,
+        webhooks: row.webhooks || [],
+        apiKeyHash: row.api_key_hash || undefined,
+        apiKeyIssuedAt: row.api_key_issued_at || undefined
+      };
+      restored++;
+    }
+    if (restored) {
+      persistAgents();
+      console.log(`Restored ${restored} agents from Supabase`);
+    }
+  } catch (e) {
+    console.error('Loading agents from Supabase failed:', e.message);
   }
+}
+
+// Best-effort Supabase mirror of one namespace (optional)
+async function mirrorNamespace(name) {
+  if (!supabase) return;
+  const ns = namespaceRegistry[name];
+  try {
+    if (!ns) {
+      await supabase.from('namespaces').delete().eq('name', name);
+      return;
+    }
+    await supabase.from('namespaces').upsert({
+      name,
+      visibility: ns.visibility,
+      owner: ns.owner,
+      members: ns.members || [],
+      created_at: ns.createdAt
+    }, { onConflict: 'name' });
+  } catch {}
+}
 
-  // Block obvious localhost names
-  const host = u.hostname.toLowerCase();
-  if (host === 'localhost' || host.endsWith('.localhost')) {
-    throw new Error('Refusing to fetch localhost');
+// Namespaces from the Supabase mirror that this disk doesn't know about
+async function loadNamespacesFromSupabase() {
+  if (!supabase) return;
+  try {
+    const { data, error } = await supabase.from('namespaces').select('*');
+    if (error) throw new Error(error.message);
+    let restored = 0;
+    for (const row of data || []) {
+      if (namespaceRegistry[row.name]) continue;
+      namespaceRegistry[row.name] = {
+        visibility: row.visibility,
+        owner: row.owner,
+        members: row.members || [],
+        createdAt: row.created_at
+      };
+      restored++;
+    }
+    if (restored) {
+      persistNamespaces();
+      console.log(`Restored ${restored} namespaces from Supabase`);
+    }
+  } catch (e) {
+    console.error('Loading namespaces from Supabase failed:', e.message);
   }
+}
 
-  // If user passed a raw IP, check it directly
-  if (net.isIP(host)) {
-    if (isPrivateIp(host)) throw new Error('Refusing to fetch private-network IP');
-    return u;
+// The agent an agent-management call applies to: yourself, or anyone for admins.
+function targetAgent(req) {
+  if (!req.auth) return { error: 'API key required', status: 401 };
+  const target = req.body.agentUsername || req.auth.username;
+  if (target !== req.auth.username && req.auth.role !== 'admin') {
+    return { error: 'Can only manage your own agent', status: 403 };
   }
+  if (!registeredAgents[target]) return { error: `Agent "${target}" not registered`, status: 404 };
+  return { target };
+}
 
-  // Resolve DNS and block private results
-  const addrs = await dns.lookup(host, { all: true, verbatim: true });
-  for (const a of addrs) {
-    if (isPrivateIp(a.address)) {
-      throw new Error('Refusing to fetch a hostname that resolves to a private-network IP');
+// --- SSRF / safety helpers ---
+
+const fetchGuard = createFetchGuard({
+  allowedPorts: process.env.FETCH_ALLOWED_PORTS
+    ? process.env.FETCH_ALLOWED_PORTS.split(',').map(Number)
+    : undefined
+});
+
+// --- Crawl policy ---
+
+// robots.txt groups are matched on the product token of the User-Agent
+const USER_AGENT = 'SharedMemory/1.0 (Join39 App)';
+const ROBOTS_PRODUCT_TOKEN = 'SharedMemory';
+
+const crawlPolicy = createCrawlPolicy({
+  productToken: ROBOTS_PRODUCT_TOKEN,
+  fetchRobots: async (robotsUrl) => {
+    try {
+      const { body } = await fetchURL(robotsUrl, { robots: true });
+      return { status: 200, text: body.toString('utf8') };
+    } catch (e) {
+      if (e.status) return { status: e.status, text: '' };
+      throw e;
     }
-  }
+  },
+  allowDomains: domainList(process.env.CRAWL_ALLOW_DOMAINS),
+  denyDomains: domainList(process.env.CRAWL_DENY_DOMAINS),
+  respectRobots: process.env.RESPECT_ROBOTS_TXT !== 'false',
+  cacheMs: Number(process.env.ROBOTS_CACHE_HOURS || 24) * 3600 * 1000,
+  maxDelayMs: Number(process.env.CRAWL_MAX_DELAY_SECONDS ?? 30) * 1000
+});
 
-  return u;
-}
+// Fetch a URL's raw bytes and Content-Type, within redirect and size limits,
+// conditionally when given an earlier etag / lastModified ({ notModified: true })
+const MAX_BYTES = 1024 * 1024; // 1MB fetch cap
+const MAX_PDF_BYTES = 20 * 1024 * 1024; // papers run larger than web pages
 
-// Fetch URL content (basic "curl"), with redirect + size limits.
-async function fetchURL(url, redirectCount = 0) {
+async function fetchURL(url, { etag, lastModified, robots = false } = {}, redirectCount = 0) {
   if (redirectCount > 5) throw new Error('Too many redirects');
 
-  const u = await assertPublicHttpUrl(url);
+  const u = fetchGuard.assertPublicHttpUrl(url);
+  if (robots) crawlPolicy.checkDomain(u);
+  else await crawlPolicy.check(u);
   const client = u.protocol === 'https:' ? https : http;
 
   return new Promise((resolve, reject) => {
     const req = client.get(u, {
       headers: {
-        'User-Agent': 'SharedMemory/1.0 (Join39 App)',
-        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/pdf,application/json,' +
+          'application/rss+xml,application/atom+xml,text/plain;q=0.9,*/*;q=0.8',
+        ...(etag ? { 'If-None-Match': etag } : {}),
+        ...(lastModified ? { 'If-Modified-Since': lastModified } : {})
       },
+      // Resolve and vet in one step, so the connection uses the checked address
+      lookup: fetchGuard.safeLookup,
       timeout: 15000
     }, async (res) => {
       try {
         const status = res.statusCode || 0;
         if ([301, 302, 303, 307, 308].includes(status)) {
+          res.resume();
           const loc = res.headers.location;
           if (!loc) return reject(new Error('Redirect with no location'));
           const next = new URL(loc, u).toString();
-          return resolve(await fetchURL(next, redirectCount + 1));
+          return resolve(await fetchURL(next, { etag, lastModified, robots }, redirectCount + 1));
+        }
+        if (status === 304) {
+          res.resume();
+          return resolve({ url: u.toString(), notModified: true });
         }
         if (status !== 200) {
-          return reject(new Error(`HTTP ${status}`));
+          res.resume();
+          return reject(Object.assign(new Error(`HTTP ${status}`), { status }));
         }
 
         const contentType = String(res.headers['content-type'] || '');
-        if (!contentType.includes('text/html') && !contentType.includes('text/plain') && !contentType.includes('application/xhtml+xml')) {
-          // Still allow, but extraction might be garbage.
-          // Rejecting would be safer; keeping permissive for Join39 demo.
-        }
-
-        const MAX_BYTES = 1024 * 1024; // 1MB fetch cap
+        const maxBytes = /pdf/i.test(contentType) ? MAX_PDF_BYTES : MAX_BYTES;
         let bytes = 0;
-        let data = '';
+        const chunks = [];
 
         res.on('data', (chunk) => {
           bytes += chunk.length;
-          if (bytes > MAX_BYTES) {
+          if (bytes > maxBytes) {
             req.destroy(new Error('Response too large'));
             return;
           }
-          data += chunk.toString('utf8');
+          chunks.push(chunk);
         });
-        res.on('end', () => resolve(data));
+        res.on('end', () => resolve({
+          url: u.toString(),
+          contentType,
+          status,
+          body: Buffer.concat(chunks),
+          etag: res.headers.etag || null,
+          lastModified: res.headers['last-modified'] || null
+        }));
       } catch (e) {
         reject(e);
       }
@@ -276,449 +497,2265 @@ async function fetchURL(url, redirectCount = 0) {
   });
 }
 
-// Extract text content from HTML
-function extractText(html) {
-  return html
-    // Remove scripts, styles, comments
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-    .replace(/<!--[\s\S]*?-->/g, '')
-    // Convert common elements
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<\/p>/gi, '\n\n')
-    .replace(/<\/div>/gi, '\n')
-    .replace(/<\/h[1-6]>/gi, '\n\n')
-    .replace(/<li>/gi, '• ')
-    .replace(/<\/li>/gi, '\n')
-    // Remove remaining tags
-    .replace(/<[^>]+>/g, '')
-    // Decode entities
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    // Clean up whitespace
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    .trim()
-    .slice(0, 50000); // Limit size
-}
-
-// Generate a key from URL
+// Generate a key from URL. Spellings of the same page (scheme, "www.",
+// trailing slash, tracking parameters) get the same key.
 function urlToKey(url) {
-  const hash = crypto.createHash('md5').update(url).digest('hex').slice(0, 8);
-  const domain = url.replace(/^https?:\/\//, '').split('/')[0].replace(/\./g, '_');
+  const identity = urlIdentity(url);
+  const hash = crypto.createHash('md5').update(identity).digest('hex').slice(0, 8);
+  const domain = identity.split('/')[0].replace(/\./g, '_');
   return `${domain}_${hash}`;
 }
 
+// Key of the entry already stored from `url` (in any spelling) in namespace
+// `space` (null for the commons), so a page is scraped into one entry even
+// when it was first stored under an older key scheme.
+async function keyForUrl(url, space) {
+  const found = await store.keysForUrls(urlVariants(url));
+  const match = found.find(r => spaces.namespaceOf(r.key) === space);
+  return match ? match.key : null;
+}
+
+// Exact dedupe: another entry in `key`'s namespace with identical content, or null
+async function findDuplicate(key, content) {
+  if (!content.trim()) return null;
+  const space = spaces.namespaceOf(key);
+  const match = (await store.keysForContent(contentHash(content))).find(k => k !== key && spaces.namespaceOf(k) === space);
+  const entry = match ? await store.get(match) : null;
+  return entry && !isExpired(entry, new Date().toISOString()) ? entry : null;
+}
+
+// --- Scraping & refresh ---
+
+function sameTags(a, b) {
+  return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+}
+
+// Fetch `url` into `key`, conditionally when the key already holds it; an
+// unchanged page only updates the crawl state. Resolves to the entry plus
+// `changed`, or to an existing copy of the page with `duplicateOf` set.
+async function crawlUrl({
+  key, url, title, tags, author, refreshedBy, ifVersion, expiresAt, autoKey = false, allowDuplicate = false
+}) {
+  const requested = url;
+  const checkedAt = new Date().toISOString();
+  const stored = await store.get(key);
+  const existing = stored && !isExpired(stored, checkedAt) ? stored : null;
+  let previous = existing && sameUrl(existing.url, url) ? existing : null;
+  const validators = (previous && previous.crawl) || {};
+
+  let fetched;
+  try {
+    fetched = await fetchURL(url, validators);
+  } catch (e) {
+    if (previous) await store.setCrawl(key, { ...validators, checkedAt, status: 'failed', error: e.message });
+    throw e;
+  }
+
+  if (fetched.notModified) {
+    const crawl = { etag: validators.etag, lastModified: validators.lastModified, checkedAt, status: 'not_modified' };
+    await store.setCrawl(key, crawl);
+    return { ...(await keepWithExpiry(previous, expiresAt)), crawl, changed: false };
+  }
+
+  const { text, metadata, contentType, truncated, links, extractor } = await extractDocument(fetched);
+  const canonical = declaredCanonical(url, metadata.canonicalUrl);
+  if (canonical && !sameUrl(canonical, url)) {
+    const original = autoKey && !allowDuplicate ? await keyForUrl(canonical, spaces.namespaceOf(key)) : null;
+    if (original && original !== key) {
+      return { ...(await store.get(original)), changed: false, duplicateOf: original };
+    }
+    url = canonical;
+    previous = existing && sameUrl(existing.url, url) ? existing : null;
+  }
+  if (!existing && !allowDuplicate) {
+    const duplicate = await findDuplicate(key, text);
+    if (duplicate) return { ...duplicate, truncated, changed: false, duplicateOf: duplicate.key };
+  }
+
+  const crawl = { etag: fetched.etag, lastModified: fetched.lastModified, checkedAt };
+  const unchanged = previous && previous.contentHash === contentHash(text) &&
+    (!title || title === previous.title) && (!tags || sameTags(tags, previous.tags));
+  if (unchanged) {
+    crawl.status = 'unchanged';
+    await store.setCrawl(key, crawl);
+    const linked = await linkStoredPages(key, links, author);
+    return { ...(await keepWithExpiry(previous, expiresAt)), crawl, truncated, linked, changed: false };
+  }
+
+  const entry = {
+    key,
+    url,
+    title: title || metadata.title || url,
+    content: text,
+    contentType,
+    metadata,
+    tags: tags || [],
+    storedBy: author,
+    storedAt: checkedAt,
+    expiresAt,
+    crawl: { ...crawl, status: 'changed' },
+    provenance: {
+      method: refreshedBy ? 'refresh' : 'scrape',
+      ...(refreshedBy ? { refreshedBy } : {}),
+      sourceUrl: requested,
+      fetchedUrl: fetched.url,
+      fetchedAt: checkedAt,
+      httpStatus: fetched.status,
+      extractor
+    }
+  };
+  const saved = await saveEntry(entry, { ifVersion });
+  const linked = await linkStoredPages(key, links, author);
+  return { ...entry, contentLength: text.length, version: saved.version, truncated, linked, changed: true };
+}
+
+// `entry` with its expiry moved to `expiresAt`, when one is given
+async function keepWithExpiry(entry, expiresAt) {
+  if (expiresAt === undefined || expiresAt === entry.expiresAt) return entry;
+  await store.setRetention(entry.key, { expiresAt });
+  return { ...entry, expiresAt };
+}
+
+// Point `key`'s automatic links_to links at the stored entries among the
+// page's outbound links. Resolves to how many it found; a failure here
+// doesn't fail the scrape.
+async function linkStoredPages(key, links, author) {
+  try {
+    const urls = [...new Set([...links, ...links.map(canonicalUrl)])];
+    const targets = [...new Set((await store.keysForUrls(urls)).map(r => r.key))].filter(k => k !== key);
+    await store.setAutoLinks(key, targets, { createdBy: author, createdAt: new Date().toISOString() });
+    return targets.length;
+  } catch (e) {
+    console.error(`Linking ${key} failed:`, e.message);
+    return undefined;
+  }
+}
+
+// Re-crawl a stored URL entry on behalf of `author`, keeping its title, tags,
+// expiry and storedBy: refreshing an entry doesn't make it the refresher's.
+async function refreshEntry(key, { author, ifVersion } = {}) {
+  const entry = await store.get(key);
+  if (!entry) throw new Error(`Key "${key}" not found`);
+  if (!entry.url) throw new Error(`"${key}" has no URL to refresh`);
+  return crawlUrl({
+    key,
+    url: entry.url,
+    title: entry.title,
+    tags: entry.tags,
+    author: entry.storedBy,
+    refreshedBy: author,
+    ifVersion,
+    expiresAt: entry.expiresAt ?? null
+  });
+}
+
+// Response body for scrape/refresh
+function crawlResponse(result, { cached = false } = {}) {
+  const text = result.content || '';
+  return {
+    success: true,
+    key: result.key,
+    version: result.version,
+    title: result.title,
+    contentType: result.contentType || null,
+    metadata: result.metadata || null,
+    changed: result.changed,
+    duplicateOf: result.duplicateOf,
+    cached,
+    linked: result.linked,
+    checkedAt: lastChecked(result),
+    expiresAt: result.expiresAt ?? null,
+    pinned: Boolean(result.pinned),
+    contentLength: text.length,
+    truncated: result.truncated ?? text.length >= MAX_DOCUMENT_LENGTH,
+    totalChunks: documentChunks(text).length,
+    preview: text.slice(0, 500) + (text.length > 500 ? '...' : ''),
+    message: cached
+      ? `"${result.key}" is fresh (checked ${lastChecked(result)}); not fetched`
+      : result.duplicateOf
+        ? `Already stored as "${result.duplicateOf}"; use that key (pass allowDuplicate to store a copy)`
+        : result.changed
+        ? `Stored ${text.length} chars as "${result.key}" (version ${result.version})`
+        : `"${result.key}" unchanged since version ${result.version}`
+  };
+}
+
+function parseMaxAge(value) {
+  if (value === undefined) return undefined;
+  const maxAge = Number(value);
+  if (!Number.isFinite(maxAge) || maxAge < 0) throw badRequest('maxAge must be a non-negative number of seconds');
+  return maxAge;
+}
+
+// A write's own expiry, from `ttl` (seconds, or a duration like "6h" or
+// "7d") or `expiresAt` (a future date), as an ISO date; undefined when it
+// has neither, leaving it to the retention policy of the entry's tags
+function parseExpiry({ ttl, expiresAt }) {
+  if (ttl != null && expiresAt != null) throw badRequest('Pass ttl or expiresAt, not both');
+  if (ttl != null) {
+    const ms = parseDuration(ttl);
+    if (!ms) throw badRequest('ttl must be a positive number of seconds or a duration like "30m", "6h" or "7d"');
+    return new Date(Date.now() + ms).toISOString();
+  }
+  if (expiresAt != null) {
+    const at = typeof expiresAt === 'string' ? Date.parse(expiresAt) : NaN;
+    if (isNaN(at)) throw badRequest('expiresAt must be a date, like "2030-01-31T12:00:00Z"');
+    if (at <= Date.now()) throw badRequest('expiresAt must be in the future');
+    return new Date(at).toISOString();
+  }
+  return undefined;
+}
+
+// Scrape `url` into `key` and build the response. With `maxAge` (seconds), an
+// entry for the same URL checked that recently is returned without fetching.
+async function scrapeUrl({ key, url, title, tags, author, ifVersion, expiresAt, maxAge, autoKey, allowDuplicate }) {
+  if (maxAge !== undefined) {
+    const cached = await store.get(key);
+    if (cached && sameUrl(cached.url, url) && !isExpired(cached, new Date().toISOString()) &&
+        Date.now() - Date.parse(lastChecked(cached)) <= maxAge * 1000) {
+      return crawlResponse({ ...(await keepWithExpiry(cached, expiresAt)), changed: false }, { cached: true });
+    }
+  }
+
+  console.log(`Scraping: ${url}`);
+  return crawlResponse(await crawlUrl({ key, url, title, tags, author, ifVersion, expiresAt, autoKey, allowDuplicate }));
+}
+
+// --- Scrape queue ---
+
+// Every outbound scrape goes through this pool: requests a client waits on
+// jump the queue, background jobs (async scrapes, batches, the refresher)
+// are retried on transient errors.
+const jobs = createJobQueue({
+  concurrency: Number(process.env.SCRAPE_CONCURRENCY || 4),
+  perHost: Number(process.env.SCRAPE_PER_HOST || 1),
+  hostDelayMs: Number(process.env.SCRAPE_HOST_DELAY_MS ?? 1000),
+  delayFor: host => crawlPolicy.crawlDelay(host),
+  retries: Number(process.env.SCRAPE_RETRIES ?? 2),
+  backoffMs: Number(process.env.SCRAPE_RETRY_BACKOFF_MS || 2000),
+  maxQueued: Number(process.env.SCRAPE_MAX_QUEUED || 1000)
+});
+const MAX_BATCH_URLS = 100;
+
+function submitScrape(scrape) {
+  return jobs.submit(() => scrapeUrl(scrape), {
+    url: scrape.url,
+    info: { type: 'scrape', key: scrape.key, namespace: spaces.namespaceOf(scrape.key), requestedBy: scrape.author }
+  });
+}
+
+// Job `id` if `caller` may see it: one they (or, for anonymous jobs, anyone)
+// queued, in a namespace they can still read. Admins see every job.
+function readableJob(caller, id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  const mine = job.requestedBy === 'anonymous' ||
+    (caller && (caller.role === 'admin' || job.requestedBy === caller.username));
+  return mine && spaces.canRead(caller, job.namespace) ? job : null;
+}
+
+function jobResponse(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    key: job.key,
+    url: job.url,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+}
+
+// Version the caller expects to overwrite: `ifVersion` in the body, or the
+// ETag from a previous read in an If-Match header. Undefined = unconditional.
+function expectedVersion(req) {
+  return parseVersion(req.body.ifVersion ?? ifMatch(req));
+}
+
+// REST writes take their precondition from headers only: If-Match as above,
+// or "If-None-Match: *" to create the key but never replace it (version 0)
+function precondition(req) {
+  if ((req.headers['if-none-match'] || '').trim() === '*') return 0;
+  return parseVersion(ifMatch(req));
+}
+
+function ifMatch(req) {
+  return (req.headers['if-match'] || '').replace(/^W\//, '').replace(/"/g, '');
+}
+
+function parseVersion(raw) {
+  if (raw === '' || raw === '*') return undefined;
+  const v = Number(raw);
+  if (!Number.isInteger(v) || v < 0) throw badRequest('ifVersion / If-Match must be a non-negative integer version');
+  return v;
+}
+
+function etag(version) {
+  return `"${version}"`;
+}
+
+// limit/offset from a request body, clamped to sane bounds
+function parsePaging(body, { defaultLimit, maxLimit }) {
+  const limit = Math.min(Math.max(parseInt(body.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(body.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Search filters from a request body; dates are normalized to ISO strings
+function parseSearchFilters(body) {
+  const filters = {};
+  if (body.tags !== undefined) {
+    filters.tags = (Array.isArray(body.tags) ? body.tags : [body.tags]).map(String).filter(Boolean);
+  }
+  if (body.storedBy) filters.storedBy = String(body.storedBy);
+  if (body.domain) filters.domain = String(body.domain);
+  for (const field of ['since', 'until']) {
+    if (!body[field]) continue;
+    const d = new Date(body[field]);
+    if (isNaN(d)) throw badRequest(`Invalid ${field} date: ${body[field]}`);
+    filters[field] = d.toISOString();
+  }
+  return filters;
+}
+
 // ============ JOIN39 EXPERIENCE ENDPOINTS ============
 
-// Agent registration webhook
+// Agent registration webhook. Issues the agent's API key; it is only ever
+// returned here (and by rotate-key), so the agent must keep it.
 app.post('/api/agents/register', async (req, res) => {
+  const refused = takeRate(req, 'register');
+  if (refused) {
+    if (refused.retryAfter !== undefined) res.set('Retry-After', String(refused.retryAfter));
+    return res.status(429).json({ success: false, ...refused });
+  }
   const { agentUsername, agentName, agentFactsUrl, mode } = req.body;
   
   if (!agentUsername) {
     return res.status(400).json({ success: false, error: 'agentUsername required' });
   }
+  if (RESERVED_USERNAMES.has(agentUsername)) {
+    return res.status(400).json({ success: false, error: `"${agentUsername}" is a reserved name` });
+  }
+  // Only an admin may bring a deregistered name back
+  const retired = retiredAgents[agentUsername];
+  if (retired && !(req.auth && req.auth.role === 'admin')) {
+    return res.status(409).json({
+      success: false,
+      error: `"${agentUsername}" was deregistered on ${retired.deregisteredAt.slice(0, 10)} and can't be registered again`
+    });
+  }
+
+  // A name that is taken, keyless (revoked) or not, is only re-registered by
+  // its agent or an admin, and only an admin registers an ADMIN_AGENTS name
+  const existing = registeredAgents[agentUsername];
+  const isAdmin = Boolean(req.auth && req.auth.role === 'admin');
+  if (existing && !isAdmin && !(req.auth && req.auth.username === agentUsername)) {
+    return res.status(409).json({
+      success: false,
+      error: existing.apiKeyHash
+        ? `Agent "${agentUsername}" is already registered; use /api/agents/rotate-key with its current key`
+        : `Agent "${agentUsername}" is already registered and its key was revoked; an admin must rotate it`
+    });
+  }
+  if (!existing && !isAdmin && ADMIN_AGENTS.includes(agentUsername)) {
+    return res.status(403).json({ success: false, error: `Only an admin may register "${agentUsername}"` });
+  }
   
   registeredAgents[agentUsername] = {
     name: agentName || agentUsername,
     factsUrl: agentFactsUrl,
     mode: mode || 'passive',
-    registeredAt: new Date().toISOString(),
-    contributions: 0
+    registeredAt: existing?.registeredAt || new Date().toISOString(),
+    contributions: existing?.contributions || 0,
+    storedCharacters: existing?.storedCharacters || 0,
+    webhooks: existing?.webhooks || [],
+    apiKeyHash: existing?.apiKeyHash,
+    apiKeyIssuedAt: existing?.apiKeyIssuedAt
   };
+  const apiKey = existing?.apiKeyHash ? undefined : issueApiKey(agentUsername);
   persistAgents();
-
-  // Best-effort Supabase mirror (optional)
-  if (supabase) {
-    try {
-      await supabase.from('agents').upsert({
-        agent_username: agentUsername,
-        agent_name: agentName || agentUsername,
-        agent_facts_url: agentFactsUrl || null,
-        mode: mode || 'passive'
-      }, { onConflict: 'agent_username' });
-    } catch {}
+  if (retired) {
+    delete retiredAgents[agentUsername];
+    persistRetiredAgents();
   }
+  await mirrorAgent(agentUsername);
   
   console.log(`Agent registered: ${agentUsername}`);
-  res.json({ success: true, message: `Welcome ${agentName || agentUsername}!` });
+  res.json({
+    success: true,
+    message: `Welcome ${agentName || agentUsername}!`,
+    ...(apiKey ? { apiKey, note: 'Send as "Authorization: Bearer <apiKey>". It is not shown again.' } : {})
+  });
 });
 
-// Agent deregistration
+// Agent deregistration (the agent itself or an admin)
 app.post('/api/agents/deregister', async (req, res) => {
-  const { agentUsername } = req.body;
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
   
-  if (registeredAgents[agentUsername]) {
-    delete registeredAgents[agentUsername];
-    persistAgents();
-    console.log(`Agent deregistered: ${agentUsername}`);
-  }
-
-  if (supabase && agentUsername) {
-    try {
-      await supabase.from('agents').delete().eq('agent_username', agentUsername);
-    } catch {}
+  // The name is retired rather than freed: whoever registered it next would
+  // inherit its author rights over the entries it stored
+  delete registeredAgents[target];
+  retiredAgents[target] = { deregisteredAt: new Date().toISOString() };
+  persistAgents();
+  persistRetiredAgents();
+  await mirrorAgent(target);
+  // An admin may reinstate the name later; it must not come back with its namespaces
+  for (const [name, ns] of Object.entries(namespaceRegistry)) {
+    if (ns.owner !== target && !(ns.members || []).includes(target)) continue;
+    ns.members = (ns.members || []).filter(m => m !== target);
+    if (ns.owner === target) ns.owner = null;
+    await mirrorNamespace(name);
   }
+  persistNamespaces();
+  console.log(`Agent deregistered: ${target}`);
   
   res.json({ success: true });
 });
 
-// ============ SHARED MEMORY API (for Join39 App calls) ============
+// Replace an agent's API key; the old one stops working immediately
+app.post('/api/agents/rotate-key', async (req, res) => {
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
 
-// Main endpoint - handles all actions
-app.post('/api/memory', async (req, res) => {
-  const { action, url, key, content, title, tags, agent } = req.body;
-  
+  const apiKey = issueApiKey(target);
+  await mirrorAgent(target);
+  console.log(`API key rotated: ${target}`);
+  res.json({ success: true, agentUsername: target, apiKey });
+});
+
+// Revoke an agent's API key without issuing a new one. The agent stays locked
+// out (it can't re-register either) until an admin rotates the key.
+app.post('/api/agents/revoke-key', async (req, res) => {
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
+
+  delete registeredAgents[target].apiKeyHash;
+  delete registeredAgents[target].apiKeyIssuedAt;
+  persistAgents();
+  await mirrorAgent(target);
+  console.log(`API key revoked: ${target}`);
+  res.json({ success: true, agentUsername: target });
+});
+
+// --- Webhooks ---
+
+// Each agent may subscribe a few URLs to the change feed. Subscriptions live
+// on the agent record as { id, url, secret, filter, createdAt }; the outcome
+// of the latest delivery is only kept in memory.
+const MAX_WEBHOOKS_PER_AGENT = Number(process.env.MAX_WEBHOOKS_PER_AGENT || 10);
+const webhookStatus = new Map(); // subscription id -> last delivery
+
+const webhooks = createWebhookDispatcher({
+  guard: fetchGuard,
+  userAgent: USER_AGENT,
+  retries: Number(process.env.WEBHOOK_RETRIES ?? 5),
+  backoffMs: Number(process.env.WEBHOOK_RETRY_BACKOFF_MS || 5000),
+  onResult: (subscription, result) => webhookStatus.set(subscription.id, result)
+});
+
+changes.subscribe(event => {
+  const space = spaces.namespaceOf(event.key);
+  for (const [username, agent] of Object.entries(registeredAgents)) {
+    // Only events the agent could read itself
+    const subscriber = { username, role: ADMIN_AGENTS.includes(username) ? 'admin' : 'agent' };
+    if (!spaces.canRead(subscriber, space)) continue;
+    for (const subscription of agent.webhooks || []) {
+      if (matchesFilter(event, subscription.filter)) webhooks.deliver(subscription, event);
+    }
+  }
+});
+
+// What the owner sees of a subscription: everything but the secret
+function webhookView({ secret, ...subscription }) {
+  return { ...subscription, lastDelivery: webhookStatus.get(subscription.id) || null };
+}
+
+// Subscribe a URL to the change feed. The signing secret is only returned here.
+app.post('/api/agents/webhooks', async (req, res) => {
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
+
+  const agent = registeredAgents[target];
+  agent.webhooks = agent.webhooks || [];
+  if (agent.webhooks.length >= MAX_WEBHOOKS_PER_AGENT) {
+    return res.status(409).json({ success: false, error: `At most ${MAX_WEBHOOKS_PER_AGENT} webhooks per agent` });
+  }
+  let filter;
   try {
-    switch (action) {
-      case 'scrape':
-      case 'store_url':
-        // Scrape a URL and store it
-        if (!url) {
-          return res.json({ success: false, error: 'url required' });
-        }
-        
-        console.log(`Scraping: ${url}`);
-        const html = await fetchURL(url);
-        const text = extractText(html);
-        const memKey = key || urlToKey(url);
-        
-        if (supabase) {
-          await dbUpsertMemory({
-            key: memKey,
-            url,
-            title: title || url,
-            content: text,
-            content_length: text.length,
-            tags: tags || [],
-            tags_text: tagsToText(tags || []),
-            stored_by: agent || 'anonymous',
-            stored_at: new Date().toISOString(),
-            access_count: 0
-          });
-        } else {
-          sharedMemory[memKey] = {
-            url,
-            title: title || url,
-            content: text,
-            contentLength: text.length,
-            tags: tags || [],
-            storedBy: agent || 'anonymous',
-            storedAt: new Date().toISOString(),
-            accessCount: 0
-          };
-          persistMemory();
+    if (!req.body.url) throw new Error('url required');
+    fetchGuard.assertPublicHttpUrl(req.body.url);
+    filter = parseFilter(req.body);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: e.message });
+  }
 
-          if (agent && registeredAgents[agent]) {
-            registeredAgents[agent].contributions++;
-            persistAgents();
-          }
-        }
-        
-        return res.json({
-          success: true,
-          key: memKey,
-          title: title || url,
-          contentLength: text.length,
-          preview: text.slice(0, 500) + (text.length > 500 ? '...' : ''),
-          message: `Stored ${text.length} chars as "${memKey}"`
-        });
-      
-      case 'store':
-      case 'store_text':
-        // Store raw text content
-        if (!content) {
-          return res.json({ success: false, error: 'content required' });
-        }
-        const textKey = key || `text_${Date.now()}`;
-        
-        const clipped = content.slice(0, 50000);
-        if (supabase) {
-          await dbUpsertMemory({
-            key: textKey,
-            url: null,
-            title: title || textKey,
-            content: clipped,
-            content_length: clipped.length,
-            tags: tags || [],
-            tags_text: tagsToText(tags || []),
-            stored_by: agent || 'anonymous',
-            stored_at: new Date().toISOString(),
-            access_count: 0
-          });
-        } else {
-          sharedMemory[textKey] = {
-            url: null,
-            title: title || textKey,
-            content: clipped,
-            contentLength: clipped.length,
-            tags: tags || [],
-            storedBy: agent || 'anonymous',
-            storedAt: new Date().toISOString(),
-            accessCount: 0
-          };
-          persistMemory();
-        }
-        
-        return res.json({
-          success: true,
-          key: textKey,
-          contentLength: clipped.length,
-          message: `Stored ${clipped.length} chars as "${textKey}"`
-        });
-      
-      case 'get':
-      case 'retrieve':
-        // Get content by key
-        if (!key) {
-          return res.json({ success: false, error: 'key required' });
-        }
-        
-        if (supabase) {
-          const entry = await dbGetMemory(key);
-          if (!entry) {
-            return res.json({ success: false, error: `Key "${key}" not found` });
-          }
-          await dbIncrementAccess(key);
-          return res.json({
-            success: true,
-            key,
-            title: entry.title,
-            url: entry.url,
-            content: entry.content,
-            contentLength: entry.content_length,
-            tags: entry.tags || [],
-            storedBy: entry.stored_by,
-            storedAt: entry.stored_at,
-            accessCount: (entry.access_count ?? 0) + 1
-          });
-        }
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: String(req.body.url),
+    secret: generateSecret(),
+    filter,
+    createdAt: new Date().toISOString()
+  };
+  agent.webhooks.push(subscription);
+  persistAgents();
+  await mirrorAgent(target);
+  console.log(`Webhook added for ${target}: ${subscription.url}`);
+  res.status(201).json({
+    success: true,
+    webhook: { ...webhookView(subscription), secret: subscription.secret },
+    note: 'Verify deliveries with the secret (see X-SharedMemory-Signature). It is not shown again.'
+  });
+});
 
-        const entry = sharedMemory[key];
-        if (!entry) {
-          return res.json({ 
-            success: false, 
-            error: `Key "${key}" not found`,
-            available: Object.keys(sharedMemory).slice(0, 20)
-          });
-        }
-        
-        entry.accessCount++;
-        persistMemory();
-        
-        return res.json({
-          success: true,
-          key,
-          title: entry.title,
+app.get('/api/agents/webhooks', (req, res) => {
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
+  res.json({ success: true, agentUsername: target, webhooks: (registeredAgents[target].webhooks || []).map(webhookView) });
+});
+
+app.delete('/api/agents/webhooks/:id', async (req, res) => {
+  const { target, error, status } = targetAgent(req);
+  if (error) return res.status(status).json({ success: false, error });
+
+  const agent = registeredAgents[target];
+  const before = (agent.webhooks || []).length;
+  agent.webhooks = (agent.webhooks || []).filter(w => w.id !== req.params.id);
+  if (agent.webhooks.length === before) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  webhookStatus.delete(req.params.id);
+  persistAgents();
+  await mirrorAgent(target);
+  res.json({ success: true });
+});
+
+// --- Namespaces ---
+
+// Member lists must name registered agents
+function unknownAgents(names) {
+  return names.filter(n => !registeredAgents[n]);
+}
+
+function memberList(value) {
+  return Array.isArray(value) ? [...new Set(value.map(String))] : [];
+}
+
+// Owner or admin
+function manageNamespace(req) {
+  if (!req.auth) return { error: 'API key required', status: 401 };
+  const ns = spaces.get(req.params.name);
+  if (!ns || !spaces.canRead(req.auth, req.params.name)) {
+    return { error: `Namespace "${req.params.name}" not found`, status: 404 };
+  }
+  if (ns.owner !== req.auth.username && req.auth.role !== 'admin') {
+    return { error: 'Only the namespace owner can change it', status: 403 };
+  }
+  return { ns };
+}
+
+// Create a namespace owned by the caller
+app.post('/api/namespaces', async (req, res) => {
+  try {
+    if (!req.auth) return res.status(401).json({ success: false, error: 'API key required' });
+    const { name, visibility = 'team' } = req.body;
+    if (!validName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name must be 2-40 lowercase letters, digits or dashes (and not "commons")'
+      });
+    }
+    if (!VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ success: false, error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+    const members = memberList(req.body.members).filter(m => m !== req.auth.username);
+    const unknown = unknownAgents(members);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Not registered: ${unknown.join(', ')}` });
+    }
+    if (namespaceRegistry[name]) {
+      return res.status(409).json({ success: false, error: `Namespace "${name}" already exists` });
+    }
+    // Keys already stored under the prefix would silently change hands
+    if (await store.count({ filters: { keyPrefix: name + SEPARATOR } })) {
+      return res.status(409).json({ success: false, error: `Keys starting with "${name}${SEPARATOR}" already exist` });
+    }
+
+    namespaceRegistry[name] = { visibility, owner: req.auth.username, members, createdAt: new Date().toISOString() };
+    persistNamespaces();
+    await mirrorNamespace(name);
+    console.log(`Namespace created: ${name} (${visibility}) by ${req.auth.username}`);
+    res.status(201).json({ success: true, namespace: spaces.view(req.auth, name) });
+  } catch (e) {
+    console.error('Creating namespace failed:', e.message);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Namespaces the caller can read
+app.get('/api/namespaces', (req, res) => {
+  const names = Object.keys(namespaceRegistry).filter(n => spaces.canRead(req.auth, n));
+  res.json({ success: true, namespaces: names.map(n => spaces.view(req.auth, n)) });
+});
+
+// Change visibility or membership (owner or admin)
+app.patch('/api/namespaces/:name', async (req, res) => {
+  try {
+    const { ns, error, status } = manageNamespace(req);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const { visibility } = req.body;
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ success: false, error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+    const add = memberList(req.body.addMembers);
+    const unknown = unknownAgents(add);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Not registered: ${unknown.join(', ')}` });
+    }
+    const remove = new Set(memberList(req.body.removeMembers));
+
+    if (visibility) ns.visibility = visibility;
+    ns.members = [...new Set([...(ns.members || []), ...add])].filter(m => !remove.has(m) && m !== ns.owner);
+    persistNamespaces();
+    await mirrorNamespace(req.params.name);
+    res.json({ success: true, namespace: spaces.view(req.auth, req.params.name) });
+  } catch (e) {
+    console.error('Updating namespace failed:', e.message);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Remove an empty namespace (owner or admin)
+app.delete('/api/namespaces/:name', async (req, res) => {
+  try {
+    const { error, status } = manageNamespace(req);
+    if (error) return res.status(status).json({ success: false, error });
+
+    const remaining = await store.count({ filters: { keyPrefix: req.params.name + SEPARATOR } });
+    if (remaining) {
+      return res.status(409).json({ success: false, error: `Namespace still holds ${remaining} entries; delete them first` });
+    }
+    delete namespaceRegistry[req.params.name];
+    persistNamespaces();
+    await mirrorNamespace(req.params.name);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Deleting namespace failed:', e.message);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ============ SHARED MEMORY API (for Join39 App calls) ============
+
+// --- Rate limits & quotas ---
+
+// Actions are limited by class; anything not listed counts as a read
+const ACTION_CLASSES = {
+  scrape: 'scrape', store_url: 'scrape', scrape_batch: 'scrape', refresh: 'scrape',
+  store: 'write', store_text: 'write', revert: 'write', delete: 'write',
+  link: 'write', unlink: 'write', vote: 'write', flag: 'write', review: 'write', pin: 'write', unpin: 'write'
+};
+
+// Per agent (by API key) and per client IP; admins are exempt from both.
+// Registrations are only limited per IP, since the caller has no key yet.
+const agentLimiter = createRateLimiter({
+  scrape: parseRate(process.env.RATE_LIMIT_SCRAPE ?? '60/hour'),
+  write: parseRate(process.env.RATE_LIMIT_WRITE ?? '300/hour'),
+  read: parseRate(process.env.RATE_LIMIT_READ ?? '600/minute')
+});
+const ipLimiter = createRateLimiter({
+  scrape: parseRate(process.env.RATE_LIMIT_IP_SCRAPE ?? '600/hour'),
+  write: parseRate(process.env.RATE_LIMIT_IP_WRITE ?? '3000/hour'),
+  read: parseRate(process.env.RATE_LIMIT_IP_READ ?? '3000/minute'),
+  register: parseRate(process.env.RATE_LIMIT_IP_REGISTER ?? '60/hour')
+});
+
+const quota = createQuota({
+  agents: () => registeredAgents,
+  maxContributions: Number(process.env.QUOTA_MAX_CONTRIBUTIONS ?? 1000),
+  maxCharacters: Number(process.env.QUOTA_MAX_CHARACTERS ?? 50000000)
+});
+
+// Spend `cost` calls of class `cls` from the caller's agent and IP buckets.
+// Returns null when allowed, else why not: { error, limit, per, retryAfter? }
+// (no retryAfter when the cost is more than the limit itself).
+function takeRate(req, cls, cost = 1) {
+  if (req.auth && req.auth.role === 'admin') return null;
+  const checks = [['IP', ipLimiter, req.ip]];
+  if (req.auth) checks.push(['agent', agentLimiter, req.auth.username]);
+
+  // Check every bucket before spending from any
+  for (const [scope, limiter, subject] of checks) {
+    const r = limiter.take(subject, cls, cost, { dryRun: true });
+    if (r.allowed) continue;
+    if (r.retryAfter === null) {
+      return {
+        error: `A batch of ${cost} is more than the ${cls} limit of ${r.limit} per ${r.per} per ${scope}`,
+        limit: r.limit,
+        per: r.per
+      };
+    }
+    return {
+      error: `Rate limit exceeded: ${r.limit} ${cls} calls per ${r.per} per ${scope}; retry in ${r.retryAfter}s`,
+      retryAfter: r.retryAfter,
+      limit: r.limit,
+      per: r.per
+    };
+  }
+  for (const [, limiter, subject] of checks) limiter.take(subject, cls, cost);
+  return null;
+}
+
+function rateLimit(req, res, next) {
+  const { action } = req.body;
+  if (action === 'quota') return next();
+
+  // A batch costs one scrape per URL
+  const cost = action === 'scrape_batch' && Array.isArray(req.body.urls) ? Math.max(req.body.urls.length, 1) : 1;
+  const refused = takeRate(req, ACTION_CLASSES[action] || 'read', cost);
+  if (!refused) return next();
+  if (refused.retryAfter !== undefined) res.set('Retry-After', String(refused.retryAfter));
+  return res.status(429).json({ success: false, ...refused });
+}
+
+// Main endpoint - handles all actions
+const WRITE_ACTIONS = new Set([
+  'scrape', 'store_url', 'scrape_batch', 'refresh', 'store', 'store_text', 'revert', 'delete', 'link', 'unlink',
+  'pin', 'unpin'
+]);
+// Writes that store no content and so don't count against the quota
+const QUOTA_FREE_ACTIONS = new Set(['delete', 'link', 'unlink', 'pin', 'unpin']);
+// Feedback on entries: needs a registered agent (even where anonymous
+// writes are allowed) but only read access to the entry
+const FEEDBACK_ACTIONS = new Set(['vote', 'flag', 'review']);
+const VOTES = { up: 1, down: -1, none: 0 };
+const MAX_FLAG_REASON = 500;
+
+// Relations agents can set with `link`; links_to is reserved for the links
+// found in scraped pages
+const RELATION_TYPES = ['cites', 'summarizes', 'contradicts', 'derived_from'];
+
+// SimHash bits two entries may differ by and still count as near-duplicates
+const DEFAULT_DUPLICATE_DISTANCE = 6;
+const MAX_DUPLICATE_DISTANCE = 16;
+
+function byAge(a, b) {
+  return String(a.storedAt).localeCompare(String(b.storedAt)) || (a.key < b.key ? -1 : 1);
+}
+
+// Duplicate groups among `prints` (from store.fingerprints), each sorted
+// oldest first: `exact` share a content hash, `near` have distinct content
+// within `maxDistance` bits. Short entries only take part in exact matching.
+function duplicateGroups(prints, maxDistance) {
+  const byHash = new Map();
+  for (const p of prints) {
+    if (!byHash.has(p.contentHash)) byHash.set(p.contentHash, []);
+    byHash.get(p.contentHash).push(p);
+  }
+  const copies = [...byHash.values()].map(group => group.sort(byAge));
+  const originals = copies.map(group => group[0]).filter(p => p.simhash && p.contentLength >= MIN_CONTENT_LENGTH);
+  const byKey = new Map(originals.map(p => [p.key, p]));
+  return {
+    exact: copies.filter(group => group.length > 1),
+    near: clusters(originals, maxDistance).map(keys => keys.map(k => byKey.get(k)).sort(byAge))
+  };
+}
+
+function duplicateSummary(p, keep) {
+  const summary = { key: p.key, title: p.title, url: p.url, storedAt: p.storedAt };
+  if (keep && p.simhash && keep.simhash) summary.distance = distance(p.simhash, keep.simhash);
+  return summary;
+}
+
+// --- Entry operations, shared by the action endpoint and /api/v1 ---
+
+// What the caller sees in listings and search: what they can read, minus
+// flagged entries awaiting review and expired ones the sweeper hasn't
+// removed yet
+function visibleScope(caller, namespace) {
+  return { ...spaces.scope(caller, namespace), flagged: false, activeAt: new Date().toISOString() };
+}
+
+// The entry's author or an admin
+function isAuthorOrAdmin(caller, entry) {
+  return Boolean(caller) && (caller.role === 'admin' || caller.username === entry.storedBy);
+}
+
+// What listings show of an entry
+function entrySummary(e) {
+  return {
+    key: e.key,
+    title: e.title,
+    url: e.url,
+    version: e.version,
+    contentLength: e.contentLength,
+    contentType: e.contentType || null,
+    tags: e.tags || [],
+    storedBy: e.storedBy,
+    storedAt: e.storedAt,
+    accessCount: e.accessCount,
+    upvotes: e.upvotes || 0,
+    downvotes: e.downvotes || 0,
+    expiresAt: e.expiresAt ?? null,
+    pinned: Boolean(e.pinned)
+  };
+}
+
+// Orders for search and list: 'trust' reranks the best TRUST_WINDOW matches
+// (or newest entries) by trust, or as many as it takes to reach the page
+const RANKINGS = ['default', 'trust'];
+const TRUST_WINDOW = 100;
+
+function parseRank(rank) {
+  if (rank === undefined || rank === '') return 'default';
+  if (!RANKINGS.includes(rank)) throw badRequest(`rank must be one of: ${RANKINGS.join(', ')}`);
+  return rank;
+}
+
+// `entries` each with its `trust`
+async function withTrust(entries) {
+  const trusts = await trust.trustOf(entries);
+  return entries.map((e, i) => ({ ...e, trust: trusts[i] }));
+}
+
+// A page of the entries matching `filters` in `sort` (or trust) order:
+// { total, items, next }, `next` being null on the last page
+async function listEntries(filters, { limit, offset = 0, rank = 'default', sort = 'recent', order = LIST_SORTS[sort], after }) {
+  const byTrust = rank === 'trust';
+  const [rows, total] = await Promise.all([
+    store.list(byTrust
+      ? { limit: Math.max(TRUST_WINDOW, offset + limit), filters }
+      : { limit: limit + 1, offset, filters, sort, order, after }),
+    store.count({ filters })
+  ]);
+  if (byTrust) {
+    // Stable sort: equally trusted entries stay newest first
+    const items = (await withTrust(rows)).map(e => ({ ...entrySummary(e), trust: e.trust }))
+      .sort((a, b) => b.trust - a.trust)
+      .slice(offset, offset + limit);
+    return { total, items, next: offset + limit < total ? { offset: offset + limit } : null };
+  }
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    total,
+    items: (await withTrust(page)).map(e => ({ ...entrySummary(e), trust: e.trust })),
+    next: rows.length > limit ? { after: { value: sortValue(last, sort), key: last.key } } : null
+  };
+}
+
+// List cursors are opaque to clients: base64url JSON of the rank, sort and
+// order they were issued for and where the next page starts
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {}
+  const valid = position && RANKINGS.includes(position.rank) && Object.hasOwn(LIST_SORTS, position.sort) &&
+    ['asc', 'desc'].includes(position.order) &&
+    (position.after
+      ? ['string', 'number'].includes(typeof position.after.value) && typeof position.after.key === 'string'
+      : Number.isInteger(position.offset) && position.offset >= 0);
+  if (!valid) throw badRequest('Invalid cursor; use the nextCursor of a previous list response');
+  return position;
+}
+
+// Rank, sort, order, limit and starting point of a list request. A cursor
+// carries the rank, sort and order it was issued for; they may be repeated
+// but not changed.
+function parseListing(params) {
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  for (const field of ['rank', 'sort', 'order']) {
+    if (cursor && params[field] && params[field] !== cursor[field]) {
+      throw badRequest(`cursor was issued for ${field}=${cursor[field]}; drop the cursor to change it`);
+    }
+  }
+  const rank = parseRank(cursor ? cursor.rank : params.rank);
+  if (!cursor && rank === 'trust' && (params.sort || params.order)) {
+    throw badRequest('rank=trust orders by trust and cannot be combined with sort or order');
+  }
+  const sort = cursor ? cursor.sort : params.sort || 'recent';
+  if (!Object.hasOwn(LIST_SORTS, sort)) throw badRequest(`sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}`);
+  const order = cursor ? cursor.order : params.order || LIST_SORTS[sort];
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+  const { limit } = parsePaging(params, { defaultLimit: 50, maxLimit: 200 });
+  return { rank, sort, order, limit, after: cursor?.after, offset: cursor?.offset || 0 };
+}
+
+// The list action and GET /api/memory/list: entries the caller can read,
+// narrowed by the search filters, a page at a time
+async function browseEntries(caller, params) {
+  const listing = parseListing(params);
+  const filters = { ...parseSearchFilters(params), ...visibleScope(caller, params.namespace) };
+  const listed = await listEntries(filters, listing);
+  const { rank, sort, order } = listing;
+  return {
+    success: true,
+    count: listed.total,
+    rank,
+    sort,
+    order,
+    items: listed.items,
+    nextCursor: listed.next ? encodeCursor({ rank, sort, order, ...listed.next }) : null
+  };
+}
+
+// Search hits with their trust. By trust, each relevance score is weighted
+// by (0.5 + trust): a trusted entry overtakes a slightly better match, not a
+// far better one.
+async function searchEntries(query, { limit, offset, filters, rank = 'default' }) {
+  if (rank !== 'trust') {
+    const found = await store.search(query, { limit, offset, filters });
+    return { total: found.total, results: await withTrust(found.results) };
+  }
+  const found = await store.search(query, { limit: Math.max(TRUST_WINDOW, offset + limit), filters });
+  const results = (await withTrust(found.results))
+    .map(e => ({ ...e, score: e.score * (0.5 + e.trust) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(offset, offset + limit);
+  return { total: found.total, results };
+}
+
+// Where a search hit matched: long documents point at (and quote from) their best chunk
+function searchMatch(entry, query) {
+  const hit = bestChunk(entry.content, query);
+  return { chunk: hit.index, snippet: makeSnippet(hit.text, query), score: Number(entry.score.toPrecision(4)) };
+}
+
+function selectPart(content, params) {
+  const part = selectContent(content, params);
+  if (part.error) throw badRequest(part.error);
+  return part;
+}
+
+function wantsSummary(params) {
+  if (params.summary !== true && params.summary !== 'true') return false;
+  if (!summaries) throw new ApiError(501, 'feature_disabled', 'Summaries are disabled on this server (SUMMARIZER=off)');
+  return true;
+}
+
+// Entry `key` (or its past `params.version`) as { entry, part }, `part` being
+// the chunk, range or summary asked for; null if missing or expired
+async function readEntry(key, params, caller) {
+  const current = params.version === undefined;
+  const found = current ? await store.get(key) : await loadRevision(key, params.version);
+  if (!found) return null;
+  const latest = current ? found : await store.get(key);
+  if (latest && isExpired(latest, new Date().toISOString())) return null;
+  if (latest && latest.flagged && !isAuthorOrAdmin(caller, latest)) {
+    throw forbidden(`"${key}" is flagged and awaiting review`, { key, flagged: true });
+  }
+  const { summary, ...entry } = current ? found : { key, ...found };
+
+  let part;
+  if (wantsSummary(params)) {
+    part = {
+      summary: current ? await summaries.get(found) : await summaries.summarize(entry),
+      totalChunks: documentChunks(entry.content).length
+    };
+    delete entry.content;
+  } else {
+    part = selectPart(entry.content, params);
+  }
+  if (current) {
+    const accessCount = await store.incrementAccess(key);
+    entry.accessCount = accessCount ?? entry.accessCount + 1;
+  }
+  return { entry, part };
+}
+
+// Entry `key`, if `caller` may delete or pin it: its author, an admin, or
+// the owner of the namespace it is in (who may clean up their namespace)
+async function managedEntry(caller, key, verb) {
+  const entry = await store.get(key);
+  if (!entry) throw notFound(`Key "${key}" not found`);
+  const space = spaces.namespaceOf(key);
+  const spaceOwner = space && spaces.get(space).owner;
+  if (!caller || (entry.storedBy !== caller.username && caller.role !== 'admin' && spaceOwner !== caller.username)) {
+    throw forbidden(`Can only ${verb} your own entries`);
+  }
+  return entry;
+}
+
+// Delete an entry on behalf of `caller` (see managedEntry)
+async function deleteEntry(caller, key, { ifVersion } = {}) {
+  const entry = await managedEntry(caller, key, 'delete');
+  if (ifVersion !== undefined && ifVersion !== entry.version) {
+    throw new VersionConflictError(key, ifVersion, entry.version);
+  }
+  await removeEntry(entry);
+  return entry;
+}
+
+// The Join39 action endpoint. Failures are { success: false, error }, with
+// HTTP 200 unless they carry a status of their own (see the README)
+app.post('/api/memory', rateLimit, async (req, res) => {
+  const { action, url, content, title, tags } = req.body;
+
+  // Attribution comes from the API key, never from the request body
+  const caller = req.auth;
+  const author = caller ? caller.username : 'anonymous';
+  if (!caller && (FEEDBACK_ACTIONS.has(action) || (WRITE_ACTIONS.has(action) && !ALLOW_ANONYMOUS_WRITES))) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key required: send "Authorization: Bearer <apiKey>" (issued by /api/agents/register)'
+    });
+  }
+  
+  try {
+    // Keys are namespace-qualified ("<namespace>:<key>"); `namespace` applies
+    // to bare keys. Writes need write access to the namespace, reads read access.
+    const namespace = spaces.resolve(req.body.namespace);
+    const key = spaces.qualify(req.body.key, namespace);
+    const space = key ? spaces.namespaceOf(key) : namespace;
+    if (WRITE_ACTIONS.has(action)) spaces.assertWrite(caller, space);
+    else if (key) spaces.assertRead(caller, space);
+
+    // Writes stop once the agent's storage quota is spent (deletes free it up)
+    if (WRITE_ACTIONS.has(action) && !QUOTA_FREE_ACTIONS.has(action) && caller && caller.role !== 'admin') {
+      quota.check(author, typeof content === 'string' && ACTION_CLASSES[action] === 'write' ? content.length : 0);
+    }
+
+    switch (action) {
+      case 'scrape':
+      case 'store_url':
+        // Scrape a URL and store it. With `async: true` the request only
+        // queues the scrape and returns a job id to poll.
+        if (!url) {
+          return res.json({ success: false, error: 'url required' });
+        }
+        const pageUrl = canonicalUrl(url);
+        const scrape = {
+          key: key || await keyForUrl(pageUrl, namespace) || spaces.qualify(urlToKey(pageUrl), namespace),
+          url: pageUrl, title, tags, author,
+          ifVersion: expectedVersion(req), expiresAt: parseExpiry(req.body), maxAge: parseMaxAge(req.body.maxAge),
+          autoKey: !key, allowDuplicate: Boolean(req.body.allowDuplicate)
+        };
+
+        if (req.body.async) {
+          return res.json(jobResponse(submitScrape(scrape)));
+        }
+        const scraped = await jobs.run(() => scrapeUrl(scrape), { url: pageUrl, retries: 0, urgent: true });
+        res.set('ETag', etag(scraped.version));
+        return res.json(scraped);
+
+      case 'scrape_batch':
+        // Queue many URLs at once; each becomes its own job
+        if (!Array.isArray(req.body.urls) || !req.body.urls.length) {
+          return res.json({ success: false, error: 'urls required (array of URLs or { url, key, title, tags })' });
+        }
+        if (req.body.urls.length > MAX_BATCH_URLS) {
+          return res.json({ success: false, error: `At most ${MAX_BATCH_URLS} urls per batch` });
+        }
+        const batchMaxAge = parseMaxAge(req.body.maxAge);
+        const batchExpiry = parseExpiry(req.body);
+        const batch = [];
+        for (const item of req.body.urls) {
+          const spec = typeof item === 'string' ? { url: item } : item || {};
+          if (!spec.url) {
+            batch.push({ success: false, error: 'url required' });
+            continue;
+          }
+          try {
+            const itemUrl = canonicalUrl(spec.url);
+            const itemKey = spec.key
+              ? spaces.qualify(spec.key, namespace)
+              : await keyForUrl(itemUrl, namespace) || spaces.qualify(urlToKey(itemUrl), namespace);
+            spaces.assertWrite(caller, spaces.namespaceOf(itemKey));
+            batch.push(jobResponse(submitScrape({
+              key: itemKey,
+              url: itemUrl,
+              title: spec.title,
+              tags: spec.tags || tags,
+              author,
+              // A URL's own ttl / expiresAt beats the batch's
+              expiresAt: spec.ttl != null || spec.expiresAt != null ? parseExpiry(spec) : batchExpiry,
+              maxAge: batchMaxAge,
+              autoKey: !spec.key,
+              allowDuplicate: Boolean(req.body.allowDuplicate)
+            })));
+          } catch (e) {
+            batch.push({ success: false, url: spec.url, error: e.message });
+          }
+        }
+        return res.json({
+          success: true,
+          queued: batch.filter(j => j.success).length,
+          jobs: batch
+        });
+
+      case 'job':
+        // Status (and, once finished, the result) of a queued scrape
+        if (!req.body.jobId) {
+          return res.json({ success: false, error: 'jobId required' });
+        }
+        const job = readableJob(caller, String(req.body.jobId));
+        if (!job) {
+          return res.json({ success: false, error: `Job "${req.body.jobId}" not found (finished jobs are kept for an hour)` });
+        }
+        return res.json({ success: true, job });
+
+      case 'refresh':
+        // Re-crawl a scraped entry now (conditional fetch; new version only if it changed)
+        if (!key) {
+          return res.json({ success: false, error: 'key required' });
+        }
+        const stale = await store.get(key);
+        const refreshed = await jobs.run(
+          () => refreshEntry(key, { author, ifVersion: expectedVersion(req) }),
+          { url: stale && stale.url, retries: 0, urgent: true }
+        );
+        res.set('ETag', etag(refreshed.version));
+        return res.json(crawlResponse(refreshed));
+      
+      case 'store':
+      case 'store_text':
+        // Store raw text content
+        if (!content) {
+          return res.json({ success: false, error: 'content required' });
+        }
+        // Refused rather than cut short, as on PUT /api/v1/memories
+        if (content.length > MAX_DOCUMENT_LENGTH) {
+          throw new ApiError(413, 'payload_too_large', `content is longer than ${MAX_DOCUMENT_LENGTH} characters`, {
+            field: 'content', maxLength: MAX_DOCUMENT_LENGTH
+          });
+        }
+        const textKey = key || spaces.qualify(`text_${Date.now()}`, namespace);
+        const textExpiry = parseExpiry(req.body);
+        
+        // New keys don't duplicate an entry that already holds this exact text
+        if (!req.body.allowDuplicate && !(await store.get(textKey))) {
+          const duplicate = await findDuplicate(textKey, content);
+          if (duplicate) {
+            res.set('ETag', etag(duplicate.version));
+            return res.json({
+              success: true,
+              key: duplicate.key,
+              version: duplicate.version,
+              duplicateOf: duplicate.key,
+              contentLength: duplicate.content.length,
+              message: `Already stored as "${duplicate.key}"; use that key (pass allowDuplicate to store a copy)`
+            });
+          }
+        }
+        const textEntry = {
+          key: textKey,
+          url: null,
+          title: title || textKey,
+          content,
+          contentType: 'text/plain',
+          tags: tags || [],
+          storedBy: author,
+          storedAt: new Date().toISOString(),
+          expiresAt: textExpiry,
+          provenance: { method: 'store' }
+        };
+        const stored = await saveEntry(textEntry, { ifVersion: expectedVersion(req) });
+        
+        res.set('ETag', etag(stored.version));
+        return res.json({
+          success: true,
+          key: textKey,
+          version: stored.version,
+          contentLength: content.length,
+          totalChunks: documentChunks(content).length,
+          expiresAt: textEntry.expiresAt,
+          message: `Stored ${content.length} chars as "${textKey}"`
+        });
+      
+      case 'get':
+      case 'retrieve':
+        // Get content by key (optionally a past `version`). Long documents
+        // come back one chunk at a time: `chunk`, or a `start`/`end` range;
+        // `summary: true` returns the entry's summary instead.
+        if (!key) {
+          return res.json({ success: false, error: 'key required' });
+        }
+
+        const read = await readEntry(key, req.body, caller);
+        if (!read && req.body.version !== undefined) {
+          return res.json({ success: false, error: `Version ${req.body.version} of "${key}" not found` });
+        }
+        if (!read) {
+          const available = await store.list({ limit: 20, filters: visibleScope(caller) });
+          return res.json({ 
+            success: false, 
+            error: `Key "${key}" not found`,
+            available: available.map(e => e.key)
+          });
+        }
+        if (req.body.version !== undefined) {
+          return res.json({ success: true, ...read.entry, ...read.part });
+        }
+        
+        const { entry, part } = read;
+        const [readTrust] = await trust.trustOf([entry]);
+        res.set('ETag', etag(entry.version));
+        return res.json({
+          success: true,
+          key,
+          version: entry.version,
+          contentHash: entry.contentHash,
+          title: entry.title,
           url: entry.url,
-          content: entry.content,
+          content: part.content,
+          chunk: part.chunk,
+          totalChunks: part.totalChunks,
+          nextChunk: part.nextChunk,
+          start: part.start,
+          end: part.end,
+          truncated: part.truncated,
+          summary: part.summary,
           contentLength: entry.contentLength,
+          contentType: entry.contentType || null,
           tags: entry.tags,
+          metadata: entry.metadata || null,
+          provenance: entry.provenance || null,
           storedBy: entry.storedBy,
           storedAt: entry.storedAt,
-          accessCount: entry.accessCount
+          accessCount: entry.accessCount,
+          upvotes: entry.upvotes || 0,
+          downvotes: entry.downvotes || 0,
+          flagged: Boolean(entry.flagged),
+          expiresAt: entry.expiresAt ?? null,
+          pinned: Boolean(entry.pinned),
+          trust: readTrust
         });
       
       case 'search':
-        // Search by keyword
+        // Relevance-ranked search with paging and filters
         const query = (req.body.query || '').toLowerCase();
         if (!query) {
           return res.json({ success: false, error: 'query required' });
         }
         
-        if (supabase) {
-          const results = await dbSearch(query);
-          return res.json({ success: true, query, count: results.length, results });
-        }
-
-        const results = Object.entries(sharedMemory)
-          .filter(([k, v]) => 
-            k.toLowerCase().includes(query) ||
-            v.title?.toLowerCase().includes(query) ||
-            v.content?.toLowerCase().includes(query) ||
-            v.tags?.some(t => t.toLowerCase().includes(query))
-          )
-          .slice(0, 10)
-          .map(([k, v]) => ({
-            key: k,
-            title: v.title,
-            preview: v.content?.slice(0, 200),
-            storedBy: v.storedBy,
-            storedAt: v.storedAt
-          }));
+        const paging = parsePaging(req.body, { defaultLimit: 10, maxLimit: 50 });
+        const found = await searchEntries(query, {
+          ...paging,
+          filters: { ...parseSearchFilters(req.body), ...visibleScope(caller, req.body.namespace) },
+          rank: parseRank(req.body.rank)
+        });
+        const results = found.results.map(v => ({
+          key: v.key,
+          title: v.title,
+          url: v.url,
+          ...searchMatch(v, query),
+          tags: v.tags,
+          storedBy: v.storedBy,
+          storedAt: v.storedAt,
+          accessCount: v.accessCount,
+          upvotes: v.upvotes || 0,
+          downvotes: v.downvotes || 0,
+          trust: v.trust
+        }));
+        if (wantsSummary(req.body)) {
+          for (const [i, v] of found.results.entries()) results[i].summary = await summaries.get(v);
+        }
+        const nextOffset = paging.offset + results.length;
         
         return res.json({
           success: true,
           query,
           count: results.length,
+          total: found.total,
+          offset: paging.offset,
+          nextOffset: nextOffset < found.total ? nextOffset : null,
           results
         });
       
-      case 'list':
-        // List all stored keys
-        if (supabase) {
-          const items = await dbList();
-          // Count is approximate unless we do an extra count query; keep it simple.
-          return res.json({ success: true, count: items.length, items });
-        }
-
-        const items = Object.entries(sharedMemory)
-          .sort((a, b) => new Date(b[1].storedAt) - new Date(a[1].storedAt))
-          .slice(0, 50)
-          .map(([k, v]) => ({
-            key: k,
-            title: v.title,
-            url: v.url,
-            contentLength: v.contentLength,
-            storedBy: v.storedBy,
-            storedAt: v.storedAt,
-            accessCount: v.accessCount
-          }));
-        
+      case 'similar':
+        // Semantic search: top-k passages by cosine similarity, for a
+        // free-text `query` or to the entry under `key`
+        if (!vectors) {
+          return res.json({ success: false, error: 'Similarity search is disabled (EMBEDDER=off)' });
+        }
+        let similarTo = req.body.query;
+        const sourceKey = similarTo ? null : key;
+        if (sourceKey) {
+          const source = await store.get(sourceKey);
+          if (!source) {
+            return res.json({ success: false, error: `Key "${sourceKey}" not found` });
+          }
+          similarTo = `${source.title || ''}\n${source.content.slice(0, 2000)}`;
+        }
+        if (!similarTo) {
+          return res.json({ success: false, error: 'query or key required' });
+        }
+
+        const topK = Math.min(Math.max(parseInt(req.body.limit, 10) || 5, 1), 20);
+        const similarScope = spaces.scope(caller, req.body.namespace);
+        const passages = await vectors.query(similarTo, {
+          limit: topK,
+          excludeKey: sourceKey,
+          visible: k => spaces.inScope(k, similarScope),
+          filters: { flagged: false, activeAt: new Date().toISOString() }
+        });
+
         return res.json({
           success: true,
-          count: Object.keys(sharedMemory).length,
-          items
+          query: req.body.query || null,
+          key: sourceKey,
+          count: passages.length,
+          results: passages.map(p => ({ ...p, score: Number(p.score.toFixed(4)) }))
         });
       
-      case 'stats':
-        // Get statistics
-        if (supabase) {
-          const s = await dbStats();
+      case 'ask': {
+        // Answer a question from stored passages, citing each source by key
+        // and character range. `mode: "extractive"` skips any answerer model.
+        if (!answers) {
+          return res.json({ success: false, error: 'Question answering is disabled (ANSWERER=off)' });
+        }
+        const question = String(req.body.question || req.body.query || '').trim();
+        if (!question) {
+          return res.json({ success: false, error: 'question required' });
+        }
+        if (req.body.mode !== undefined && req.body.mode !== 'extractive') {
+          return res.json({ success: false, error: 'mode must be "extractive" (or left out)' });
+        }
+
+        const asked = await answers.ask(question, {
+          filters: { ...parseSearchFilters(req.body), ...visibleScope(caller, req.body.namespace) },
+          limit: Math.min(Math.max(parseInt(req.body.limit, 10) || 5, 1), 10),
+          mode: req.body.mode
+        });
+        return res.json({
+          success: true,
+          question,
+          answered: Boolean(asked.answer),
+          ...asked,
+          ...(asked.answer ? {} : { message: 'No stored passage answers this question' })
+        });
+      }
+
+      case 'duplicates':
+        // Exact copies and near-duplicates among the entries the caller can
+        // read. Each group is led by its oldest entry (`keep`): the key to
+        // reuse. With `key`, only the entries duplicating that one.
+        const maxDistance = req.body.maxDistance === undefined ? DEFAULT_DUPLICATE_DISTANCE : Number(req.body.maxDistance);
+        if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > MAX_DUPLICATE_DISTANCE) {
+          return res.json({ success: false, error: `maxDistance must be an integer from 0 to ${MAX_DUPLICATE_DISTANCE}` });
+        }
+        const prints = await store.fingerprints({ filters: visibleScope(caller, req.body.namespace) });
+
+        if (key) {
+          const target = prints.find(p => p.key === key);
+          if (!target) {
+            return res.json({ success: false, error: `Key "${key}" not found` });
+          }
+          const copies = prints.filter(p => p.key !== key && p.contentHash === target.contentHash);
+          const comparable = target.simhash && target.contentLength >= MIN_CONTENT_LENGTH;
+          const near = comparable
+            ? prints
+              .filter(p => p.contentHash !== target.contentHash && p.simhash && p.contentLength >= MIN_CONTENT_LENGTH)
+              .map(p => duplicateSummary(p, target))
+              .filter(p => p.distance <= maxDistance)
+              .sort((a, b) => a.distance - b.distance)
+            : [];
           return res.json({
             success: true,
-            stats: {
-              totalEntries: s.totalEntries,
-              totalCharacters: s.totalCharacters,
-              uniqueContributors: s.uniqueContributors
-            }
+            key,
+            maxDistance,
+            keep: [target, ...copies].sort(byAge)[0].key,
+            exact: copies.sort(byAge).map(p => duplicateSummary(p)),
+            near
           });
         }
 
-        const keys = Object.keys(sharedMemory);
-        const totalChars = Object.values(sharedMemory).reduce((sum, v) => sum + (v.contentLength || 0), 0);
-        const contributors = [...new Set(Object.values(sharedMemory).map(v => v.storedBy))];
+        const groups = duplicateGroups(prints, maxDistance);
+        const groupLimit = Math.min(Math.max(parseInt(req.body.limit, 10) || 20, 1), 100);
+        const bySize = (a, b) => b.length - a.length;
+        return res.json({
+          success: true,
+          scanned: prints.length,
+          maxDistance,
+          exactGroups: groups.exact.length,
+          nearGroups: groups.near.length,
+          exact: groups.exact.sort(bySize).slice(0, groupLimit).map(g => ({
+            keep: g[0].key,
+            contentHash: g[0].contentHash,
+            entries: g.map(p => duplicateSummary(p))
+          })),
+          near: groups.near.sort(bySize).slice(0, groupLimit).map(g => ({
+            keep: g[0].key,
+            entries: g.map(p => duplicateSummary(p, g[0]))
+          }))
+        });
+
+      case 'list':
+        // Page through the entries the caller can read
+        return res.json(await browseEntries(caller, req.body));
+      
+      case 'digest': {
+        // Rollup of the newest entries under the given tags / time window /
+        // author / domain: a summary of each, and an overview of them all
+        if (!summaries) {
+          return res.json({ success: false, error: 'Summaries are disabled on this server (SUMMARIZER=off)' });
+        }
+        const filters = { ...parseSearchFilters(req.body), ...visibleScope(caller, req.body.namespace) };
+        const { limit } = parsePaging(req.body, { defaultLimit: 20, maxLimit: 100 });
+        const [newest, total] = await Promise.all([store.list({ limit, filters }), store.count({ filters })]);
+        const entries = (await Promise.all(newest.map(e => store.get(e.key)))).filter(Boolean);
+        const { overview, items } = await summaries.digest(entries);
+
+        const tagCounts = {};
+        for (const e of entries) for (const t of e.tags || []) tagCounts[t] = (tagCounts[t] || 0) + 1;
+        const topTags = Object.entries(tagCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([tag, count]) => ({ tag, count }));
+
+        return res.json({
+          success: true,
+          count: items.length,
+          total,
+          truncated: total > items.length,
+          window: entries.length
+            ? { since: entries[entries.length - 1].storedAt, until: entries[0].storedAt }
+            : { since: null, until: null },
+          overview,
+          topTags,
+          entries: items.map(({ entry, summary }) => ({
+            key: entry.key,
+            title: entry.title,
+            url: entry.url,
+            storedBy: entry.storedBy,
+            storedAt: entry.storedAt,
+            tags: entry.tags || [],
+            summary: summary.short
+          }))
+        });
+      }
+
+      case 'stats':
+        // Get statistics
+        return res.json({ success: true, stats: await memoryStats(caller, req.body) });
+      
+      case 'history':
+        // Revisions of an entry, newest first
+        if (!key) {
+          return res.json({ success: false, error: 'key required' });
+        }
+        const current = await store.get(key);
+        if (!current) {
+          return res.json({ success: false, error: `Key "${key}" not found` });
+        }
+        const historyPage = parsePaging(req.body, { defaultLimit: 20, maxLimit: 100 });
+        let revisions = await store.history(key, historyPage);
+        if (!revisions.length && historyPage.offset === 0) revisions = [withoutContent(toRevision(current))];
         
         return res.json({
           success: true,
-          stats: {
-            totalEntries: keys.length,
-            totalCharacters: totalChars,
-            totalAgents: Object.keys(registeredAgents).length,
-            uniqueContributors: contributors.length,
-            topContributors: contributors.slice(0, 10)
-          }
+          key,
+          currentVersion: current.version,
+          count: revisions.length,
+          revisions
+        });
+      
+      case 'revert':
+        // Restore a past revision as a new version
+        if (!key || req.body.version === undefined) {
+          return res.json({ success: false, error: 'key and version required' });
+        }
+        const target = await loadRevision(key, req.body.version);
+        if (!target) {
+          return res.json({ success: false, error: `Version ${req.body.version} of "${key}" not found` });
+        }
+        const revertedFrom = await store.get(key);
+        const reverted = await saveEntry({
+          key,
+          url: target.url,
+          title: target.title,
+          content: target.content,
+          contentType: target.contentType,
+          metadata: target.metadata,
+          tags: target.tags,
+          storedBy: author,
+          storedAt: new Date().toISOString(),
+          expiresAt: revertedFrom.expiresAt ?? null,
+          provenance: { ...target.provenance, restoredFrom: target.version }
+        }, { ifVersion: expectedVersion(req) });
+        
+        res.set('ETag', etag(reverted.version));
+        return res.json({
+          success: true,
+          key,
+          version: reverted.version,
+          revertedTo: target.version,
+          message: `Reverted "${key}" to version ${target.version} (now version ${reverted.version})`
         });
       
       case 'delete':
-        // Delete an entry (only by original author)
+        // Delete an entry (only by original author or an admin)
         if (!key) {
           return res.json({ success: false, error: 'key required' });
         }
-        if (supabase) {
-          const result = await dbDelete(key, agent);
-          if (!result.ok) return res.json({ success: false, error: result.error });
-          return res.json({ success: true, message: `Deleted "${key}"` });
+        await deleteEntry(caller, key);
+        return res.json({ success: true, message: `Deleted "${key}"` });
+
+      case 'pin':
+      case 'unpin': {
+        // Exempt an entry from expiry and from eviction when the store is
+        // over its size cap, or take that back (same permission as delete)
+        if (!key) {
+          return res.json({ success: false, error: 'key required' });
         }
+        const pinning = action === 'pin';
+        const pinned = await managedEntry(caller, key, action);
+        await store.setRetention(key, { pinned: pinning });
+        const expiresAt = pinned.expiresAt ?? null;
+        return res.json({
+          success: true,
+          key,
+          pinned: pinning,
+          expiresAt,
+          message: pinning
+            ? `Pinned "${key}"; it won't expire or be evicted`
+            : `Unpinned "${key}"` + (expiresAt ? `; it expires ${expiresAt}` : '')
+        });
+      }
+
+      case 'link': {
+        // Typed relation from `key` to `target`, e.g. key summarizes target
+        const { relation } = req.body;
+        const target = spaces.qualify(req.body.target, namespace);
+        if (!key || !target || !relation) {
+          return res.json({ success: false, error: 'key, target and relation required' });
+        }
+        spaces.assertRead(caller, spaces.namespaceOf(target));
+        if (!RELATION_TYPES.includes(relation)) {
+          return res.json({ success: false, error: `relation must be one of: ${RELATION_TYPES.join(', ')}` });
+        }
+        if (key === target) {
+          return res.json({ success: false, error: 'An entry cannot link to itself' });
+        }
+        for (const k of [key, target]) {
+          if (!(await store.get(k))) return res.json({ success: false, error: `Key not found: ${k}` });
+        }
+        const link = { from: key, to: target, type: relation, createdBy: author, createdAt: new Date().toISOString(), auto: false };
+        await store.putLink(link);
+        return res.json({ success: true, link, message: `"${key}" ${relation} "${target}"` });
+      }
 
-        const toDelete = sharedMemory[key];
-        if (!toDelete) {
+      case 'unlink': {
+        // Remove a relation (by whoever made it, the owner of `key`, or an admin).
+        // Without `relation`, removes every manual relation from key to target.
+        const { relation } = req.body;
+        const target = spaces.qualify(req.body.target, namespace);
+        if (!key || !target) {
+          return res.json({ success: false, error: 'key and target required' });
+        }
+        const { outgoing } = await store.links(key);
+        const matching = outgoing.filter(l => l.to === target && !l.auto && (!relation || l.type === relation));
+        if (!matching.length) {
+          return res.json({ success: false, error: 'Link not found' });
+        }
+        const from = await store.get(key);
+        const mayUnlink = l => caller && (caller.role === 'admin' || l.createdBy === caller.username ||
+          (from && from.storedBy === caller.username));
+        if (!matching.every(mayUnlink)) {
+          return res.json({ success: false, error: 'Can only remove links you made or from your own entries' });
+        }
+        for (const l of matching) await store.deleteLink(l.from, l.to, l.type);
+        return res.json({ success: true, removed: matching.map(l => l.type), message: `Unlinked "${key}" from "${target}"` });
+      }
+
+      case 'related': {
+        // Neighbours of an entry: what it links to and what links to it
+        if (!key) {
+          return res.json({ success: false, error: 'key required' });
+        }
+        if (!(await store.get(key))) {
           return res.json({ success: false, error: 'Key not found' });
         }
-        if (toDelete.storedBy !== agent && agent !== 'admin') {
-          return res.json({ success: false, error: 'Can only delete your own entries' });
+        const { relation } = req.body;
+        const { outgoing, incoming } = await store.links(key);
+        const neighbour = async (l, other) => {
+          const e = await store.get(other);
+          return {
+            key: other,
+            relation: l.type,
+            title: e ? e.title : null,
+            url: e ? e.url : null,
+            createdBy: l.createdBy,
+            createdAt: l.createdAt,
+            auto: l.auto
+          };
+        };
+        // Neighbours in namespaces the caller can't read stay hidden
+        const wanted = (l, other) => (!relation || l.type === relation) && spaces.canRead(caller, spaces.namespaceOf(other));
+        return res.json({
+          success: true,
+          key,
+          outgoing: await Promise.all(outgoing.filter(l => wanted(l, l.to)).map(l => neighbour(l, l.to))),
+          incoming: await Promise.all(incoming.filter(l => wanted(l, l.from)).map(l => neighbour(l, l.from)))
+        });
+      }
+
+      case 'vote': {
+        // Up- or downvote someone else's entry; `vote: "none"` takes it back.
+        // Votes make the entry's trust and its author's reputation.
+        if (!key || !Object.hasOwn(VOTES, req.body.vote)) {
+          return res.json({ success: false, error: `key and vote (${Object.keys(VOTES).join(', ')}) required` });
         }
-        delete sharedMemory[key];
-        persistMemory();
-        return res.json({ success: true, message: `Deleted "${key}"` });
+        const voted = await store.get(key);
+        if (!voted) {
+          return res.json({ success: false, error: `Key "${key}" not found` });
+        }
+        if (voted.flagged && !isAuthorOrAdmin(caller, voted)) throw forbidden(`"${key}" is flagged and awaiting review`);
+        if (voted.storedBy === author) {
+          return res.json({ success: false, error: 'Cannot vote on your own entry' });
+        }
+        // Taking a vote back is always allowed; casting one takes standing
+        const bar = VOTES[req.body.vote] && caller.role !== 'admin' ? trust.votingBar(author) : null;
+        if (bar) throw forbidden(bar);
+        const tally = await trust.vote(voted, author, VOTES[req.body.vote]);
+        const [votedTrust] = await trust.trustOf([{ ...voted, ...tally }]);
+        return res.json({
+          success: true,
+          key,
+          vote: req.body.vote,
+          upvotes: tally.upvotes,
+          downvotes: tally.downvotes,
+          trust: votedTrust
+        });
+      }
+
+      case 'flag': {
+        // Report someone else's entry (spam, wrong, harmful...). Once
+        // FLAGS_TO_HIDE agents have, or an admin has, it is hidden from
+        // everyone but its author and admins until an admin reviews it.
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!key || !reason) {
+          return res.json({ success: false, error: 'key and reason required' });
+        }
+        // Read access to the key's namespace was checked above, so this
+        // doesn't tell who may not read it whether the key exists
+        const reported = await store.get(key);
+        if (!reported || isExpired(reported, new Date().toISOString())) {
+          return res.json({ success: false, error: `Key "${key}" not found` });
+        }
+        if (reported.storedBy === author) {
+          return res.json({ success: false, error: 'Cannot flag your own entry' });
+        }
+        const isAdmin = caller.role === 'admin';
+        const flagBar = isAdmin ? null : trust.votingBar(author, 'flag');
+        if (flagBar) throw forbidden(flagBar);
+        const { feedback, flagged } = await trust.flag(reported, author, reason.slice(0, MAX_FLAG_REASON), { hide: isAdmin });
+        console.log(`Flagged ${key} by ${author}: ${reason.slice(0, 100)}`);
+        return res.json({
+          success: true,
+          key,
+          flagged,
+          flags: feedback.flags.length,
+          message: flagged
+            ? `"${key}" is hidden until an admin reviews it`
+            : `Flag recorded; "${key}" is hidden once ${FLAGS_TO_HIDE} agents have flagged it`
+        });
+      }
+
+      case 'review': {
+        // Admins: without `key`, the flagged entries awaiting review, oldest
+        // flag first; with `key` and `decision`, keep the entry (clearing its
+        // flags) or remove it
+        if (caller.role !== 'admin') throw forbidden('Only admins can review flagged entries');
+        if (!key) {
+          const { limit, offset } = parsePaging(req.body, { defaultLimit: 20, maxLimit: 100 });
+          const flaggedKeys = (await store.list({ limit: 1e6, filters: { flagged: true } })).map(e => e.key);
+          const queue = (await Promise.all(flaggedKeys.map(k => store.get(k)))).filter(Boolean)
+            .map(e => ({ ...entrySummary(e), flags: e.feedback.flags }))
+            .sort((a, b) => a.flags[0].at.localeCompare(b.flags[0].at));
+          return res.json({ success: true, total: queue.length, offset, items: queue.slice(offset, offset + limit) });
+        }
+        if (!['keep', 'remove'].includes(req.body.decision)) {
+          return res.json({ success: false, error: 'decision must be keep or remove' });
+        }
+        const reviewed = await store.get(key);
+        if (!reviewed) {
+          return res.json({ success: false, error: `Key "${key}" not found` });
+        }
+        if (req.body.decision === 'remove') {
+          await removeEntry(reviewed);
+          console.log(`Review by ${author}: removed ${key}`);
+          return res.json({ success: true, key, decision: 'remove', message: `Removed "${key}"` });
+        }
+        if (!reviewed.flagged) {
+          return res.json({ success: false, error: `"${key}" has no open flags` });
+        }
+        await trust.keep(reviewed, author, typeof req.body.note === 'string' ? req.body.note : null);
+        console.log(`Review by ${author}: kept ${key}`);
+        return res.json({ success: true, key, decision: 'keep', message: `Kept "${key}"; it is visible again` });
+      }
+
+      case 'reputation': {
+        // How an agent's entries have been received (the caller's by default)
+        const agent = req.body.agent || (caller && caller.username);
+        if (!agent) {
+          return res.json({ success: false, error: 'agent required' });
+        }
+        return res.json({ success: true, ...(await trust.reputation(String(agent))) });
+      }
+
+      case 'quota':
+        // What the caller has left: storage quota (registered agents) and rate limits
+        return res.json({
+          success: true,
+          agent: caller ? caller.username : null,
+          unlimited: Boolean(caller && caller.role === 'admin'),
+          quota: caller ? quota.usage(caller.username) : null,
+          rateLimits: {
+            agent: caller ? agentLimiter.peek(caller.username) : null,
+            ip: ipLimiter.peek(req.ip)
+          }
+        });
       
       default:
         return res.json({
           success: false,
           error: `Unknown action: ${action}`,
-          availableActions: ['scrape', 'store', 'get', 'search', 'list', 'stats', 'delete']
+          availableActions: [
+            'scrape', 'scrape_batch', 'job', 'refresh', 'store', 'get', 'search', 'similar', 'ask', 'duplicates',
+            'list', 'digest', 'stats', 'history', 'revert', 'delete', 'pin', 'unpin', 'link', 'unlink', 'related',
+            'vote', 'flag', 'review', 'reputation', 'quota'
+          ]
         });
     }
   } catch (err) {
+    if (err instanceof VersionConflictError) {
+      return res.status(409).json({ success: false, error: err.message, currentVersion: err.currentVersion });
+    }
+    if (err instanceof QuotaExceededError) {
+      return res.status(403).json({ success: false, error: err.message, quota: err.usage });
+    }
+    if (err instanceof NamespaceAccessError) {
+      return res.status(403).json({ success: false, error: err.message, namespace: err.namespace });
+    }
+    if (err instanceof CrawlPolicyError) {
+      return res.status(403).json({ success: false, error: err.message, refusedBy: err.reason });
+    }
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+    }
     console.error('Error:', err.message);
     return res.json({ success: false, error: err.message });
   }
 });
 
-// GET endpoints for convenience
-app.get('/api/memory/list', (req, res) => {
-  req.body = { action: 'list' };
-  app._router.handle({ ...req, method: 'POST', url: '/api/memory' }, res);
+// Breakdown of the entries the caller can read, narrowed by the search
+// filters: `top` caps each ranking, growth goes by `interval`
+async function memoryStats(caller, params) {
+  const top = params.top === undefined ? 10 : parseInt(params.top, 10);
+  if (!(top >= 1 && top <= 100)) throw badRequest('top must be an integer from 1 to 100');
+  const interval = params.interval || 'month';
+  if (!GROWTH_INTERVALS.includes(interval)) throw badRequest(`interval must be one of: ${GROWTH_INTERVALS.join(', ')}`);
+  const filters = { ...parseSearchFilters(params), ...visibleScope(caller, params.namespace) };
+  const s = await store.stats({ filters, top, interval });
+  return {
+    totalEntries: s.totalEntries,
+    totalCharacters: s.totalCharacters,
+    totalAgents: Object.keys(registeredAgents).length,
+    uniqueContributors: s.uniqueContributors,
+    topContributors: s.topContributors,
+    tags: s.tags,
+    domains: s.domains,
+    interval,
+    growth: s.growth,
+    mostAccessed: s.mostAccessed
+  };
+}
+
+// GET endpoints for convenience; they take the same parameters as the
+// actions, tags comma-separated
+app.get('/api/memory/list', rateLimit, async (req, res) => {
+  try {
+    res.json(await browseEntries(req.auth, { ...req.query, tags: queryList(req.query.tags) }));
+  } catch (e) {
+    if (!(e instanceof ApiError)) console.error('Error:', e.message);
+    res.json({ success: false, error: e.message });
+  }
 });
 
 app.get('/api/memory/stats', async (req, res) => {
-  if (supabase) {
+  try {
+    res.json(await memoryStats(req.auth, { ...req.query, tags: queryList(req.query.tags) }));
+  } catch (e) {
+    res.status(e instanceof ApiError ? e.status : 500).json({ error: e.message });
+  }
+});
+
+// --- Export / import ---
+
+const EXPORT_FORMATS = ['jsonl', 'markdown'];
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB || 50);
+
+// Resolves once `res` can take more data (or the client has gone)
+function drained(res) {
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+// Everything the caller can read, streamed as JSON Lines or a zip of
+// Markdown files with front matter: ?format=jsonl|markdown&history=true&namespace=name
+app.get('/api/memory/export', async (req, res) => {
+  if (!req.auth) return res.status(401).json({ success: false, error: 'API key required' });
+  const format = req.query.format || 'jsonl';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  let filters;
+  try {
+    // Admins' exports are backups, so they keep flagged entries
+    filters = req.auth.role === 'admin' ? spaces.scope(req.auth, req.query.namespace) : visibleScope(req.auth, req.query.namespace);
+  } catch (e) {
+    const status = e instanceof NamespaceAccessError ? 403 : 404;
+    return res.status(status).json({ success: false, error: e.message });
+  }
+
+  const history = format === 'jsonl' && req.query.history === 'true';
+  const name = `shared-memory-${new Date().toISOString().slice(0, 10)}`;
+  let backedUp = false;
+  const send = buf => { backedUp = !res.write(buf) || backedUp; };
+  try {
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${name}.jsonl"`);
+    } else {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${name}.zip"`);
+    }
+    const zip = format === 'markdown' ? createZipWriter(send) : null;
+    const paths = new Set();
+    for await (const record of exportRecords(store, { history, filters })) {
+      if (res.destroyed) return;
+      if (zip) {
+        zip.addFile(markdownPath(record.key, paths), toMarkdown(record), { modified: new Date(record.storedAt) });
+      } else {
+        send(JSON.stringify(record) + '\n');
+      }
+      if (backedUp) {
+        await drained(res);
+        backedUp = false;
+      }
+    }
+    if (zip) zip.finish();
+    res.end();
+  } catch (e) {
+    console.error('Export failed:', e.message);
+    if (!res.headersSent) return res.status(500).json({ success: false, error: e.message });
+    // Cut the connection so the client sees a truncated download, not a complete one
+    res.destroy(e);
+  }
+});
+
+// Load an export, a JSON array of records or the prototype's blob back in
+// (admins only), with ?strategy= and ?dryRun= as in lib/transfer.js
+app.post('/api/memory/import',
+  express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: `${IMPORT_MAX_MB}mb` }),
+  async (req, res) => {
+    if (!req.auth) return res.status(401).json({ success: false, error: 'API key required' });
+    if (req.auth.role !== 'admin') return res.status(403).json({ success: false, error: 'Only admins can import' });
+    const strategy = req.query.strategy || 'skip';
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ success: false, error: `strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}` });
+    }
+    let parsed;
     try {
-      const s = await dbStats();
-      return res.json({
-        totalEntries: s.totalEntries,
-        totalCharacters: s.totalCharacters,
-        uniqueContributors: s.uniqueContributors
-      });
+      parsed = parseImport(req.body);
     } catch (e) {
-      return res.status(500).json({ error: e.message });
+      return res.status(400).json({ success: false, error: e.message });
     }
+    if (!parsed.length) return res.status(400).json({ success: false, error: 'Nothing to import' });
+
+    try {
+      const report = await importRecords(parsed, {
+        get: key => store.get(key),
+        write: entry => saveEntry(entry),
+        remove: removeEntry,
+        setCrawl: (key, crawl) => store.setCrawl(key, crawl),
+        setRetention: (key, retention) => store.setRetention(key, retention),
+        putLink: link => store.putLink(link)
+      }, { strategy, dryRun: req.query.dryRun === 'true' });
+      console.log(`Import by ${req.auth.username}: ${report.created} created, ${report.updated + report.replaced} updated, ${report.failed} failed`);
+      res.json({ success: true, ...report });
+    } catch (e) {
+      res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+// Live change feed as Server-Sent Events, filtered like webhooks; a client
+// reconnecting with Last-Event-ID gets the events it missed
+const MAX_STREAM_CLIENTS = Number(process.env.MAX_STREAM_CLIENTS || 100);
+const streams = new Set();
+
+app.get('/api/memory/stream', (req, res) => {
+  let filter;
+  try {
+    filter = parseFilter(req.query);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (streams.size >= MAX_STREAM_CLIENTS) {
+    return res.status(503).json({ error: 'Too many open streams; try again later' });
   }
 
-  const keys = Object.keys(sharedMemory);
-  const totalChars = Object.values(sharedMemory).reduce((sum, v) => sum + (v.contentLength || 0), 0);
-  res.json({
-    totalEntries: keys.length,
-    totalCharacters: totalChars,
-    totalAgents: Object.keys(registeredAgents).length
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  const send = (event) => {
+    if (!matchesFilter(event, filter) || !spaces.canRead(req.auth, spaces.namespaceOf(event.key))) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const lastId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  if (Number.isInteger(lastId)) changes.since(lastId).forEach(send);
+
+  const unsubscribe = changes.subscribe(send);
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  streams.add(res);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    streams.delete(res);
   });
 });
 
 app.get('/api/memory/:key', async (req, res) => {
-  if (supabase) {
-    const key = req.params.key;
-    const entry = await dbGetMemory(key);
-    if (!entry) return res.status(404).json({ error: 'Not found' });
-    await dbIncrementAccess(key);
-    return res.json(entry);
+  try {
+    if (!spaces.canRead(req.auth, spaces.namespaceOf(req.params.key))) {
+      return res.status(403).json({ error: 'Not readable by this agent' });
+    }
+    const read = await readEntry(req.params.key, req.query, req.auth);
+    if (!read) return res.status(404).json({ error: 'Not found' });
+    res.set('ETag', etag(read.entry.version));
+    res.json({ ...read.entry, ...read.part });
+  } catch (e) {
+    res.status(describeError(e).status).json({ error: e.message });
   }
+});
+
+// ============ REST API (v1) ============
+
+// Entries as resources at /api/v1/memories/<key>, with HTTP statuses and
+// errors as { error: { code, message, details } } (see lib/errors.js)
+
+const ENTRY_FIELDS = ['title', 'content', 'url', 'contentType', 'tags', 'metadata'];
+
+function sendError(res, err) {
+  const described = describeError(err);
+  if (described.code === 'internal') console.error('Error:', err.message);
+  return res.status(described.status).json(errorBody(described));
+}
+
+// Runs an async handler, sending whatever it throws as an API error
+function route(handler) {
+  return (req, res) => handler(req, res).catch(err => sendError(res, err));
+}
+
+function methodNotAllowed(allowed) {
+  return (req, res) => {
+    res.set('Allow', allowed);
+    sendError(res, new ApiError(405, 'method_not_allowed', `${req.method} is not supported here; use ${allowed}`));
+  };
+}
+
+function resourcePath(key) {
+  return `/api/v1/memories/${encodeURIComponent(key)}`;
+}
 
-  const entry = sharedMemory[req.params.key];
-  if (!entry) {
-    return res.status(404).json({ error: 'Not found' });
+// `tags=a,b` or `tags=a&tags=b`
+function queryList(value) {
+  if (value === undefined) return undefined;
+  return [].concat(value).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean);
+}
+
+function v1RateLimit(req, res, next) {
+  const refused = takeRate(req, req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write');
+  if (!refused) return next();
+  const { error, ...details } = refused;
+  if (details.retryAfter !== undefined) res.set('Retry-After', String(details.retryAfter));
+  sendError(res, new ApiError(429, 'rate_limited', error, details));
+}
+
+// The entry fields in a PUT (whole entry, content required) or PATCH (any
+// subset) body, validated; null clears a field back to its default
+function entryFields(body, { partial }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const unknown = Object.keys(body).filter(f => !ENTRY_FIELDS.includes(f));
+  if (unknown.length) {
+    throw badRequest(`Unknown fields: ${unknown.join(', ')} (allowed: ${ENTRY_FIELDS.join(', ')})`, { fields: unknown });
   }
-  entry.accessCount++;
-  persistMemory();
-  res.json(entry);
-});
+  if (partial && !Object.keys(body).length) throw badRequest(`Nothing to change; send any of ${ENTRY_FIELDS.join(', ')}`);
 
-// Health check
-app.get('/health', async (req, res) => {
-  if (supabase) {
-    try {
-      const { count } = await supabase.from('memories').select('*', { count: 'exact', head: true });
-      const { count: agentCount } = await supabase.from('agents').select('*', { count: 'exact', head: true });
-      return res.json({ status: 'ok', storage: 'supabase', entries: count || 0, agents: agentCount || 0 });
-    } catch (e) {
-      return res.json({ status: 'degraded', storage: 'supabase', error: e.message });
+  const fields = {};
+  const invalid = (field, expected) => badRequest(`${field} must be ${expected}`, { field });
+  if (!partial || body.content !== undefined) {
+    if (typeof body.content !== 'string' || !body.content) throw invalid('content', 'a non-empty string');
+    if (body.content.length > MAX_DOCUMENT_LENGTH) {
+      throw new ApiError(413, 'payload_too_large', `content is longer than ${MAX_DOCUMENT_LENGTH} characters`, {
+        field: 'content', maxLength: MAX_DOCUMENT_LENGTH
+      });
+    }
+    fields.content = body.content;
+  }
+  for (const field of ['title', 'contentType']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') throw invalid(field, 'a string or null');
+    fields[field] = body[field] || null;
+  }
+  if (body.url !== undefined) {
+    if (body.url !== null && !/^https?:\/\//i.test(String(body.url))) throw invalid('url', 'an http(s) URL or null');
+    fields.url = body.url && canonicalUrl(body.url);
+  }
+  if (body.tags !== undefined) {
+    if (body.tags !== null && !(Array.isArray(body.tags) && body.tags.every(t => typeof t === 'string'))) {
+      throw invalid('tags', 'an array of strings');
     }
+    fields.tags = body.tags || [];
   }
+  if (body.metadata !== undefined) {
+    if (body.metadata !== null && (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+      throw invalid('metadata', 'an object or null');
+    }
+    fields.metadata = body.metadata;
+  }
+  return fields;
+}
 
+// Key named by the request, after checking the caller may write it and has
+// quota for `chars` more (deletes pass none: they free quota, not use it)
+function writableKey(req, chars) {
+  const caller = req.auth;
+  if (!caller && !ALLOW_ANONYMOUS_WRITES) {
+    throw unauthorized('API key required: send "Authorization: Bearer <apiKey>" (issued by /api/agents/register)');
+  }
+  const key = spaces.qualify(req.params.key, req.query.namespace);
+  spaces.assertWrite(caller, spaces.namespaceOf(key));
+  if (chars !== undefined && caller && caller.role !== 'admin') quota.check(caller.username, chars);
+  return key;
+}
+
+// A written entry as the response shows it: everything but the content
+async function savedView(key) {
+  const { content, simhash, ...entry } = await store.get(key);
+  return entry;
+}
+
+const v1 = express.Router();
+v1.use(express.json({ limit: '5mb', type: ['application/json', 'application/merge-patch+json'] }));
+v1.use(v1RateLimit);
+
+// Entries the caller can read, newest first; with `q`, ranked by relevance
+// instead. `rank=trust` weights either order by trust.
+v1.get('/', route(async (req, res) => {
+  const { limit, offset } = parsePaging(req.query, { defaultLimit: 20, maxLimit: 100 });
+  const rank = parseRank(req.query.rank);
+  const filters = {
+    ...parseSearchFilters({ ...req.query, tags: queryList(req.query.tags) }),
+    ...visibleScope(req.auth, req.query.namespace)
+  };
+  let page;
+  const query = String(req.query.q || '').trim().toLowerCase();
+  if (query) {
+    const found = await searchEntries(query, { limit, offset, filters, rank });
+    page = {
+      total: found.total,
+      items: found.results.map(v => ({ ...entrySummary(v), trust: v.trust, ...searchMatch(v, query) }))
+    };
+  } else {
+    page = await listEntries(filters, { limit, offset, rank });
+  }
+  const nextOffset = offset + page.items.length;
   res.json({
-    status: 'ok',
-    storage: 'disk',
-    entries: Object.keys(sharedMemory).length,
-    agents: Object.keys(registeredAgents).length
+    items: page.items,
+    total: page.total,
+    limit,
+    offset,
+    nextOffset: nextOffset < page.total ? nextOffset : null
   });
+}));
+v1.all('/', methodNotAllowed('GET'));
+
+v1.get('/:key', route(async (req, res) => {
+  const key = spaces.qualify(req.params.key, req.query.namespace);
+  spaces.assertRead(req.auth, spaces.namespaceOf(key));
+  const read = await readEntry(key, req.query, req.auth);
+  if (!read) {
+    throw req.query.version !== undefined
+      ? notFound(`Version ${req.query.version} of "${key}" not found`, { key, version: req.query.version })
+      : notFound(`Key "${key}" not found`, { key });
+  }
+  res.set('ETag', etag(read.entry.version));
+  const [entryTrust] = await trust.trustOf([read.entry]);
+  res.json({ ...read.entry, trust: entryTrust, ...read.part });
+}));
+
+// Create or replace the entry; 201 when the key is new
+v1.put('/:key', route(async (req, res) => {
+  const fields = entryFields(req.body, { partial: false });
+  const key = writableKey(req, fields.content.length);
+  const saved = await saveEntry({
+    key,
+    url: fields.url || null,
+    title: fields.title || key,
+    content: fields.content,
+    contentType: fields.contentType || 'text/plain',
+    tags: fields.tags || [],
+    metadata: fields.metadata || null,
+    storedBy: req.auth ? req.auth.username : 'anonymous',
+    storedAt: new Date().toISOString(),
+    provenance: { method: 'api' }
+  }, { ifVersion: precondition(req) });
+
+  res.set('ETag', etag(saved.version));
+  if (saved.version === 1) res.status(201).set('Location', resourcePath(key));
+  res.json(await savedView(key));
+}));
+
+// Change some fields (JSON merge-patch style); the result is a new version
+v1.patch('/:key', route(async (req, res) => {
+  const fields = entryFields(req.body, { partial: true });
+  const key = writableKey(req, fields.content ? fields.content.length : 0);
+  const current = await store.get(key);
+  if (!current || isExpired(current, new Date().toISOString())) throw notFound(`Key "${key}" not found`, { key });
+  const next = {
+    key,
+    url: current.url ?? null,
+    title: current.title,
+    content: current.content,
+    contentType: current.contentType ?? null,
+    tags: current.tags || [],
+    metadata: current.metadata ?? null,
+    ...fields,
+    storedBy: req.auth ? req.auth.username : 'anonymous',
+    storedAt: new Date().toISOString(),
+    expiresAt: current.expiresAt ?? null,
+    // Content that wasn't patched keeps the provenance it had
+    provenance: fields.content === undefined ? current.provenance : { method: 'api' }
+  };
+  if (!next.title) next.title = key;
+  const saved = await saveEntry(next, { ifVersion: precondition(req) });
+
+  res.set('ETag', etag(saved.version));
+  res.json(await savedView(key));
+}));
+
+v1.delete('/:key', route(async (req, res) => {
+  const key = writableKey(req);
+  await deleteEntry(req.auth, key, { ifVersion: precondition(req) });
+  res.status(204).end();
+}));
+v1.all('/:key', methodNotAllowed('GET, PUT, PATCH, DELETE'));
+
+app.use('/api/v1/memories', v1);
+app.use('/api/v1', (req, res) => sendError(res, notFound(`No such endpoint: ${req.method} ${req.originalUrl}`)));
+// Malformed or oversized bodies, reported like any other v1 error
+app.use('/api/v1', (err, req, res, next) => sendError(res, err));
+
+// Status of a scrape job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = readableJob(req.auth, req.params.id);
+  if (!job) return res.status(404).json({ error: 'Not found' });
+  res.json(job);
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'ok',
+      storage: store.name,
+      entries: await store.count(),
+      agents: Object.keys(registeredAgents).length,
+      scrapeQueue: jobs.stats(),
+      changeFeed: { streams: streams.size, webhooksPending: webhooks.pending() }
+    });
+  } catch (e) {
+    res.json({ status: 'degraded', storage: store.name, error: e.message });
+  }
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Shared Memory Experience running on port ${PORT}`);
-  console.log(`Storage: ${supabase ? 'supabase' : 'disk'}`);
-  console.log(`Entries (disk): ${Object.keys(sharedMemory).length}`);
+  console.log(`Storage: ${store.name}`);
+  console.log(`Embedder: ${embedder ? embedder.id : 'off'}`);
+  console.log(`Summarizer: ${summarizer ? summarizer.id : 'off'}`);
+  console.log(`Answerer: ${answerer ? answerer.id : 'off'}`);
+  const policies = retention.describe();
+  if (policies.length) console.log(`Retention: ${policies.map(p => `${p.tag}=${p.duration}`).join(', ')}`);
   console.log(`Registered agents (disk): ${Object.keys(registeredAgents).length}`);
 });
+
+loadAgentsFromSupabase();
+loadNamespacesFromSupabase();
+
+// Re-crawl scraped entries older than REFRESH_TTL_HOURS (0 disables)
+const refresher = createRefresher({
+  store,
+  refresh: (key, url) => jobs.run(
+    () => refreshEntry(key, { author: REFRESHER_USERNAME }),
+    { url, info: { type: 'refresh', key, namespace: spaces.namespaceOf(key), requestedBy: REFRESHER_USERNAME } }
+  ),
+  ttlMs: Number(process.env.REFRESH_TTL_HOURS ?? 168) * 3600 * 1000,
+  intervalMs: Number(process.env.REFRESH_INTERVAL_MINUTES || 15) * 60 * 1000,
+  batchSize: Number(process.env.REFRESH_BATCH_SIZE || 10)
+});
+refresher.start();
+
+// Purge expired entries and, past STORAGE_MAX_ENTRIES / STORAGE_MAX_CHARACTERS
+// (0 = no cap), evict the least recently used; pinned entries are kept
+const sweeper = createSweeper({
+  store,
+  remove: async key => {
+    const entry = await store.get(key);
+    if (!entry) return false;
+    await removeEntry(entry);
+    return true;
+  },
+  intervalMs: Number(process.env.SWEEP_INTERVAL_MINUTES || 5) * 60 * 1000,
+  batchSize: Number(process.env.SWEEP_BATCH_SIZE || 100),
+  maxEntries: Number(process.env.STORAGE_MAX_ENTRIES || 0),
+  maxCharacters: Number(process.env.STORAGE_MAX_CHARACTERS || 0)
+});
+sweeper.start();
+
+// Embed anything stored before the similarity index existed
+if (vectors) {
+  vectors.backfill()
+    .then(n => { if (n) console.log(`Embedded ${n} existing entries`); })
+    .catch(e => console.error('Embedding backfill failed:', e.message));
+}
+if (summaries) {
+  summaries.backfill()
+    .then(n => { if (n) console.log(`Summarized ${n} existing entries`); })
+    .catch(e => console.error('Summary backfill failed:', e.message));
+}
+
+// Flush buffered writes (access counts, the disk log) before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+  refresher.stop();
+  sweeper.stop();
+  for (const stream of streams) stream.end();
+  server.close();
+  try {
+    await store.close();
+  } catch (e) {
+    console.error('Closing storage failed:', e.message);
+  }
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,119 @@
+const { tokenize } = require('./search');
+const { sentences, overlap } = require('./summarizers');
+
+// Answerers compose an answer to a question from numbered passages. Every
+// answerer exposes { id, answer({ question, passages }) -> { answer, cited } }
+// where `answer` marks its sources as [n] (1-based into `passages`) and
+// `cited` lists those n; an empty answer means the passages don't answer it.
+
+const ANSWER_SENTENCES = 4;
+const ANSWER_CHARS = 800;
+
+// Offline default: quotes the passage sentences that cover the most question
+// terms, best first, each followed by the number of the passage it came
+// from. Never says anything the stored text doesn't.
+function createExtractiveAnswerer() {
+  function answerFrom({ question, passages }) {
+    const terms = new Set(tokenize(question));
+    if (!terms.size) return { answer: '', cited: [] };
+
+    const scored = [];
+    passages.forEach((p, i) => {
+      for (const s of sentences(p.passage)) {
+        const covered = new Set(s.terms.filter(t => terms.has(t))).size;
+        if (!covered || s.terms.length < 3) continue;
+        // coverage of the question, then the passage's own rank
+        scored.push({ ...s, n: i + 1, score: covered / terms.size + 0.1 / (1 + i) });
+      }
+    });
+    scored.sort((a, b) => b.score - a.score);
+
+    const taken = [];
+    let used = 0;
+    for (const s of scored) {
+      // Stop at sentences much weaker than the best: they are padding, not answer
+      if (taken.length >= ANSWER_SENTENCES || s.score < scored[0].score / 2) break;
+      if (taken.some(t => overlap(t.terms, s.terms) > 0.6)) continue;
+      if (taken.length && used + s.text.length > ANSWER_CHARS) continue;
+      taken.push(s);
+      used += s.text.length + 1;
+    }
+
+    return {
+      answer: taken.map(s => `${s.text} [${s.n}]`).join(' '),
+      cited: [...new Set(taken.map(s => s.n))]
+    };
+  }
+
+  return {
+    id: 'extractive-1',
+    async answer(input) { return answerFrom(input); }
+  };
+}
+
+// Any OpenAI-compatible /chat/completions endpoint, told to answer only from
+// the passages and to cite them. Passages are cut to `maxPassageChars` each.
+function createHttpAnswerer({ url, apiKey, model, maxPassageChars = 2000 }) {
+  const instructions = [
+    'Answer the question using only the numbered passages.',
+    'Cite every statement with the number of its passage in square brackets, like [2].',
+    'Answer with a JSON object only: {"answer": string}.',
+    'If the passages do not answer the question, use an empty string.'
+  ].join(' ');
+
+  return {
+    id: `http:${model}`,
+    async answer({ question, passages }) {
+      const numbered = passages
+        .map((p, i) => `[${i + 1}] ${p.title || p.key}\n${p.passage.slice(0, maxPassageChars)}`)
+        .join('\n\n');
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: instructions },
+            { role: 'user', content: `Question: ${question}\n\nPassages:\n\n${numbered}` }
+          ]
+        })
+      });
+      if (!res.ok) throw new Error(`Answer request failed: HTTP ${res.status}`);
+      const body = await res.json();
+      let parsed;
+      try {
+        parsed = JSON.parse(body.choices[0].message.content);
+      } catch {
+        throw new Error('Answer response was not the JSON object asked for');
+      }
+      const answer = typeof parsed.answer === 'string' ? parsed.answer.trim() : '';
+      // Only citations of passages that were actually given count
+      const cited = [...answer.matchAll(/\[(\d+)\]/g)]
+        .map(m => Number(m[1]))
+        .filter(n => n >= 1 && n <= passages.length);
+      return { answer, cited: [...new Set(cited)] };
+    }
+  };
+}
+
+// Pick an answerer from env-style config: ANSWERER = extractive | http | off.
+function createAnswerer({ kind = 'extractive', url, apiKey, model, maxPassageChars } = {}) {
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'extractive':
+      return createExtractiveAnswerer();
+    case 'http':
+      if (!url || !model) throw new Error('ANSWERER=http requires ANSWERER_URL and ANSWERER_MODEL');
+      return createHttpAnswerer({ url, apiKey, model, maxPassageChars });
+    default:
+      throw new Error(`Unknown answerer: ${kind}`);
+  }
+}
+
+module.exports = { createAnswerer, createExtractiveAnswerer, createHttpAnswerer };
@@ -0,0 +1,127 @@
+const { chunkText } = require('./embeddings');
+const { bestChunk, documentChunks, chunkAt } = require('./documents');
+const { tokenize } = require('./search');
+const { createExtractiveAnswerer } = require('./answerers');
+
+// Question answering: the passages that best cover the question go to the
+// answerer, and citations give each one's entry and character range.
+
+const PASSAGE_SIZE = 800;
+const SEARCH_ENTRIES = 8;
+const SIMILARITY_WEIGHT = 0.5;
+
+function createQuestionAnswering({ store, vectors, answerer }) {
+  const extractive = createExtractiveAnswerer();
+
+  async function retrieve(question, { filters, limit }) {
+    const candidates = new Map();
+    const chunksOf = new Map();
+    function add(entry, start, end, similarity = 0) {
+      const id = `${entry.key}@${start}`;
+      const seen = candidates.get(id);
+      if (seen) {
+        seen.similarity = Math.max(seen.similarity, similarity);
+        return;
+      }
+      if (!chunksOf.has(entry.key)) chunksOf.set(entry.key, documentChunks(entry.content));
+      candidates.set(id, {
+        key: entry.key,
+        title: entry.title,
+        url: entry.url,
+        chunk: chunkAt(chunksOf.get(entry.key), start),
+        start,
+        end,
+        passage: entry.content.slice(start, end).trim(),
+        similarity
+      });
+    }
+
+    const { results } = await store.search(question, { limit: SEARCH_ENTRIES, filters });
+    for (const entry of results) {
+      const part = bestChunk(entry.content, question);
+      for (const p of chunkText(part.text, { size: PASSAGE_SIZE, overlap: 100 })) {
+        add(entry, part.start + p.start, part.start + p.end);
+      }
+    }
+    if (vectors) {
+      const hits = await vectors.query(question, { limit: limit * 2, filters });
+      const byKey = new Map();
+      for (const hit of hits) {
+        if (!byKey.has(hit.key)) byKey.set(hit.key, await store.get(hit.key));
+        if (byKey.get(hit.key)) add(byKey.get(hit.key), hit.start, hit.end, hit.score);
+      }
+    }
+
+    // Question terms weighted by rarity among the candidates, so a passage
+    // with the one unusual word beats one with several common ones
+    const terms = [...new Set(tokenize(question))];
+    const pool = [...candidates.values()].map(c => ({ ...c, terms: new Set(tokenize(c.passage)) }));
+    const weight = new Map(terms.map(t => {
+      const df = pool.filter(c => c.terms.has(t)).length;
+      return [t, Math.log(1 + pool.length / (1 + df))];
+    }));
+    const totalWeight = terms.reduce((sum, t) => sum + weight.get(t), 0) || 1;
+    const ranked = pool
+      .map(({ terms: have, ...c }) => {
+        const coverage = terms.filter(t => have.has(t)).reduce((sum, t) => sum + weight.get(t), 0) / totalWeight;
+        return { ...c, score: coverage + SIMILARITY_WEIGHT * c.similarity };
+      })
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    // Overlapping passages of one entry (keyword and similarity windows
+    // rarely line up) count once
+    const picked = [];
+    for (const c of ranked) {
+      if (picked.length >= limit) break;
+      if (picked.some(p => p.key === c.key && p.start < c.end && c.start < p.end)) continue;
+      picked.push(c);
+    }
+    return picked;
+  }
+
+  // -> { answer, answerer, citations, passages }: `citations` are the cited
+  // passages, renumbered in order of first mention as in `answer`; `passages`
+  // is everything the answer was drawn from. A failing answerer model falls
+  // back to the extractive answer (`answerer` says which one answered).
+  async function ask(question, { filters, limit = 5, mode } = {}) {
+    const passages = await retrieve(question, { filters, limit });
+    if (!passages.length) return { answer: '', answerer: null, citations: [], passages };
+
+    let used = mode === 'extractive' ? extractive : answerer;
+    let result;
+    try {
+      result = await used.answer({ question, passages });
+    } catch (e) {
+      if (used === extractive) throw e;
+      console.error('Answer failed, falling back to extractive:', e.message);
+      used = extractive;
+      result = await extractive.answer({ question, passages });
+    }
+
+    const order = [];
+    for (const m of result.answer.matchAll(/\[(\d+)\]/g)) {
+      const n = Number(m[1]);
+      if (result.cited.includes(n) && !order.includes(n)) order.push(n);
+    }
+    const answer = result.answer.replace(/ ?\[(\d+)\]/g, (marker, n) => {
+      const i = order.indexOf(Number(n));
+      return i === -1 ? '' : marker.replace(n, i + 1);
+    });
+    const citations = order.map((n, i) => {
+      const { similarity, ...p } = passages[n - 1];
+      return { n: i + 1, ...p, score: Number(p.score.toPrecision(4)) };
+    });
+
+    return {
+      answer,
+      answerer: used.id,
+      citations,
+      passages: passages.map(({ similarity, ...p }) => ({ ...p, score: Number(p.score.toPrecision(4)) }))
+    };
+  }
+
+  return { id: answerer.id, retrieve, ask };
+}
+
+module.exports = { createQuestionAnswering };
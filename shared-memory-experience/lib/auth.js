@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Per-agent API keys. Keys are random and only their SHA-256 is stored, so a
+// leaked agents.json / agents table doesn't leak usable credentials.
+
+const KEY_PREFIX = 'sm_';
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  return m ? m[1] : null;
+}
+
+// Resolve a bearer token to { username, role } or null.
+//   agents      -> () => registry of { [username]: { apiKeyHash, ... } }
+//   adminKey    -> operator token (ADMIN_API_KEY); acts as username "admin"
+//   adminAgents -> usernames whose own keys carry the admin role (ADMIN_AGENTS)
+function createTokenResolver({ agents, adminKey, adminAgents = [] }) {
+  const admins = new Set(adminAgents);
+
+  return function resolve(token) {
+    if (!token) return null;
+    if (adminKey && safeEqual(token, adminKey)) return { username: 'admin', role: 'admin' };
+
+    const hash = hashApiKey(token);
+    for (const [username, agent] of Object.entries(agents())) {
+      if (agent.apiKeyHash && safeEqual(agent.apiKeyHash, hash)) {
+        return { username, role: admins.has(username) ? 'admin' : 'agent' };
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = { generateApiKey, hashApiKey, bearerToken, createTokenResolver };
@@ -0,0 +1,128 @@
+const { parseRobots, rulesFor, matchRule } = require('./robots');
+
+// Whether we may fetch a URL: the operator's domain lists, then the site's
+// robots.txt (cached per origin, with its Crawl-delay per host).
+
+class CrawlPolicyError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'CrawlPolicyError';
+    this.reason = reason; // denylist | allowlist | robots
+  }
+}
+
+function domainList(value) {
+  return String(value || '').split(',').map(d => d.trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+}
+
+function onList(host, domains) {
+  return domains.some(d => host === d || host.endsWith('.' + d));
+}
+
+const FAILED_CACHE_MS = 10 * 60 * 1000; // retry unreachable robots.txt sooner
+const MAX_CACHED_ORIGINS = 1000;
+
+// fetchRobots(url) resolves to { status, text }; it must not call check(),
+// which would wait on the very load it is part of.
+function createCrawlPolicy({
+  productToken,
+  fetchRobots,
+  allowDomains = [],
+  denyDomains = [],
+  respectRobots = true,
+  cacheMs = 24 * 60 * 60 * 1000,
+  maxDelayMs = 30 * 1000,
+  robotsTimeoutMs = 30 * 1000
+}) {
+  const cache = new Map(); // origin -> { rules, crawlDelay, unreachable, expiresAt } or a pending promise
+  const delays = new Map(); // host -> ms between requests
+
+  async function load(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    let policy;
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${robotsTimeoutMs / 1000}s`)), robotsTimeoutMs);
+      });
+      const { status, text } = await Promise.race([fetchRobots(robotsUrl), timeout]);
+      if (status >= 200 && status < 300) {
+        policy = rulesFor(parseRobots(text), productToken);
+      } else if (status >= 400 && status < 500) {
+        policy = { rules: [], crawlDelay: null }; // no robots.txt: everything allowed
+      } else {
+        policy = { unreachable: `HTTP ${status}` };
+      }
+    } catch (e) {
+      // A host we may not connect to at all isn't "unreachable"; say why
+      if (e.code === 'EBLOCKED') throw e;
+      policy = { unreachable: e.message };
+    } finally {
+      clearTimeout(timer);
+    }
+    policy.expiresAt = Date.now() + (policy.unreachable ? FAILED_CACHE_MS : cacheMs);
+    return policy;
+  }
+
+  async function robotsFor(u) {
+    const origin = u.origin;
+    const hit = cache.get(origin);
+    if (hit && (hit instanceof Promise || hit.expiresAt > Date.now())) return hit;
+
+    const pending = load(origin);
+    cache.set(origin, pending);
+    let policy;
+    try {
+      policy = await pending;
+    } finally {
+      cache.delete(origin);
+    }
+    cache.set(origin, policy);
+    if (cache.size > MAX_CACHED_ORIGINS) cache.delete(cache.keys().next().value);
+    if (policy.crawlDelay) delays.set(u.hostname, Math.min(policy.crawlDelay * 1000, maxDelayMs));
+    else delays.delete(u.hostname);
+    return policy;
+  }
+
+  // The operator's lists alone; robots.txt fetches are held to these
+  function checkDomain(u) {
+    const host = u.hostname.toLowerCase();
+    if (onList(host, denyDomains)) {
+      throw new CrawlPolicyError(`${host} is on this server's crawl denylist`, 'denylist');
+    }
+    if (allowDomains.length && !onList(host, allowDomains)) {
+      throw new CrawlPolicyError(`${host} is not on this server's crawl allowlist`, 'allowlist');
+    }
+  }
+
+  // Throws CrawlPolicyError when `u` (a URL object) may not be fetched
+  async function check(u) {
+    checkDomain(u);
+    if (!respectRobots || u.pathname === '/robots.txt') return;
+    const host = u.hostname.toLowerCase();
+
+    const policy = await robotsFor(u);
+    if (policy.unreachable) {
+      throw new CrawlPolicyError(
+        `Couldn't fetch ${u.origin}/robots.txt (${policy.unreachable}); not crawling ${host} until it can be read`,
+        'robots'
+      );
+    }
+    const rule = matchRule(policy.rules, u.pathname + u.search);
+    if (rule && !rule.allow) {
+      throw new CrawlPolicyError(
+        `${u.origin}/robots.txt disallows ${u.pathname} for ${productToken} (Disallow: ${rule.path})`,
+        'robots'
+      );
+    }
+  }
+
+  // Crawl-delay for a host from its last robots.txt, in ms (0 if none)
+  function crawlDelay(host) {
+    return delays.get(host) || 0;
+  }
+
+  return { check, checkDomain, crawlDelay };
+}
+
+module.exports = { createCrawlPolicy, CrawlPolicyError, domainList };
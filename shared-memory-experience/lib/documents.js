@@ -0,0 +1,87 @@
+const { chunkText } = require('./embeddings');
+const { tokenize } = require('./search');
+
+// Large documents are stored whole under their key and served in ordered
+// chunks. Chunk boundaries are derived from the content (cut at a line or
+// word break near every CHUNK_SIZE characters), so they need no storage of
+// their own and stay stable for a given version.
+
+const MAX_DOCUMENT_LENGTH = 1000000; // characters kept per entry
+const CHUNK_SIZE = 50000;
+
+function documentChunks(content) {
+  const chunks = chunkText(content || '', { size: CHUNK_SIZE, overlap: 0 });
+  return chunks.length ? chunks : [{ index: 0, start: 0, end: 0, text: '' }];
+}
+
+function chunkAt(chunks, offset) {
+  const hit = chunks.find(c => offset < c.end);
+  return hit ? hit.index : chunks.length - 1;
+}
+
+function intParam(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+// The part of `content` a get asks for: a `chunk` number, a `start`/`end`
+// character range (at most CHUNK_SIZE long), or by default the first chunk.
+// Returns { content, chunk, totalChunks, nextChunk, start, end, truncated }
+// or { error }. `truncated` means the returned content isn't the whole document.
+function selectContent(content, { chunk, start, end } = {}) {
+  const text = content || '';
+  const chunks = documentChunks(text);
+  const wanted = { chunk: intParam(chunk), start: intParam(start), end: intParam(end) };
+  if (Object.values(wanted).some(Number.isNaN)) {
+    return { error: 'chunk, start and end must be non-negative integers' };
+  }
+
+  let from, to, index;
+  if (wanted.start !== undefined || wanted.end !== undefined) {
+    from = Math.min(wanted.start ?? 0, text.length);
+    to = Math.min(wanted.end ?? from + CHUNK_SIZE, text.length, from + CHUNK_SIZE);
+    if (to < from) return { error: 'end must not be before start' };
+    index = chunkAt(chunks, from);
+  } else {
+    index = wanted.chunk ?? 0;
+    if (index >= chunks.length) {
+      return { error: `Chunk ${index} out of range (document has ${chunks.length})` };
+    }
+    ({ start: from, end: to } = chunks[index]);
+  }
+
+  return {
+    content: text.slice(from, to),
+    chunk: index,
+    totalChunks: chunks.length,
+    nextChunk: index + 1 < chunks.length ? index + 1 : null,
+    start: from,
+    end: to,
+    truncated: from > 0 || to < text.length
+  };
+}
+
+// The chunk where the query terms are densest, for pointing search hits into
+// long documents. Ties go to the earlier chunk.
+function bestChunk(content, query) {
+  const chunks = documentChunks(content);
+  if (chunks.length === 1) return chunks[0];
+  const terms = new Set(tokenize(query));
+
+  let best = chunks[0];
+  let bestScore = -1;
+  for (const c of chunks) {
+    const seen = new Set();
+    let hits = 0;
+    for (const t of tokenize(c.text)) {
+      if (terms.has(t)) { hits++; seen.add(t); }
+    }
+    // Distinct terms first, raw frequency as the tie-breaker
+    const score = seen.size * 1e6 + hits;
+    if (score > bestScore) { best = c; bestScore = score; }
+  }
+  return best;
+}
+
+module.exports = { MAX_DOCUMENT_LENGTH, CHUNK_SIZE, documentChunks, chunkAt, selectContent, bestChunk };
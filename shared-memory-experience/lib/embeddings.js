@@ -0,0 +1,140 @@
+const { tokenize } = require('./search');
+
+// Embedders turn text into unit-length vectors so cosine similarity is a dot
+// product. Every embedder exposes { id, dimensions, embed(texts) -> vectors };
+// `id` is stored next to each vector so a model change triggers a re-index.
+
+// FNV-1a, 32-bit
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (const x of vec) norm += x * x;
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+// Offline default: feature-hashed unigrams + bigrams with sublinear term
+// frequency. No model download and no network, good enough to catch
+// paraphrases that share stems.
+function createHashingEmbedder({ dimensions = 256 } = {}) {
+  function embedOne(text) {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    for (let i = 0; i < tokens.length; i++) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+      if (i > 0) {
+        const bigram = tokens[i - 1] + ' ' + tokens[i];
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    }
+    const vec = new Array(dimensions).fill(0);
+    for (const [feature, tf] of counts) {
+      const h = hash32(feature);
+      const sign = h & 0x80000000 ? -1 : 1;
+      vec[h % dimensions] += sign * (1 + Math.log(tf));
+    }
+    return normalize(vec);
+  }
+
+  return {
+    id: `hashing-${dimensions}`,
+    dimensions,
+    async embed(texts) { return texts.map(embedOne); }
+  };
+}
+
+// Any OpenAI-compatible /embeddings endpoint.
+function createHttpEmbedder({ url, apiKey, model, dimensions }) {
+  return {
+    id: `http:${model}`,
+    dimensions,
+    async embed(texts) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input: texts, ...(dimensions ? { dimensions } : {}) })
+      });
+      if (!res.ok) throw new Error(`Embedding request failed: HTTP ${res.status}`);
+      const body = await res.json();
+      return body.data
+        .sort((a, b) => a.index - b.index)
+        .map(d => normalize(d.embedding.slice()));
+    }
+  };
+}
+
+// Pick an embedder from env-style config: EMBEDDER = hashing | http | off.
+function createEmbedder({ kind = 'hashing', dimensions = 256, url, apiKey, model } = {}) {
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'hashing':
+      return createHashingEmbedder({ dimensions });
+    case 'http':
+      if (!url || !model) throw new Error('EMBEDDER=http requires EMBEDDINGS_URL and EMBEDDINGS_MODEL');
+      return createHttpEmbedder({ url, apiKey, model, dimensions });
+    default:
+      throw new Error(`Unknown embedder: ${kind}`);
+  }
+}
+
+// Split text into overlapping passages, preferring to cut at paragraph,
+// sentence or word boundaries. Offsets index into the original text.
+function chunkText(text, { size = 800, overlap = 100 } = {}) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. ') + 1, window.lastIndexOf(' '));
+      if (cut > size / 2) end = start + cut + 1;
+    }
+    const passage = text.slice(start, end);
+    if (passage.trim()) chunks.push({ index: chunks.length, start, end, text: passage });
+    if (end >= text.length) break;
+
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+// Compact on-disk form: little-endian float32, base64 for JSON files.
+function encodeVector(vec) {
+  return Buffer.from(new Float32Array(vec).buffer);
+}
+
+function decodeVector(bytes) {
+  // Copy first: Buffer/Uint8Array views may not be 4-byte aligned.
+  return new Float32Array(Uint8Array.from(bytes).buffer);
+}
+
+module.exports = {
+  createEmbedder,
+  createHashingEmbedder,
+  chunkText,
+  dot,
+  encodeVector,
+  decodeVector
+};
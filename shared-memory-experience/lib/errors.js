@@ -0,0 +1,64 @@
+const { VersionConflictError } = require('./storage/common');
+const { QuotaExceededError } = require('./quota');
+const { NamespaceAccessError, NamespaceNotFoundError } = require('./namespaces');
+const { CrawlPolicyError } = require('./crawl-policy');
+
+// Errors as the REST API reports them: a status and { error: { code, message,
+// details? } }. Anything not an ApiError or a known domain error is a 500.
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'invalid_request', message, details);
+const unauthorized = message => new ApiError(401, 'unauthorized', message);
+const forbidden = (message, details) => new ApiError(403, 'forbidden', message, details);
+const notFound = (message, details) => new ApiError(404, 'not_found', message, details);
+
+// -> { status, code, message, details }
+function describeError(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, code: err.code, message: err.message, details: err.details };
+  }
+  if (err instanceof VersionConflictError) {
+    return {
+      status: 412,
+      code: 'version_mismatch',
+      message: err.message,
+      details: { expectedVersion: err.expectedVersion, currentVersion: err.currentVersion }
+    };
+  }
+  if (err instanceof QuotaExceededError) {
+    return { status: 403, code: 'quota_exceeded', message: err.message, details: { quota: err.usage } };
+  }
+  if (err instanceof NamespaceAccessError) {
+    return { status: 403, code: 'forbidden', message: err.message, details: { namespace: err.namespace } };
+  }
+  if (err instanceof NamespaceNotFoundError) {
+    return { status: 404, code: 'namespace_not_found', message: err.message, details: { namespace: err.namespace } };
+  }
+  if (err instanceof CrawlPolicyError) {
+    return { status: 403, code: 'crawl_refused', message: err.message, details: { refusedBy: err.reason } };
+  }
+  // body-parser's errors (malformed JSON, body too large) carry their status
+  if (err && err.expose && err.status >= 400 && err.status < 500) {
+    return {
+      status: err.status,
+      code: err.status === 413 ? 'payload_too_large' : 'invalid_request',
+      message: err.message
+    };
+  }
+  return { status: 500, code: 'internal', message: 'Internal server error' };
+}
+
+function errorBody({ code, message, details }) {
+  return { error: details === undefined ? { code, message } : { code, message, details } };
+}
+
+module.exports = { ApiError, badRequest, unauthorized, forbidden, notFound, describeError, errorBody };
@@ -0,0 +1,84 @@
+// In-process feed of memory changes. Every write or delete is published as
+//   { id, type: created|updated|deleted, key, version, title, url, tags, storedBy, at }
+// with an increasing numeric id. The last `historySize` events are kept so a
+// reconnecting SSE client can resume from the last id it saw.
+
+const EVENT_TYPES = ['created', 'updated', 'deleted'];
+
+function list(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+}
+
+// Normalize a filter (types, tags, agent, key prefix) from query parameters
+// or a subscription request; a missing field matches everything.
+function parseFilter({ types, tags, agent, prefix } = {}) {
+  const filter = {};
+  const t = list(types);
+  const unknown = t.filter(x => !EVENT_TYPES.includes(x));
+  if (unknown.length) throw new Error(`Unknown event type: ${unknown[0]} (expected ${EVENT_TYPES.join(', ')})`);
+  if (t.length) filter.types = t;
+  const g = list(tags).map(x => x.toLowerCase());
+  if (g.length) filter.tags = g;
+  if (agent) filter.agent = String(agent);
+  if (prefix) filter.prefix = String(prefix);
+  return filter;
+}
+
+function matchesFilter(event, filter = {}) {
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  if (filter.agent && event.storedBy !== filter.agent) return false;
+  if (filter.prefix && !event.key.startsWith(filter.prefix)) return false;
+  if (filter.tags) {
+    const tags = (event.tags || []).map(x => String(x).toLowerCase());
+    if (!filter.tags.some(t => tags.includes(t))) return false;
+  }
+  return true;
+}
+
+function createChangeFeed({ historySize = 1000 } = {}) {
+  const listeners = new Set();
+  const history = [];
+  let lastId = 0;
+
+  function publish(type, entry, { version } = {}) {
+    const event = {
+      id: ++lastId,
+      type,
+      key: entry.key,
+      version: version ?? entry.version ?? null,
+      title: entry.title || null,
+      url: entry.url || null,
+      tags: entry.tags || [],
+      storedBy: entry.storedBy,
+      at: new Date().toISOString()
+    };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error('Change listener failed:', e.message);
+      }
+    }
+    return event;
+  }
+
+  // Returns a function that removes the listener
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Kept events after `id`, oldest first. Older ones are gone for good.
+  function since(id) {
+    return history.filter(e => e.id > id);
+  }
+
+  return { publish, subscribe, since, listeners: () => listeners.size };
+}
+
+module.exports = { createChangeFeed, parseFilter, matchesFilter, EVENT_TYPES };
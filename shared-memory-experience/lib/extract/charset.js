@@ -0,0 +1,59 @@
+// Bytes -> string using the document's declared encoding.
+// Precedence follows browsers: byte-order mark, then the Content-Type
+// charset, then an in-document declaration (<meta charset>, <?xml encoding>).
+
+const BOMS = [
+  [[0xef, 0xbb, 0xbf], 'utf-8'],
+  [[0xff, 0xfe], 'utf-16le'],
+  [[0xfe, 0xff], 'utf-16be']
+];
+
+function bomCharset(buffer) {
+  for (const [bytes, label] of BOMS) {
+    if (bytes.every((b, i) => buffer[i] === b)) return label;
+  }
+  return null;
+}
+
+function headerCharset(contentType) {
+  const m = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  return m ? m[1] : null;
+}
+
+// Declarations must sit near the top of the document; latin1 keeps bytes 1:1.
+function declaredCharset(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const m = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head) ||
+    /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+  return m ? m[1] : null;
+}
+
+// windows-1252 (which the latin1/ascii labels also mean on the web) differs
+// from ISO-8859-1 only in 0x80-0x9F. Some Node releases decode it as plain
+// latin1, leaving C1 controls where smart quotes and dashes should be.
+const CP1252_C1 = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+  '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+function fixCp1252(text) {
+  return text.replace(/[\x80-\x9f]/g, c => CP1252_C1[c.charCodeAt(0) - 0x80]);
+}
+
+function decoderFor(label) {
+  try {
+    return new TextDecoder(label);
+  } catch {
+    return null;
+  }
+}
+
+function decode(buffer, contentType) {
+  const candidates = [bomCharset(buffer), headerCharset(contentType), declaredCharset(buffer), 'utf-8'];
+  for (const label of candidates) {
+    const decoder = label && decoderFor(label);
+    if (!decoder) continue;
+    const text = decoder.decode(buffer);
+    return decoder.encoding === 'windows-1252' ? fixCp1252(text) : text;
+  }
+}
+
+module.exports = { decode };
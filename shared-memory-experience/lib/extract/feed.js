@@ -0,0 +1,91 @@
+const { DOMParser } = require('linkedom');
+const { toMarkdown } = require('./html');
+
+// RSS 2.0, RSS 1.0 (RDF) and Atom -> Markdown with one section per item.
+
+function children(el, names) {
+  return el ? Array.from(el.children).filter(c => names.includes(c.tagName.toLowerCase())) : [];
+}
+
+function childText(el, ...names) {
+  const [c] = children(el, names);
+  const text = c && c.textContent.trim();
+  return text || null;
+}
+
+// Atom links carry the URL in href; the page link is rel="alternate" or has no rel.
+function atomLink(el) {
+  const links = children(el, ['link']);
+  const link = links.find(l => (l.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+  return link ? link.getAttribute('href') : null;
+}
+
+// Item bodies are usually escaped HTML; Atom may also inline XHTML.
+function bodyMarkdown(el) {
+  if (!el) return '';
+  const html = el.getAttribute('type') === 'xhtml' ? el.innerHTML : el.textContent;
+  return toMarkdown(html);
+}
+
+function readItem(item, atom) {
+  if (atom) {
+    const [body] = [...children(item, ['content']), ...children(item, ['summary'])];
+    return {
+      title: childText(item, 'title'),
+      link: atomLink(item),
+      date: childText(item, 'published', 'updated'),
+      author: childText(children(item, ['author'])[0], 'name'),
+      body: bodyMarkdown(body)
+    };
+  }
+  const [body] = [...children(item, ['content:encoded']), ...children(item, ['description'])];
+  return {
+    title: childText(item, 'title'),
+    link: childText(item, 'link', 'guid'),
+    date: childText(item, 'pubdate', 'dc:date'),
+    author: childText(item, 'dc:creator', 'author'),
+    body: bodyMarkdown(body)
+  };
+}
+
+function extractFeed(xml) {
+  const document = new DOMParser().parseFromString(xml, 'text/xml');
+  const root = document.documentElement;
+  const rootName = root ? root.tagName.toLowerCase() : '';
+  const atom = rootName === 'feed';
+  if (!atom && rootName !== 'rss' && rootName !== 'rdf:rdf') {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  // RSS 2.0 nests items in <channel>; RSS 1.0 puts them next to it.
+  const channel = atom ? root : children(root, ['channel'])[0];
+  const items = atom
+    ? children(root, ['entry'])
+    : [...children(channel, ['item']), ...children(root, ['item'])];
+
+  const title = childText(channel, 'title');
+  const description = childText(channel, 'description', 'subtitle');
+  const parsed = items.map(item => readItem(item, atom));
+  const sections = parsed.map(({ title: t, link, date, author, body }) => {
+    const heading = link ? `## [${t || link}](${link})` : `## ${t || 'Untitled'}`;
+    const byline = [date, author].filter(Boolean).join(' · ');
+    return [heading, byline && `_${byline}_`, body].filter(Boolean).join('\n\n');
+  });
+
+  return {
+    text: [title && `# ${title}`, description, ...sections].filter(Boolean).join('\n\n'),
+    links: [...new Set(parsed.map(i => i.link).filter(l => /^https?:/i.test(l || '')))],
+    metadata: {
+      title,
+      description,
+      author: atom ? childText(children(root, ['author'])[0], 'name') : childText(channel, 'managingeditor', 'dc:creator'),
+      publishedAt: atom ? childText(root, 'updated') : childText(channel, 'lastbuilddate', 'pubdate', 'dc:date'),
+      canonicalUrl: atom ? atomLink(root) : childText(channel, 'link'),
+      language: (atom && root.getAttribute('xml:lang')) || childText(channel, 'language', 'dc:language'),
+      siteName: title,
+      items: items.length
+    }
+  };
+}
+
+module.exports = { extractFeed };
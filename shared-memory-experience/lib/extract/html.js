@@ -0,0 +1,146 @@
+const { parseHTML } = require('linkedom');
+const { Readability } = require('@mozilla/readability');
+const TurndownService = require('turndown');
+
+// HTML -> Markdown with page metadata. Readability picks the main content,
+// falling back to the body stripped of boilerplate.
+
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form',
+  'nav', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]'
+];
+
+// class/id tokens that mark boilerplate blocks
+const NOISE_PATTERN = /(^|[-_\s])(cookies?|consent|gdpr|newsletter|subscribe|signup|popup|modal|share|social|related|comments?|advert|ads?|promo|sidebar|breadcrumbs?)([-_\s]|$)/i;
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '_'
+});
+turndown.remove(['img', 'picture', 'video', 'audio', 'button']);
+
+// linkedom only builds a proper <body> when the markup has one
+function parseDocument(html) {
+  const markup = /<body[\s>]/i.test(html) ? html : `<!doctype html><html><head></head><body>${html}</body></html>`;
+  return parseHTML(markup).document;
+}
+
+function meta(document, ...names) {
+  for (const name of names) {
+    const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+    const value = el && el.getAttribute('content');
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function absolute(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href, base || undefined).toString();
+  } catch { return base ? null : href; }
+}
+
+function collectMetadata(document, url) {
+  const openGraph = {};
+  for (const el of document.querySelectorAll('meta[property^="og:"]')) {
+    const value = el.getAttribute('content');
+    if (value) openGraph[el.getAttribute('property').slice(3)] = value.trim();
+  }
+
+  const timeEl = document.querySelector('time[datetime]');
+  const canonical = document.querySelector('link[rel="canonical"]');
+  const html = document.documentElement;
+
+  return {
+    title: meta(document, 'og:title', 'twitter:title') ||
+      (document.querySelector('title')?.textContent || '').trim() || null,
+    description: meta(document, 'description', 'og:description', 'twitter:description'),
+    author: meta(document, 'author', 'article:author', 'parsely-author', 'dc.creator'),
+    publishedAt: meta(document, 'article:published_time', 'datePublished', 'pubdate', 'dc.date') ||
+      (timeEl && timeEl.getAttribute('datetime')) || null,
+    canonicalUrl: absolute(canonical && canonical.getAttribute('href'), url) || openGraph.url || null,
+    language: (html && html.getAttribute('lang')) || meta(document, 'og:locale', 'language') || null,
+    siteName: meta(document, 'og:site_name', 'application-name'),
+    openGraph
+  };
+}
+
+function stripNoise(document) {
+  for (const el of document.querySelectorAll(NOISE_SELECTORS.join(','))) el.remove();
+  for (const el of document.querySelectorAll('[class], [id]')) {
+    const marker = `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''}`;
+    if (NOISE_PATTERN.test(marker) && el.tagName !== 'BODY' && el.tagName !== 'HTML' && el.tagName !== 'ARTICLE' && el.tagName !== 'MAIN') {
+      el.remove();
+    }
+  }
+}
+
+function toMarkdown(html) {
+  return turndown.turndown(html)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Parsed document with absolute links and boilerplate removed
+function prepare(html, url) {
+  const document = parseDocument(html);
+  for (const a of document.querySelectorAll('a[href]')) {
+    const href = absolute(a.getAttribute('href'), url);
+    if (href) a.setAttribute('href', href);
+  }
+  stripNoise(document);
+  return document;
+}
+
+const MAX_LINKS = 500;
+
+// Distinct http(s) targets of the links in `document`, without fragments
+function contentLinks(document) {
+  const links = new Set();
+  for (const a of document.querySelectorAll('a[href]')) {
+    const href = a.getAttribute('href');
+    if (!/^https?:/i.test(href)) continue;
+    links.add(href.replace(/#.*$/, ''));
+    if (links.size >= MAX_LINKS) break;
+  }
+  return [...links];
+}
+
+// Returns { text, metadata, links }. `text` is Markdown; `links` are the
+// absolute URLs the main content links to.
+function extractHtml(html, { url } = {}) {
+  const document = prepare(html, url);
+  const metadata = collectMetadata(document, url);
+
+  let article = null;
+  try {
+    article = new Readability(document, { charThreshold: 200 }).parse();
+  } catch {}
+
+  let text, links;
+  if (article && article.content && article.textContent.trim().length >= 200) {
+    text = toMarkdown(article.content);
+    links = contentLinks(parseDocument(article.content));
+    metadata.author = metadata.author || article.byline || null;
+    metadata.publishedAt = metadata.publishedAt || article.publishedTime || null;
+    metadata.language = metadata.language || article.lang || null;
+    metadata.siteName = metadata.siteName || article.siteName || null;
+    metadata.description = metadata.description || article.excerpt || null;
+    metadata.title = metadata.title || article.title || null;
+  } else {
+    // Readability mutates the document, so start again from the markup
+    const body = prepare(html, url).body;
+    text = toMarkdown(body.innerHTML);
+    links = contentLinks(body);
+  }
+
+  return { text, metadata, links };
+}
+
+module.exports = { extractHtml, toMarkdown };
@@ -0,0 +1,78 @@
+const { decode } = require('./charset');
+const { extractHtml } = require('./html');
+const { extractPdf } = require('./pdf');
+const { extractJson } = require('./json');
+const { extractFeed } = require('./feed');
+const { MAX_DOCUMENT_LENGTH } = require('../documents');
+
+// Fetched document -> { text, metadata, contentType, truncated, links, extractor },
+// with the extractor picked by Content-Type or, failing that, by sniffing.
+
+// Bump when a change to any extractor changes the text it produces, so
+// entries show which code their content came from
+const EXTRACTOR_VERSION = 1;
+
+const METADATA_DEFAULTS = {
+  title: null,
+  description: null,
+  author: null,
+  publishedAt: null,
+  canonicalUrl: null,
+  language: null,
+  siteName: null
+};
+
+function mimeType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function sniff(buffer) {
+  const head = buffer.subarray(0, 512).toString('latin1').replace(/^\xEF\xBB\xBF/, '').trimStart();
+  if (head.startsWith('%PDF-')) return 'application/pdf';
+  if (head.startsWith('<') && /<(rss|feed|rdf:RDF)[\s>]/i.test(head)) return 'application/rss+xml';
+  if (/^<(!doctype html|html|head|body)[\s>]/i.test(head)) return 'text/html';
+  if (/^[{[]/.test(head)) return 'application/json';
+  return null;
+}
+
+// Which extractor handles a MIME type (null = unsupported).
+function kindOf(mime, buffer) {
+  if (mime === 'application/pdf') return 'pdf';
+  if (mime === 'text/html' || mime === 'application/xhtml+xml') return 'html';
+  if (/^application\/(rss|atom|rdf)\+xml$/.test(mime)) return 'feed';
+  if (mime === 'application/json' || mime.endsWith('+json')) return 'json';
+  // Generic XML is often a feed served without its specific type
+  if (mime === 'text/xml' || mime === 'application/xml') return sniff(buffer) === 'application/rss+xml' ? 'feed' : 'text';
+  if (mime.startsWith('text/')) return 'text';
+  return null;
+}
+
+async function extractDocument({ body, contentType, url }) {
+  let mime = mimeType(contentType);
+  if (!mime || mime === 'application/octet-stream' || mime === 'binary/octet-stream') mime = sniff(body) || mime;
+
+  const kind = kindOf(mime, body);
+  if (!kind) throw new Error(`Unsupported content type: ${mime || 'unknown'}`);
+
+  let result;
+  if (kind === 'pdf') {
+    result = await extractPdf(body);
+  } else {
+    const source = decode(body, contentType);
+    if (kind === 'html') result = extractHtml(source, { url });
+    else if (kind === 'feed') result = extractFeed(source);
+    else if (kind === 'json') result = extractJson(source, { maxLength: MAX_DOCUMENT_LENGTH });
+    else result = { text: source.trim(), metadata: {} };
+  }
+
+  return {
+    text: result.text.slice(0, MAX_DOCUMENT_LENGTH),
+    truncated: result.text.length > MAX_DOCUMENT_LENGTH,
+    contentType: mime,
+    metadata: { ...METADATA_DEFAULTS, ...result.metadata },
+    links: result.links || [],
+    extractor: `${kind}@${EXTRACTOR_VERSION}`
+  };
+}
+
+module.exports = { extractDocument };
@@ -0,0 +1,44 @@
+// JSON -> text. Small documents are stored pretty-printed; documents too big
+// for an entry are flattened to one `path: value` line per leaf, which keeps
+// every value searchable and drops the indentation overhead.
+
+function flatten(value, path, lines) {
+  if (value && typeof value === 'object') {
+    const pairs = Array.isArray(value)
+      ? value.map((v, i) => [`${path}[${i}]`, v])
+      : Object.entries(value).map(([k, v]) => [path ? `${path}.${k}` : k, v]);
+    if (!pairs.length) lines.push(`${path || '$'}: ${Array.isArray(value) ? '[]' : '{}'}`);
+    for (const [p, v] of pairs) flatten(v, p, lines);
+  } else {
+    lines.push(`${path || '$'}: ${JSON.stringify(value)}`);
+  }
+  return lines;
+}
+
+function firstString(obj, fields) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  for (const f of fields) {
+    if (typeof obj[f] === 'string' && obj[f].trim()) return obj[f].trim();
+  }
+  return null;
+}
+
+function extractJson(source, { maxLength }) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+
+  const pretty = JSON.stringify(data, null, 2);
+  return {
+    text: pretty.length <= maxLength ? pretty : flatten(data, '', []).join('\n'),
+    metadata: {
+      title: firstString(data, ['title', 'name']),
+      description: firstString(data, ['description', 'summary'])
+    }
+  };
+}
+
+module.exports = { extractJson };
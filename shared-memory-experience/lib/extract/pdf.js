@@ -0,0 +1,34 @@
+const { PDFParse } = require('pdf-parse');
+
+// PDF -> plain text, one paragraph block per page, plus the document info dictionary.
+
+// PDF dates look like "D:20200528123000+02'00'"; keep what's there down to the second.
+function pdfDate(value) {
+  const m = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(String(value || ''));
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h, mi, s] = m;
+  return h ? `${y}-${mo}-${d}T${h}:${mi || '00'}:${s || '00'}Z` : `${y}-${mo}-${d}`;
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text, total } = await parser.getText({ pageJoiner: '' });
+    const { info = {} } = await parser.getInfo();
+    return {
+      text: text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+      metadata: {
+        title: info.Title || null,
+        description: info.Subject || null,
+        author: info.Author || null,
+        publishedAt: pdfDate(info.CreationDate),
+        language: info.Language || null,
+        pages: total
+      }
+    };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+module.exports = { extractPdf };
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// In-memory queue for outbound fetches, with global and per-host concurrency,
+// per-host spacing and retries with backoff; a restart forgets it.
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+function isTransient(err) {
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  return err.message === 'Timeout' || /^HTTP (408|425|429|5\d\d)$/.test(err.message);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function createJobQueue({
+  concurrency = 4,
+  perHost = 1,
+  hostDelayMs = 1000,
+  delayFor = () => 0,
+  retries = 2,
+  backoffMs = 2000,
+  maxQueued = 1000,
+  keepMs = 60 * 60 * 1000
+} = {}) {
+  const jobs = new Map(); // id -> job, in submission order
+  const queue = [];
+  const hosts = new Map(); // host -> { active, nextStart }
+  let running = 0;
+  let timer = null;
+
+  // What callers see: everything but the task and its promise
+  function view(job) {
+    const { task, promise, settle, host, notBefore, ...rest } = job;
+    return rest;
+  }
+
+  function hostState(host) {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0 });
+    return hosts.get(host);
+  }
+
+  function prune() {
+    const cutoff = Date.now() - keepMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+    for (const [host, h] of hosts) {
+      if (!h.active && h.nextStart < Date.now()) hosts.delete(host);
+    }
+  }
+
+  // Start whatever may run now; otherwise wake up when the next one may
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (let i = 0; i < queue.length && running < concurrency; i++) {
+      const job = queue[i];
+      const h = hostState(job.host);
+      const readyAt = Math.max(job.notBefore, h.nextStart);
+      if (h.active >= perHost) continue;
+      if (readyAt > now) {
+        wakeAt = Math.min(wakeAt, readyAt);
+        continue;
+      }
+      queue.splice(i--, 1);
+      h.active++;
+      h.nextStart = now + Math.max(hostDelayMs, delayFor(job.host));
+      running++;
+      execute(job).finally(() => {
+        h.active--;
+        running--;
+        pump();
+      });
+    }
+
+    if (wakeAt < Infinity && running < concurrency) {
+      timer = setTimeout(pump, wakeAt - now);
+      timer.unref();
+    }
+  }
+
+  async function execute(job) {
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    delete job.nextAttemptAt;
+    try {
+      job.result = await job.task();
+      job.status = 'succeeded';
+      delete job.error;
+      job.finishedAt = new Date().toISOString();
+      job.settle(null, job.result);
+    } catch (e) {
+      job.error = e.message;
+      if (job.attempts <= job.retries && isTransient(e)) {
+        job.status = 'queued';
+        job.notBefore = Date.now() + backoffMs * 2 ** (job.attempts - 1);
+        job.nextAttemptAt = new Date(job.notBefore).toISOString();
+        queue.push(job);
+        return;
+      }
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.settle(e);
+    } finally {
+      if (job.finishedAt) prune();
+    }
+  }
+
+  // Queue `task` (an async function) for `url`'s host. `info` is copied onto
+  // the job for callers to read back; `urgent` jumps the queue, for requests
+  // a client is waiting on. Returns the job as callers see it.
+  function submit(task, { url, info = {}, retries: maxRetries = retries, urgent = false } = {}) {
+    if (queue.length >= maxQueued) throw new Error('Scrape queue is full; try again later');
+
+    const job = {
+      id: crypto.randomUUID(),
+      ...info,
+      url,
+      status: 'queued',
+      attempts: 0,
+      retries: maxRetries,
+      createdAt: new Date().toISOString(),
+      notBefore: 0,
+      host: hostOf(url),
+      task
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.settle = (err, result) => (err ? reject(err) : resolve(result));
+    });
+    job.promise.catch(() => {}); // nobody may be waiting on background jobs
+
+    jobs.set(job.id, job);
+    if (urgent) queue.unshift(job);
+    else queue.push(job);
+    pump();
+    return view(job);
+  }
+
+  // Submit and wait for the outcome
+  function run(task, options) {
+    const { id } = submit(task, options);
+    return jobs.get(id).promise;
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? view(job) : null;
+  }
+
+  function stats() {
+    return { queued: queue.length, running };
+  }
+
+  return { submit, run, get, stats };
+}
+
+module.exports = { createJobQueue, isTransient };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+
+// Load/save helpers. A missing file loads as `defaultVal`; one that exists
+// but doesn't parse is an error, so a damaged file is never mistaken for an
+// empty one (and then overwritten).
+function loadJSON(file, defaultVal = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return defaultVal;
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file} is corrupt (${e.message}); restore it from a backup or move it aside`);
+  }
+}
+
+// Write to a temp file, flush it to disk, then rename over the target: a
+// crash leaves either the old file or the new one, never half of each.
+function saveJSON(file, data, { pretty = true } = {}) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { loadJSON, saveJSON };
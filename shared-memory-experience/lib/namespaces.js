@@ -0,0 +1,127 @@
+// Namespaces partition the keyspace: "team-x:<key>" is in team-x, other keys
+// in the commons. Visibility is public, team or private; admins may do anything.
+
+const SEPARATOR = ':';
+const COMMONS = 'commons';
+const VISIBILITIES = ['public', 'team', 'private'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+class NamespaceAccessError extends Error {
+  constructor(message, namespace) {
+    super(message);
+    this.name = 'NamespaceAccessError';
+    this.namespace = namespace;
+  }
+}
+
+class NamespaceNotFoundError extends Error {
+  constructor(namespace) {
+    super(`Namespace "${namespace}" not found`);
+    this.name = 'NamespaceNotFoundError';
+    this.namespace = namespace;
+  }
+}
+
+function validName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && name !== COMMONS;
+}
+
+function createNamespaces({ namespaces }) {
+  function get(name) {
+    return Object.prototype.hasOwnProperty.call(namespaces(), name) ? namespaces()[name] : null;
+  }
+
+  // Namespace of a stored key, or null for the commons
+  function namespaceOf(key) {
+    const i = String(key).indexOf(SEPARATOR);
+    if (i <= 0) return null;
+    const name = key.slice(0, i);
+    return get(name) ? name : null;
+  }
+
+  // Resolve a `namespace` request parameter: null for the commons, else a
+  // registered name. Throws for unknown names.
+  function resolve(namespace) {
+    if (namespace === undefined || namespace === null || namespace === '' || namespace === COMMONS) return null;
+    if (!get(namespace)) throw new NamespaceNotFoundError(namespace);
+    return namespace;
+  }
+
+  // The stored key for `key` in `namespace`. Keys that already carry a
+  // namespace are left alone, so entries elsewhere can still be named in full.
+  function qualify(key, namespace) {
+    if (key === undefined || key === null || key === '') return key;
+    key = String(key);
+    const name = resolve(namespace);
+    if (!name || namespaceOf(key)) return key;
+    return `${name}${SEPARATOR}${key}`;
+  }
+
+  function isMember(caller, ns) {
+    return Boolean(caller) && (ns.owner === caller.username || (ns.members || []).includes(caller.username));
+  }
+
+  function canRead(caller, name) {
+    if (!name || (caller && caller.role === 'admin')) return true;
+    const ns = get(name);
+    if (!ns) return true;
+    if (ns.visibility === 'public') return true;
+    if (ns.visibility === 'private') return Boolean(caller) && ns.owner === caller.username;
+    return isMember(caller, ns);
+  }
+
+  function canWrite(caller, name) {
+    if (!name || (caller && caller.role === 'admin')) return true;
+    const ns = get(name);
+    if (!ns) return true;
+    if (ns.visibility === 'private') return Boolean(caller) && ns.owner === caller.username;
+    return isMember(caller, ns);
+  }
+
+  function assertRead(caller, name) {
+    if (!canRead(caller, name)) throw new NamespaceAccessError(`Namespace "${name}" is not readable by this agent`, name);
+  }
+
+  function assertWrite(caller, name) {
+    if (!canWrite(caller, name)) throw new NamespaceAccessError(`Namespace "${name}" is not writable by this agent`, name);
+  }
+
+  // Storage filters for list/search/stats: everything the caller may read, or
+  // only `namespace` when given (the commons being the keys outside any namespace).
+  function scope(caller, namespace) {
+    const all = Object.keys(namespaces());
+    if (namespace === COMMONS) return { excludeKeyPrefixes: all.map(n => n + SEPARATOR) };
+    const name = resolve(namespace);
+    if (name) {
+      assertRead(caller, name);
+      return { keyPrefix: name + SEPARATOR };
+    }
+    const hidden = all.filter(n => !canRead(caller, n));
+    return hidden.length ? { excludeKeyPrefixes: hidden.map(n => n + SEPARATOR) } : {};
+  }
+
+  // Whether `key` passes filters made by scope()
+  function inScope(key, { keyPrefix, excludeKeyPrefixes = [] } = {}) {
+    return (!keyPrefix || key.startsWith(keyPrefix)) && !excludeKeyPrefixes.some(p => key.startsWith(p));
+  }
+
+  // What a caller sees of a namespace; the member list only for those inside it
+  function view(caller, name) {
+    const ns = get(name);
+    const inside = (caller && caller.role === 'admin') || isMember(caller, ns);
+    return {
+      name,
+      visibility: ns.visibility,
+      owner: ns.owner,
+      createdAt: ns.createdAt,
+      ...(inside ? { members: ns.members || [] } : {}),
+      canWrite: canWrite(caller, name)
+    };
+  }
+
+  return { get, namespaceOf, resolve, qualify, canRead, canWrite, assertRead, assertWrite, scope, inScope, view };
+}
+
+module.exports = {
+  createNamespaces, NamespaceAccessError, NamespaceNotFoundError, validName, VISIBILITIES, COMMONS, SEPARATOR
+};
@@ -0,0 +1,60 @@
+// Per-agent storage quotas on the agent record: versions written and characters
+// stored (0 = unlimited). Deleting an entry refunds every version's writer.
+
+class QuotaExceededError extends Error {
+  constructor(username, kind, usage) {
+    super(`Agent "${username}" has used ${usage[kind].used} of its ${usage[kind].limit} ${kind} quota`);
+    this.name = 'QuotaExceededError';
+    this.usage = usage;
+  }
+}
+
+function createQuota({ agents, maxContributions, maxCharacters }) {
+  function budget(used, limit) {
+    return { used, limit: limit || null, remaining: limit ? Math.max(limit - used, 0) : null };
+  }
+
+  // Usage of a registered agent, or null for anyone else
+  function usage(username) {
+    const agent = agents()[username];
+    if (!agent) return null;
+    return {
+      contributions: budget(agent.contributions || 0, maxContributions),
+      characters: budget(agent.storedCharacters || 0, maxCharacters)
+    };
+  }
+
+  // Throws QuotaExceededError if writing `characters` more would go over.
+  // Scrapes don't know their size up front and pass 0: they're refused once
+  // the budget is spent, so the last one may overshoot.
+  function check(username, characters = 0) {
+    const u = usage(username);
+    if (!u) return;
+    if (u.contributions.remaining === 0) throw new QuotaExceededError(username, 'contributions', u);
+    if (u.characters.remaining !== null && u.characters.remaining < Math.max(characters, 1)) {
+      throw new QuotaExceededError(username, 'characters', u);
+    }
+  }
+
+  // Count a version written by `username`. Returns false for unregistered authors.
+  function record(username, characters) {
+    const agent = agents()[username];
+    if (!agent) return false;
+    agent.contributions = (agent.contributions || 0) + 1;
+    agent.storedCharacters = (agent.storedCharacters || 0) + characters;
+    return true;
+  }
+
+  // Give back `versions` written by `username`, `characters` long in all
+  function release(username, characters, versions = 1) {
+    const agent = agents()[username];
+    if (!agent) return false;
+    agent.contributions = Math.max((agent.contributions || 0) - versions, 0);
+    agent.storedCharacters = Math.max((agent.storedCharacters || 0) - characters, 0);
+    return true;
+  }
+
+  return { usage, check, record, release };
+}
+
+module.exports = { createQuota, QuotaExceededError };
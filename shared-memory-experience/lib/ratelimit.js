@@ -0,0 +1,84 @@
+// Token-bucket rate limits, one bucket per subject (an agent or an IP) and
+// action class. A class allowing `limit` calls per `windowMs` refills
+// continuously, so bursts up to `limit` are fine and the average rate holds.
+
+const WINDOWS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// "60/hour" -> { limit: 60, windowMs: 3600000 }; "off", "0" or empty -> null
+function parseRate(spec) {
+  const text = String(spec || '').trim().toLowerCase();
+  if (!text || text === 'off' || text === '0') return null;
+  const m = /^(\d+)\s*\/\s*(second|minute|hour|day)$/.exec(text);
+  if (!m) throw new Error(`Invalid rate limit "${spec}" (expected e.g. 60/hour)`);
+  return { limit: Number(m[1]), windowMs: WINDOWS[m[2]], per: m[2] };
+}
+
+const MAX_BUCKETS = 10000;
+
+// `limits` maps an action class to a parsed rate (null = unlimited)
+function createRateLimiter(limits) {
+  const buckets = new Map(); // `${class}:${subject}` -> { tokens, updatedAt }
+
+  function refill(cls, subject, now) {
+    const { limit, windowMs } = limits[cls];
+    const id = `${cls}:${subject}`;
+    const bucket = buckets.get(id) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / windowMs);
+    bucket.updatedAt = now;
+    buckets.set(id, bucket);
+    return bucket;
+  }
+
+  // Drop buckets that have refilled completely; they're the same as no bucket
+  function prune(now) {
+    if (buckets.size <= MAX_BUCKETS) return;
+    for (const [id, bucket] of buckets) {
+      const { limit, windowMs } = limits[id.slice(0, id.indexOf(':'))];
+      if (bucket.tokens + (now - bucket.updatedAt) * limit / windowMs >= limit) buckets.delete(id);
+    }
+  }
+
+  function describe(cls, bucket, cost = 1) {
+    const { limit, windowMs, per } = limits[cls];
+    const missing = Math.max(cost - bucket.tokens, 0);
+    return {
+      limit,
+      per,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: Math.ceil(missing * windowMs / limit / 1000)
+    };
+  }
+
+  // Spend `cost` calls of `cls`. Returns { allowed, limit, per, remaining, retryAfter }
+  // (retryAfter in seconds, null if `cost` can never fit); unlimited classes
+  // are always allowed. `dryRun` checks without spending.
+  function take(subject, cls, cost = 1, { dryRun = false } = {}) {
+    if (!limits[cls]) return { allowed: true };
+    const now = Date.now();
+    prune(now);
+    const bucket = refill(cls, subject, now);
+    if (cost > limits[cls].limit) {
+      return { ...describe(cls, bucket, cost), allowed: false, retryAfter: null };
+    }
+    if (bucket.tokens < cost) return { ...describe(cls, bucket, cost), allowed: false };
+    if (dryRun) return { ...describe(cls, bucket), allowed: true };
+    bucket.tokens -= cost;
+    return { ...describe(cls, bucket), allowed: true };
+  }
+
+  // Current state of every limited class for `subject`, without spending
+  function peek(subject) {
+    const now = Date.now();
+    const out = {};
+    for (const cls of Object.keys(limits)) {
+      if (!limits[cls]) continue;
+      const { limit, per, remaining } = describe(cls, refill(cls, subject, now));
+      out[cls] = { limit, per, remaining };
+    }
+    return out;
+  }
+
+  return { take, peek };
+}
+
+module.exports = { parseRate, createRateLimiter };
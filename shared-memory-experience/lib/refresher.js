@@ -0,0 +1,49 @@
+// Background re-crawl of scraped entries. Every `intervalMs` it asks the store
+// for URL entries last checked more than `ttlMs` ago and hands each key and
+// URL to `refresh`, which does the conditional fetch and records the outcome.
+// The batch is started all at once; `refresh` is expected to queue the work.
+function createRefresher({ store, refresh, ttlMs, intervalMs, batchSize = 10 }) {
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    const counts = { checked: 0, changed: 0, failed: 0 };
+    if (running) return counts;
+    running = true;
+    try {
+      const before = new Date(Date.now() - ttlMs).toISOString();
+      const stale = await store.staleUrls({ before, limit: batchSize });
+      await Promise.all(stale.map(async ({ key, url }) => {
+        counts.checked++;
+        try {
+          if ((await refresh(key, url)).changed) counts.changed++;
+        } catch (e) {
+          counts.failed++;
+          console.error(`Refresh failed for ${key}:`, e.message);
+        }
+      }));
+      return counts;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || !(ttlMs > 0)) return;
+    timer = setInterval(() => {
+      runOnce()
+        .then(c => { if (c.checked) console.log(`Refreshed ${c.checked} entries (${c.changed} changed, ${c.failed} failed)`); })
+        .catch(e => console.error('Refresh run failed:', e.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createRefresher };
@@ -0,0 +1,48 @@
+// How long entries live. A write may set its own expiry (a ttl or an
+// expiresAt); otherwise the retention policy of its tags applies, the
+// shortest one when several match, and entries with no policy never expire.
+// Policies come from env-style config: RETENTION_POLICIES="scratch=1d,prices=6h".
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+// "90" (seconds), "30m", "6h", "7d", "2w" -> milliseconds; null if it isn't a positive duration
+function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value * 1000 : null;
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(String(value ?? ''));
+  if (!m || !(Number(m[1]) > 0)) return null;
+  return Math.round(Number(m[1]) * UNITS[(m[2] || 's').toLowerCase()]);
+}
+
+function parsePolicies(spec) {
+  const policies = new Map();
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [tag, duration] = part.split('=').map(s => (s || '').trim());
+    const ms = parseDuration(duration);
+    if (!tag || !ms) throw new Error(`Invalid retention policy "${part}" (expected e.g. scratch=7d)`);
+    policies.set(tag.toLowerCase(), { tag: tag.toLowerCase(), duration, ms });
+  }
+  return policies;
+}
+
+function createRetention({ policies: spec } = {}) {
+  const policies = parsePolicies(spec);
+
+  // ISO expiry for an entry with `tags` written at `from`, or null
+  function expiryFor(tags, from = new Date().toISOString()) {
+    const durations = (tags || [])
+      .map(t => policies.get(String(t).toLowerCase()))
+      .filter(Boolean)
+      .map(p => p.ms);
+    if (!durations.length) return null;
+    return new Date(Date.parse(from) + Math.min(...durations)).toISOString();
+  }
+
+  // [{ tag, duration }] for status output
+  function describe() {
+    return [...policies.values()].map(({ tag, duration }) => ({ tag, duration }));
+  }
+
+  return { expiryFor, describe };
+}
+
+module.exports = { createRetention, parseDuration };
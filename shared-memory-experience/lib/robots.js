@@ -0,0 +1,79 @@
+// robots.txt parsing and evaluation (RFC 9309). Rules come from the group
+// naming our product token, else the `*` group; the longest matching path
+// pattern wins and Allow wins ties. Patterns may use `*` and a trailing `$`.
+
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const m = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+  return groups;
+}
+
+// Rules and crawl-delay that apply to `token`; groups naming it are merged
+function rulesFor(groups, token) {
+  const name = token.toLowerCase();
+  let matched = groups.filter(g => g.agents.includes(name));
+  if (!matched.length) matched = groups.filter(g => g.agents.includes('*'));
+  const delays = matched.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matched.flatMap(g => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null
+  };
+}
+
+function patternRegex(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// Percent-encode what URL paths would, leaving existing escapes alone
+function normalizePath(path) {
+  return path.replace(/%[0-9a-f]{2}|[^\x21-\x7e]/gi, c => (c.length === 3 ? c.toUpperCase() : encodeURIComponent(c)));
+}
+
+// The rule deciding `path` (pathname + search), or null when none matches
+function matchRule(rules, path) {
+  const target = normalizePath(path);
+  let best = null;
+  for (const rule of rules) {
+    if (!patternRegex(normalizePath(rule.path)).test(target)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieAllow = best && rule.path.length === best.path.length && rule.allow && !best.allow;
+    if (longer || tieAllow) best = rule;
+  }
+  return best;
+}
+
+module.exports = { parseRobots, rulesFor, matchRule };
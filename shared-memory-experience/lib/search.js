@@ -0,0 +1,121 @@
+// Relevance ranking (BM25 for the disk store) and the snippets every backend's
+// search results are built with.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'were', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Field weights: a hit in the title or tags says more than one in the body.
+const FIELD_WEIGHTS = { title: 3, tags: 2, key: 2, content: 1 };
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Very light suffix stripping so "models" finds "model" and "scaling" finds
+// "scale"; close enough to Postgres' english config for ranking purposes.
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('es') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return words(text).filter(w => !STOPWORDS.has(w)).map(stem);
+}
+
+// Distinct query terms, unstemmed (for FTS engines that stem themselves).
+function queryTerms(query) {
+  return [...new Set(words(query).filter(w => !STOPWORDS.has(w)))];
+}
+
+// BM25 over { key, title, tags, content } entries. Returns the matching
+// entries with a `score`, best first. Any query term matching is enough.
+function bm25Rank(entries, query, { k1 = 1.2, b = 0.75 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !entries.length) return [];
+
+  const docs = entries.map(entry => {
+    const tf = new Map();
+    let length = 0;
+    const fields = {
+      title: entry.title,
+      tags: (entry.tags || []).join(' '),
+      key: String(entry.key || '').replace(/_/g, ' '),
+      content: entry.content
+    };
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const token of tokenize(text)) {
+        tf.set(token, (tf.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { entry, tf, length };
+  });
+
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / docs.length || 1;
+  const df = new Map(terms.map(t => [t, docs.filter(d => d.tf.has(t)).length]));
+
+  const scored = [];
+  for (const d of docs) {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const idf = Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.length / avgLength));
+    }
+    if (score > 0) scored.push({ ...d.entry, score });
+  }
+
+  return scored.sort((a, b) => b.score - a.score || new Date(b.storedAt) - new Date(a.storedAt));
+}
+
+// Pick the window of `content` that covers the most query terms and wrap
+// each hit in **bold**. Falls back to the opening text when nothing matches.
+function makeSnippet(content, query, length = 200) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  const terms = [...new Set(tokenize(query))];
+  if (!text) return '';
+
+  const wordRe = /[\p{L}\p{N}]+/gu;
+  const hits = [];
+  for (let m; (m = wordRe.exec(text));) {
+    if (terms.includes(stem(m[0].toLowerCase()))) hits.push({ start: m.index, end: m.index + m[0].length });
+  }
+
+  let start = 0;
+  if (hits.length) {
+    let best = 0;
+    for (let i = 0; i < hits.length; i++) {
+      let n = 0;
+      while (i + n < hits.length && hits[i + n].end - hits[i].start <= length) n++;
+      if (n > best) { best = n; start = hits[i].start; }
+    }
+    start = Math.max(0, start - Math.floor(length / 4));
+    const space = text.lastIndexOf(' ', start);
+    if (start > 0 && space !== -1 && start - space < 20) start = space + 1;
+  }
+  const end = Math.min(text.length, start + length);
+
+  let out = '';
+  let pos = start;
+  for (const h of hits) {
+    if (h.start < start || h.end > end) continue;
+    out += text.slice(pos, h.start) + '**' + text.slice(h.start, h.end) + '**';
+    pos = h.end;
+  }
+  out += text.slice(pos, end);
+
+  return (start > 0 ? '…' : '') + out + (end < text.length ? '…' : '');
+}
+
+module.exports = { tokenize, queryTerms, bm25Rank, makeSnippet };
@@ -0,0 +1,102 @@
+// SimHash fingerprints of word shingles: near-duplicate texts get fingerprints
+// a few bits apart.
+
+const SHINGLE_WORDS = 3;
+// Below this a fingerprint says little; such entries only take part in exact dedupe
+const MIN_CONTENT_LENGTH = 200;
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// FNV-1a with a murmur finalizer; two bases give the two 32-bit halves
+function hash32(str, basis) {
+  let h = basis;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// 16 hex digits
+function simhash(text) {
+  const w = words(text);
+  const votes = new Int32Array(64);
+  const size = Math.min(SHINGLE_WORDS, w.length);
+  for (let i = 0; size && i + size <= w.length; i++) {
+    const shingle = w.slice(i, i + size).join(' ');
+    const hi = hash32(shingle, 0x811c9dc5);
+    const lo = hash32(shingle, 0x050c5d1f);
+    for (let b = 0; b < 32; b++) {
+      votes[b] += (hi >>> b) & 1 ? 1 : -1;
+      votes[b + 32] += (lo >>> b) & 1 ? 1 : -1;
+    }
+  }
+  let hi = 0;
+  let lo = 0;
+  for (let b = 0; b < 32; b++) {
+    if (votes[b] > 0) hi |= 1 << b;
+    if (votes[b + 32] > 0) lo |= 1 << b;
+  }
+  return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+}
+
+function popcount(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+function distance(a, b) {
+  return popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+    popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+// Groups of `items` ({ key, simhash }) within `maxDistance` bits of each other
+// (transitively). Fingerprints are split into maxDistance + 1 bands: two
+// within range must agree on at least one band, so only same-band pairs are
+// compared. Returns arrays of keys, each of two or more.
+function clusters(items, maxDistance) {
+  const bands = maxDistance + 1;
+  const width = Math.floor(64 / bands);
+  const parent = items.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const bits = items.map(it => BigInt(`0x${it.simhash}`).toString(2).padStart(64, '0'));
+  for (let band = 0; band < bands; band++) {
+    const start = band * width;
+    const end = band === bands - 1 ? 64 : start + width;
+    const buckets = new Map();
+    bits.forEach((b, i) => {
+      const slice = b.slice(start, end);
+      if (!buckets.has(slice)) buckets.set(slice, []);
+      buckets.get(slice).push(i);
+    });
+    for (const members of buckets.values()) {
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < members.length; y++) {
+          const [i, j] = [members[x], members[y]];
+          if (find(i) !== find(j) && distance(items[i].simhash, items[j].simhash) <= maxDistance) {
+            parent[find(i)] = find(j);
+          }
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(it.key);
+  });
+  return [...groups.values()].filter(g => g.length > 1);
+}
+
+module.exports = { simhash, distance, clusters, MIN_CONTENT_LENGTH };
@@ -0,0 +1,113 @@
+const net = require('net');
+const dns = require('dns');
+
+// Outbound fetches may only reach public unicast addresses on allowed ports.
+// Hostnames aren't resolved up front: the check runs inside the socket's own
+// DNS lookup, so the address that was vetted is the one connected to and a
+// rebinding server gets no second answer.
+
+// IANA special-purpose and other non-public ranges
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local (cloud metadata)
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // TEST-NET-1
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay anycast
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // TEST-NET-2
+  ['203.0.113.0', 24, 'ipv4'], // TEST-NET-3
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved, including 255.255.255.255 broadcast
+  ['::', 96, 'ipv6'], // unspecified, loopback, IPv4-compatible
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['100::', 64, 'ipv6'], // discard-only
+  ['2001::', 23, 'ipv6'], // IETF protocol assignments (Teredo, benchmarking, ORCHID)
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['fec0::', 10, 'ipv6'], // site-local (deprecated)
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+// IPv4 rules also match IPv4-mapped IPv6 (::ffff:127.0.0.1)
+const reserved = new net.BlockList();
+for (const [address, prefix, type] of RESERVED_RANGES) reserved.addSubnet(address, prefix, type);
+
+function isPrivateIp(ip) {
+  const family = net.isIP(ip);
+  if (!family) return true; // unknown -> treat as unsafe
+  return reserved.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const DEFAULT_PORTS = [80, 443, 8080, 8443];
+
+function blocked(message) {
+  return Object.assign(new Error(message), { code: 'EBLOCKED' });
+}
+
+// `lookup` has the signature of dns.lookup; swap it to test against a
+// stand-in resolver.
+function createFetchGuard({ lookup = dns.lookup, allowedPorts = DEFAULT_PORTS } = {}) {
+  const ports = new Set(allowedPorts);
+
+  // Everything that can be checked without DNS. Returns the parsed URL;
+  // refusals here and in safeLookup carry code EBLOCKED.
+  function assertPublicHttpUrl(input) {
+    let u;
+    try {
+      u = new URL(input);
+    } catch {
+      throw new Error('Invalid URL');
+    }
+
+    if (!['http:', 'https:'].includes(u.protocol)) {
+      throw new Error('Only http/https URLs are allowed');
+    }
+
+    const port = Number(u.port || (u.protocol === 'https:' ? 443 : 80));
+    if (!ports.has(port)) {
+      throw blocked(`Refusing to fetch port ${port} (allowed: ${[...ports].join(', ')})`);
+    }
+
+    // Block obvious localhost names
+    const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      throw blocked('Refusing to fetch localhost');
+    }
+
+    // The URL parser has already turned 0x7f.1, 2130706433 and friends into
+    // dotted quads, so raw IPs can be checked directly
+    if (net.isIP(host) && isPrivateIp(host)) {
+      throw blocked('Refusing to fetch private-network IP');
+    }
+    return u;
+  }
+
+  // For the `lookup` option of http(s).request: resolve, refuse if any
+  // address is private, and hand the vetted addresses to the socket.
+  function safeLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!addresses.length || addresses.some(a => isPrivateIp(a.address))) {
+        return callback(blocked(`Refusing to fetch ${hostname}: it resolves to a private-network IP`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  return { assertPublicHttpUrl, safeLookup };
+}
+
+module.exports = { createFetchGuard, isPrivateIp, RESERVED_RANGES };
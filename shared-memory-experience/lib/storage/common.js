@@ -0,0 +1,289 @@
+// Helpers shared by the storage adapters, which all implement one async
+// interface over one entry shape; test/storage.test.js is its specification.
+
+const crypto = require('crypto');
+const { simhash } = require('../simhash');
+
+class VersionConflictError extends Error {
+  constructor(key, expected, actual) {
+    super(`Version conflict on "${key}": expected version ${expected}, current is ${actual}`);
+    this.name = 'VersionConflictError';
+    this.key = key;
+    this.expectedVersion = expected;
+    this.currentVersion = actual;
+  }
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(String(content || '')).digest('hex');
+}
+
+// The versioned fields of an entry, as kept in its revision history.
+function toRevision(entry) {
+  return {
+    version: entry.version,
+    url: entry.url ?? null,
+    title: entry.title,
+    content: entry.content,
+    contentHash: entry.contentHash || contentHash(entry.content),
+    contentLength: entry.contentLength ?? (entry.content || '').length,
+    contentType: entry.contentType ?? null,
+    tags: entry.tags || [],
+    metadata: entry.metadata ?? null,
+    provenance: entry.provenance ?? null,
+    storedBy: entry.storedBy,
+    storedAt: entry.storedAt
+  };
+}
+
+// Throws unless `ifVersion` (when given) matches the current version (0 = absent).
+function checkVersion(key, ifVersion, currentVersion) {
+  if (ifVersion === undefined || ifVersion === null) return;
+  if (Number(ifVersion) !== currentVersion) throw new VersionConflictError(key, Number(ifVersion), currentVersion);
+}
+
+function tagsToText(tags) {
+  if (!Array.isArray(tags)) return '';
+  return tags.map(t => String(t)).join(',');
+}
+
+function normalizeEntry(entry) {
+  const content = entry.content || '';
+  return {
+    key: entry.key,
+    url: entry.url || null,
+    title: entry.title || entry.key,
+    content,
+    contentLength: entry.contentLength ?? content.length,
+    contentType: entry.contentType || null,
+    tags: Array.isArray(entry.tags) ? entry.tags.map(t => String(t)) : [],
+    metadata: entry.metadata || null,
+    crawl: entry.crawl || null,
+    summary: entry.summary || null,
+    provenance: entry.provenance || null,
+    expiresAt: entry.expiresAt || null,
+    storedBy: entry.storedBy || 'anonymous',
+    storedAt: entry.storedAt || new Date().toISOString(),
+    accessCount: entry.accessCount ?? 0,
+    contentHash: contentHash(content),
+    simhash: simhash(content)
+  };
+}
+
+// Whether the entry's summary was made by summarizer `id` from its current content
+function summaryIsCurrent(entry, id) {
+  const s = entry.summary;
+  return Boolean(s) && s.summarizer === id && s.contentHash === (entry.contentHash || contentHash(entry.content));
+}
+
+// The counts lists and filters use, from an entry's feedback
+function tallyFeedback(feedback) {
+  const votes = Object.values((feedback && feedback.votes) || {});
+  return {
+    upvotes: votes.filter(v => v > 0).length,
+    downvotes: votes.filter(v => v < 0).length,
+    // Feedback from before `hidden` was recorded hid on the first flag
+    flagged: Boolean(feedback && feedback.flags && feedback.flags.length && feedback.hidden !== false)
+  };
+}
+
+// Per-author feedback totals from { storedBy, upvotes, downvotes, flagged } rows
+function feedbackTotals(rows) {
+  const perAgent = new Map();
+  for (const r of rows) {
+    const t = perAgent.get(r.storedBy) || { agent: r.storedBy, entries: 0, upvotes: 0, downvotes: 0, flagged: 0 };
+    t.entries++;
+    t.upvotes += r.upvotes || 0;
+    t.downvotes += r.downvotes || 0;
+    if (r.flagged) t.flagged++;
+    perAgent.set(r.storedBy, t);
+  }
+  return [...perAgent.values()];
+}
+
+// Whether the entry's time is up at `at` (an ISO date); pinned entries never expire
+function isExpired(entry, at) {
+  return Boolean(entry.expiresAt) && !entry.pinned && Date.parse(entry.expiresAt) <= Date.parse(at);
+}
+
+// When the entry was last read or written, for least-recently-used eviction
+function lastUsed(entry) {
+  return entry.lastAccessedAt || entry.storedAt;
+}
+
+// When a URL entry was last fetched or revalidated.
+function lastChecked(entry) {
+  return (entry.crawl && entry.crawl.checkedAt) || entry.storedAt;
+}
+
+// Summary form for list/history: no content, page metadata, crawl state,
+// summary, provenance or feedback (its counts stay).
+function withoutContent(entry) {
+  const { content, metadata, crawl, summary, provenance, feedback, simhash: _, ...rest } = entry;
+  return rest;
+}
+
+// Hostname of an entry URL without a leading "www.", or null.
+function urlDomain(url) {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch { return null; }
+}
+
+// Search filters shared by every backend (tags, storedBy, domain, since/until,
+// key prefixes, flagged, activeAt); `domain` also matches subdomains.
+function matchesFilters(entry, filters = {}) {
+  const { tags, storedBy, domain, since, until, keyPrefix, excludeKeyPrefixes, flagged, activeAt } = filters;
+  if (keyPrefix && !entry.key.startsWith(keyPrefix)) return false;
+  if (excludeKeyPrefixes && excludeKeyPrefixes.some(p => entry.key.startsWith(p))) return false;
+  if (storedBy && entry.storedBy !== storedBy) return false;
+  if (flagged !== undefined && Boolean(entry.flagged) !== flagged) return false;
+  if (activeAt && isExpired(entry, activeAt)) return false;
+  if (tags && tags.length) {
+    const have = new Set((entry.tags || []).map(t => String(t).toLowerCase()));
+    if (!tags.every(t => have.has(String(t).toLowerCase()))) return false;
+  }
+  if (domain) {
+    const host = urlDomain(entry.url);
+    const want = domain.toLowerCase().replace(/^www\./, '');
+    if (!host || (host !== want && !host.endsWith('.' + want))) return false;
+  }
+  const at = new Date(entry.storedAt).getTime();
+  if (since && at < new Date(since).getTime()) return false;
+  if (until && at > new Date(until).getTime()) return false;
+  return true;
+}
+
+// List orders and their default direction: newest, most read, largest first,
+// or by title A-Z
+const LIST_SORTS = { recent: 'desc', accessed: 'desc', size: 'desc', title: 'asc' };
+
+// Titles sort case-insensitively, compared code point by code point
+function sortTitle(title) {
+  return String(title || '').toLowerCase();
+}
+
+// What an entry is ordered by under `sort`
+function sortValue(entry, sort) {
+  switch (sort) {
+    case 'accessed': return entry.accessCount || 0;
+    case 'size': return entry.contentLength || 0;
+    case 'title': return sortTitle(entry.title);
+    default: return entry.storedAt;
+  }
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Comparator for list order: `sort` in `order`, then key A-Z
+function listOrder(sort = 'recent', order = LIST_SORTS[sort]) {
+  const dir = order === 'asc' ? 1 : -1;
+  return (a, b) => dir * compareValues(sortValue(a, sort), sortValue(b, sort)) || compareValues(a.key, b.key);
+}
+
+// Whether `entry` comes after the `after` ({ value, key }) position in list order
+function isAfter(entry, after, sort = 'recent', order = LIST_SORTS[sort]) {
+  const c = compareValues(sortValue(entry, sort), after.value);
+  if (c) return order === 'asc' ? c > 0 : c < 0;
+  return entry.key > after.key;
+}
+
+const GROWTH_INTERVALS = ['day', 'week', 'month'];
+
+// The UTC day, week (its Monday) or month an ISO date falls in
+function periodOf(iso, interval) {
+  const d = new Date(iso);
+  if (isNaN(d)) return null;
+  if (interval === 'month') return d.toISOString().slice(0, 7);
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function topCounts(counts, top, name) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || compareValues(a[0], b[0]))
+    .slice(0, top)
+    .map(([value, entries]) => ({ [name]: value, entries }));
+}
+
+// Stats from a list of { key, title, url, contentLength, tags, storedBy,
+// accessCount, createdAt } rows, so every backend reports the same fields
+// computed the same way. `top` caps each ranking; growth is per `interval`
+// (day, week or month) of createdAt, oldest first, with a running total.
+function summarizeStats(rows, { top = 10, interval = 'month' } = {}) {
+  const perAgent = new Map();
+  const tags = new Map();
+  const domains = new Map();
+  const periods = new Map();
+  let totalCharacters = 0;
+  for (const r of rows) {
+    const length = r.contentLength || 0;
+    totalCharacters += length;
+    const agent = perAgent.get(r.storedBy) || { agent: r.storedBy, entries: 0, characters: 0 };
+    agent.entries++;
+    agent.characters += length;
+    perAgent.set(r.storedBy, agent);
+    for (const tag of new Set((r.tags || []).map(t => String(t).toLowerCase()))) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+    const domain = urlDomain(r.url);
+    if (domain) domains.set(domain, (domains.get(domain) || 0) + 1);
+    const period = periodOf(r.createdAt || r.storedAt, interval);
+    if (period) {
+      const p = periods.get(period) || { period, entries: 0, characters: 0 };
+      p.entries++;
+      p.characters += length;
+      periods.set(period, p);
+    }
+  }
+
+  let running = 0;
+  const growth = [...periods.values()]
+    .sort((a, b) => compareValues(a.period, b.period))
+    .map(p => ({ ...p, totalEntries: (running += p.entries) }));
+
+  return {
+    totalEntries: rows.length,
+    totalCharacters,
+    uniqueContributors: perAgent.size,
+    topContributors: [...perAgent.values()]
+      .sort((a, b) => b.entries - a.entries || b.characters - a.characters || compareValues(a.agent, b.agent))
+      .slice(0, top),
+    tags: topCounts(tags, top, 'tag'),
+    domains: topCounts(domains, top, 'domain'),
+    growth,
+    mostAccessed: rows
+      .filter(r => r.accessCount > 0)
+      .sort((a, b) => b.accessCount - a.accessCount || compareValues(a.key, b.key))
+      .slice(0, top)
+      .map(r => ({ key: r.key, title: r.title, url: r.url || null, storedBy: r.storedBy, accessCount: r.accessCount }))
+  };
+}
+
+module.exports = {
+  VersionConflictError,
+  contentHash,
+  toRevision,
+  checkVersion,
+  tagsToText,
+  normalizeEntry,
+  withoutContent,
+  lastChecked,
+  summaryIsCurrent,
+  urlDomain,
+  matchesFilters,
+  LIST_SORTS,
+  GROWTH_INTERVALS,
+  sortTitle,
+  sortValue,
+  listOrder,
+  isAfter,
+  summarizeStats,
+  tallyFeedback,
+  feedbackTotals,
+  isExpired,
+  lastUsed
+};
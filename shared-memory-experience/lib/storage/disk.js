@@ -0,0 +1,405 @@
+const fs = require('fs');
+const { loadJSON, saveJSON } = require('../jsonfile');
+const { createWriteAheadLog } = require('../wal');
+const {
+  normalizeEntry, withoutContent, matchesFilters, listOrder, isAfter, summarizeStats, toRevision, checkVersion, contentHash,
+  lastChecked, summaryIsCurrent, tallyFeedback, feedbackTotals, isExpired, lastUsed
+} = require('./common');
+const { bm25Rank } = require('../search');
+const { simhash } = require('../simhash');
+const { dot, encodeVector, decodeVector } = require('../embeddings');
+
+// JSON-file store: snapshot files plus a write-ahead log that is compacted
+// into them, locked against a second process.
+
+function acquireLock(lockFile) {
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+    return;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+  const pid = Number(fs.readFileSync(lockFile, 'utf8'));
+  if (pid && pid !== process.pid) {
+    let alive = true;
+    try {
+      process.kill(pid, 0);
+    } catch (e) {
+      alive = e.code === 'EPERM';
+    }
+    if (alive) throw new Error(`${lockFile} is held by process ${pid}; is another server using this storage?`);
+  }
+  // Left behind by a process that died
+  fs.writeFileSync(lockFile, String(process.pid));
+}
+
+function createDiskStore({ file, revisionFile, vectorFile, linkFile, logFile, compactBytes = 16 * 1024 * 1024, accessFlushMs = 5000 }) {
+  const lockFile = `${file}.lock`;
+  acquireLock(lockFile);
+  const releaseLock = () => {
+    try {
+      if (fs.readFileSync(lockFile, 'utf8') === String(process.pid)) fs.unlinkSync(lockFile);
+    } catch {}
+  };
+  process.once('exit', releaseLock);
+
+  // Keyed by entry key, so without a prototype: "constructor" or "__proto__"
+  // are keys like any other
+  const memory = Object.assign(Object.create(null), loadJSON(file, {}));
+  const revisions = Object.assign(Object.create(null), loadJSON(revisionFile, {}));
+  const vectors = new Map(Object.entries(loadJSON(vectorFile, {})).map(([key, v]) => [key, decodeChunks(v)]));
+  let links = loadJSON(linkFile, []);
+
+  function sameLink(a, from, to, type) {
+    return a.from === from && a.to === to && a.type === type;
+  }
+
+  function decodeChunks(v) {
+    return { model: v.model, chunks: v.chunks.map(c => ({ ...c, vector: decodeVector(Buffer.from(c.vector, 'base64')) })) };
+  }
+
+  function encodeChunks(v) {
+    return { model: v.model, chunks: v.chunks.map(c => ({ ...c, vector: encodeVector(c.vector).toString('base64') })) };
+  }
+
+  function has(key) {
+    return Object.hasOwn(memory, key);
+  }
+
+  const KEYED_OPS = new Set(['upsert', 'delete', 'crawl', 'summary', 'feedback', 'retention', 'chunks', 'autolinks']);
+  const OPS = new Set([...KEYED_OPS, 'access', 'link', 'unlink']);
+
+  // Refuse a record apply() couldn't replay before it reaches the log, where
+  // it would keep the store from opening again
+  function checkRecord(record) {
+    if (!OPS.has(record.op)) throw new Error(`Unknown log record "${record.op}"`);
+    if (KEYED_OPS.has(record.op) && (typeof record.key !== 'string' || !record.key)) {
+      throw new Error(`Log record "${record.op}" needs a key`);
+    }
+    if (record.op === 'upsert' && !(record.entry && typeof record.entry === 'object' && Array.isArray(record.revisions))) {
+      throw new Error('Log record "upsert" needs an entry and its revisions');
+    }
+  }
+
+  // The one place state changes, whether live or replayed from the log
+  function apply(record) {
+    const { op, key } = record;
+    if (op === 'upsert') {
+      memory[key] = record.entry;
+      const history = revisions[key] || (revisions[key] = []);
+      for (const rev of record.revisions) {
+        const i = history.findIndex(r => r.version === rev.version);
+        if (i === -1) history.push(rev);
+        else history[i] = rev;
+      }
+    } else if (op === 'delete') {
+      delete memory[key];
+      delete revisions[key];
+      vectors.delete(key);
+      links = links.filter(l => l.from !== key && l.to !== key);
+    } else if (op === 'access') {
+      for (const [k, n] of Object.entries(record.counts)) {
+        if (has(k)) memory[k].accessCount = n;
+      }
+      for (const [k, at] of Object.entries(record.accessed || {})) {
+        if (has(k)) memory[k].lastAccessedAt = at;
+      }
+    } else if (op === 'crawl') {
+      if (has(key)) memory[key].crawl = record.crawl;
+    } else if (op === 'summary') {
+      if (has(key)) memory[key].summary = record.summary;
+    } else if (op === 'feedback') {
+      if (has(key)) memory[key].feedback = record.feedback;
+    } else if (op === 'retention') {
+      if (has(key)) Object.assign(memory[key], record.retention);
+    } else if (op === 'chunks') {
+      vectors.set(key, decodeChunks(record));
+    } else if (op === 'link') {
+      const { from, to, type } = record.link;
+      links = links.filter(l => !sameLink(l, from, to, type)).concat(record.link);
+    } else if (op === 'unlink') {
+      links = links.filter(l => !sameLink(l, record.from, record.to, record.type));
+    } else if (op === 'autolinks') {
+      links = links.filter(l => !(l.from === key && l.auto)).concat(record.links);
+    } else {
+      throw new Error(`Unknown log record "${op}"`);
+    }
+  }
+
+  const log = createWriteAheadLog(logFile);
+  for (const record of log.records) apply(record);
+  const replayed = log.records.length;
+  delete log.records;
+
+  function compact() {
+    const out = {};
+    for (const [key, v] of vectors) out[key] = encodeChunks(v);
+    saveJSON(file, memory, { pretty: false });
+    saveJSON(revisionFile, revisions, { pretty: false });
+    saveJSON(vectorFile, out, { pretty: false });
+    saveJSON(linkFile, links, { pretty: false });
+    log.reset();
+  }
+
+  function commit(record) {
+    checkRecord(record);
+    log.append(record);
+    apply(record);
+    if (log.size() > compactBytes) compact();
+  }
+
+  // Fold what the log held into the snapshots before taking new writes
+  if (replayed) compact();
+
+  // Fingerprints and first-stored times for entries written before they
+  // existed (derived, so not logged)
+  for (const [key, entry] of Object.entries(memory)) {
+    if (!entry.simhash) entry.simhash = simhash(entry.content);
+    if (!entry.createdAt) entry.createdAt = ((revisions[key] || [])[0] || entry).storedAt;
+  }
+
+  const dirtyAccess = new Set();
+  let accessTimer = null;
+
+  function flushAccess() {
+    clearTimeout(accessTimer);
+    accessTimer = null;
+    const counts = Object.create(null);
+    const accessed = Object.create(null);
+    for (const key of dirtyAccess) {
+      if (!has(key)) continue;
+      counts[key] = memory[key].accessCount;
+      accessed[key] = memory[key].lastAccessedAt;
+    }
+    dirtyAccess.clear();
+    if (Object.keys(counts).length) log.append({ op: 'access', counts, accessed });
+  }
+
+  // Entries written before versioning count as version 1. Feedback counts
+  // are derived here rather than stored.
+  function view(key) {
+    return { key, version: 1, ...memory[key], ...tallyFeedback(memory[key].feedback) };
+  }
+
+  function entries() {
+    return Object.keys(memory).map(view);
+  }
+
+  return {
+    name: 'disk',
+
+    async get(key) {
+      if (!has(key)) return null;
+      const entry = view(key);
+      return { ...entry, contentHash: entry.contentHash || contentHash(entry.content) };
+    },
+
+    async upsert(entry, { ifVersion } = {}) {
+      const { key, ...rest } = normalizeEntry(entry);
+      const current = has(key) ? memory[key] : null;
+      const currentVersion = current ? current.version || 1 : 0;
+      checkVersion(key, ifVersion, currentVersion);
+
+      const next = {
+        ...rest,
+        version: currentVersion + 1,
+        accessCount: current ? current.accessCount || 0 : 0,
+        feedback: current ? current.feedback ?? null : null,
+        pinned: current ? Boolean(current.pinned) : false,
+        lastAccessedAt: rest.storedAt,
+        createdAt: current ? current.createdAt || current.storedAt : rest.storedAt
+      };
+      const revs = [toRevision(next)];
+      // Entries from before versioning: keep what they held as version 1.
+      if (current && !(revisions[key] || []).length) revs.unshift(toRevision({ ...current, version: currentVersion }));
+
+      commit({ op: 'upsert', key, entry: next, revisions: revs });
+      return { key, version: next.version };
+    },
+
+    async history(key, { limit = 20, offset = 0 } = {}) {
+      return (revisions[key] || []).slice().reverse().slice(offset, offset + limit).map(withoutContent);
+    },
+
+    async getRevision(key, version) {
+      return (revisions[key] || []).find(r => r.version === Number(version)) || null;
+    },
+
+    async delete(key) {
+      if (!has(key)) return false;
+      dirtyAccess.delete(key);
+      commit({ op: 'delete', key });
+      return true;
+    },
+
+    async incrementAccess(key) {
+      if (!has(key)) return null;
+      memory[key].accessCount = (memory[key].accessCount || 0) + 1;
+      memory[key].lastAccessedAt = new Date().toISOString();
+      dirtyAccess.add(key);
+      if (!accessTimer) {
+        accessTimer = setTimeout(flushAccess, accessFlushMs);
+        accessTimer.unref();
+      }
+      return memory[key].accessCount;
+    },
+
+    async setCrawl(key, crawl) {
+      if (!has(key)) return;
+      commit({ op: 'crawl', key, crawl });
+    },
+
+    async setSummary(key, summary) {
+      if (!has(key)) return;
+      commit({ op: 'summary', key, summary });
+    },
+
+    async unsummarizedKeys(id) {
+      return entries().filter(e => !summaryIsCurrent(e, id)).map(e => e.key);
+    },
+
+    async setFeedback(key, feedback) {
+      if (!has(key)) return;
+      commit({ op: 'feedback', key, feedback });
+    },
+
+    async feedbackTotals() {
+      return feedbackTotals(entries());
+    },
+
+    async setRetention(key, { expiresAt, pinned }) {
+      if (!has(key)) return;
+      const retention = {};
+      if (expiresAt !== undefined) retention.expiresAt = expiresAt;
+      if (pinned !== undefined) retention.pinned = Boolean(pinned);
+      commit({ op: 'retention', key, retention });
+    },
+
+    async expiredKeys({ before, limit = 100 } = {}) {
+      return entries()
+        .filter(e => isExpired(e, before))
+        .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt))
+        .slice(0, limit)
+        .map(e => e.key);
+    },
+
+    async evictionCandidates({ limit = 100 } = {}) {
+      return entries()
+        .filter(e => !e.pinned)
+        .sort((a, b) => Date.parse(lastUsed(a)) - Date.parse(lastUsed(b)))
+        .slice(0, limit)
+        .map(e => ({ key: e.key, contentLength: e.contentLength ?? (e.content || '').length }));
+    },
+
+    async staleUrls({ before, limit = 10 } = {}) {
+      return entries()
+        .filter(e => e.url && lastChecked(e) < before)
+        .sort((a, b) => lastChecked(a).localeCompare(lastChecked(b)))
+        .slice(0, limit)
+        .map(e => ({ key: e.key, url: e.url }));
+    },
+
+    async search(query, { limit = 10, offset = 0, filters = {} } = {}) {
+      const ranked = bm25Rank(entries().filter(e => matchesFilters(e, filters)), query);
+      return { total: ranked.length, results: ranked.slice(offset, offset + limit) };
+    },
+
+    async list({ limit = 50, offset = 0, filters = {}, sort = 'recent', order, after } = {}) {
+      return entries()
+        .filter(e => matchesFilters(e, filters) && (!after || isAfter(e, after, sort, order)))
+        .sort(listOrder(sort, order))
+        .slice(offset, offset + limit)
+        .map(withoutContent);
+    },
+
+    async count({ filters } = {}) {
+      if (!filters) return Object.keys(memory).length;
+      return entries().filter(e => matchesFilters(e, filters)).length;
+    },
+
+    async stats({ filters = {}, top, interval } = {}) {
+      return summarizeStats(entries().filter(e => matchesFilters(e, filters)), { top, interval });
+    },
+
+    async scan({ after = '', limit = 100, filters = {} } = {}) {
+      return entries()
+        .filter(e => e.key > after && matchesFilters(e, filters))
+        .sort((a, b) => (a.key < b.key ? -1 : 1))
+        .slice(0, limit)
+        .map(e => ({ ...e, contentHash: e.contentHash || contentHash(e.content) }));
+    },
+
+    async keysForContent(hash) {
+      return entries().filter(e => (e.contentHash || contentHash(e.content)) === hash).map(e => e.key);
+    },
+
+    async fingerprints({ filters = {} } = {}) {
+      return entries().filter(e => matchesFilters(e, filters)).map(e => ({
+        key: e.key,
+        url: e.url ?? null,
+        title: e.title,
+        storedAt: e.storedAt,
+        contentLength: e.contentLength ?? (e.content || '').length,
+        contentHash: e.contentHash || contentHash(e.content),
+        simhash: e.simhash
+      }));
+    },
+
+    async putChunks(key, model, chunks) {
+      const kept = chunks.map(({ index, start, end, vector }) => ({ index, start, end, vector }));
+      commit({ op: 'chunks', key, ...encodeChunks({ model, chunks: kept }) });
+    },
+
+    async matchChunks(vector, { model, limit = 5 } = {}) {
+      const scored = [];
+      for (const [key, v] of vectors) {
+        if (v.model !== model || !has(key)) continue;
+        for (const c of v.chunks) {
+          scored.push({ key, index: c.index, start: c.start, end: c.end, score: dot(vector, c.vector) });
+        }
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+
+    async unindexedKeys(model) {
+      return Object.keys(memory).filter(k => vectors.get(k)?.model !== model);
+    },
+
+    async putLink(link) {
+      commit({ op: 'link', link });
+      return link;
+    },
+
+    async deleteLink(from, to, type) {
+      if (!links.some(l => sameLink(l, from, to, type))) return false;
+      commit({ op: 'unlink', from, to, type });
+      return true;
+    },
+
+    async links(key) {
+      return {
+        outgoing: links.filter(l => l.from === key),
+        incoming: links.filter(l => l.to === key)
+      };
+    },
+
+    async setAutoLinks(from, toKeys, { createdBy, createdAt }) {
+      const auto = toKeys.map(to => ({ from, to, type: 'links_to', createdBy, createdAt, auto: true }));
+      commit({ op: 'autolinks', key: from, links: auto });
+    },
+
+    async keysForUrls(urls) {
+      const wanted = new Set(urls);
+      return entries().filter(e => wanted.has(e.url)).map(e => ({ key: e.key, url: e.url }));
+    },
+
+    async close() {
+      flushAccess();
+      compact();
+      log.close();
+      releaseLock();
+    }
+  };
+}
+
+module.exports = { createDiskStore };
@@ -0,0 +1,38 @@
+const path = require('path');
+const { createDiskStore } = require('./disk');
+const { createSupabaseStore } = require('./supabase');
+const { createSqliteStore } = require('./sqlite');
+const {
+  VersionConflictError, toRevision, withoutContent, contentHash, lastChecked, isExpired, LIST_SORTS, GROWTH_INTERVALS,
+  sortValue
+} = require('./common');
+
+// Pick a storage adapter. `backend` is one of disk | sqlite | supabase;
+// when omitted we use Supabase if a client is available, else disk.
+function createStore({ backend, storageDir, supabase, sqliteFile, disk = {} } = {}) {
+  const kind = backend || (supabase ? 'supabase' : 'disk');
+
+  switch (kind) {
+    case 'disk':
+      return createDiskStore({
+        file: path.join(storageDir, 'shared-memory.json'),
+        revisionFile: path.join(storageDir, 'revisions.json'),
+        vectorFile: path.join(storageDir, 'embeddings.json'),
+        linkFile: path.join(storageDir, 'links.json'),
+        logFile: path.join(storageDir, 'shared-memory.wal'),
+        ...disk
+      });
+    case 'sqlite':
+      return createSqliteStore({ file: sqliteFile || path.join(storageDir, 'shared-memory.db') });
+    case 'supabase':
+      if (!supabase) throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+      return createSupabaseStore({ client: supabase });
+    default:
+      throw new Error(`Unknown storage backend: ${kind}`);
+  }
+}
+
+module.exports = {
+  createStore, VersionConflictError, toRevision, withoutContent, contentHash, lastChecked, isExpired, LIST_SORTS,
+  GROWTH_INTERVALS, sortValue
+};
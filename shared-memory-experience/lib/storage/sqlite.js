@@ -0,0 +1,643 @@
+const {
+  tagsToText, normalizeEntry, summarizeStats, urlDomain, toRevision, checkVersion, contentHash, tallyFeedback,
+  feedbackTotals, sortTitle, LIST_SORTS
+} = require('./common');
+const { queryTerms } = require('../search');
+const { simhash } = require('../simhash');
+const { dot, encodeVector, decodeVector } = require('../embeddings');
+
+// SQLite store for single-box deployments. Uses the built-in `node:sqlite`
+// module when the runtime has it (Node 22+), otherwise `better-sqlite3`.
+// Both expose the same synchronous prepare/run/get/all API.
+
+function openDatabase(file) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file);
+  } catch {}
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(file);
+  } catch {
+    throw new Error('SQLite storage needs Node 22+ (node:sqlite) or the better-sqlite3 package');
+  }
+}
+
+const SCHEMA = `
+  create table if not exists memories (
+    key text primary key,
+    url text,
+    title text,
+    content text not null,
+    content_length integer not null default 0,
+    tags text not null default '[]',
+    tags_text text not null default '',
+    stored_by text not null default 'anonymous',
+    stored_at text not null,
+    access_count integer not null default 0,
+    version integer not null default 1,
+    content_hash text,
+    simhash text,
+    content_type text,
+    metadata text,
+    crawl text,
+    summary text,
+    provenance text,
+    feedback text,
+    upvotes integer not null default 0,
+    downvotes integer not null default 0,
+    flagged integer not null default 0,
+    expires_at text,
+    pinned integer not null default 0,
+    last_accessed_at text,
+    created_at text
+  );
+  create index if not exists memories_stored_at_idx on memories (stored_at desc);
+  create table if not exists memory_revisions (
+    key text not null,
+    version integer not null,
+    url text,
+    title text,
+    content text not null,
+    content_hash text not null,
+    content_length integer not null default 0,
+    tags text not null default '[]',
+    content_type text,
+    metadata text,
+    provenance text,
+    stored_by text not null,
+    stored_at text not null,
+    primary key (key, version)
+  );
+  create table if not exists memory_links (
+    from_key text not null,
+    to_key text not null,
+    type text not null,
+    created_by text not null,
+    created_at text not null,
+    auto integer not null default 0,
+    primary key (from_key, to_key, type)
+  );
+  create index if not exists memory_links_to_idx on memory_links (to_key);
+  create index if not exists memories_url_idx on memories (url);
+  create table if not exists memory_chunks (
+    key text not null,
+    chunk_index integer not null,
+    start_offset integer not null,
+    end_offset integer not null,
+    model text not null,
+    embedding blob not null,
+    primary key (key, chunk_index)
+  );
+`;
+
+// External-content FTS5 index kept in sync by triggers. Column order matches
+// the bm25() weights in search(): key, title, content, tags.
+const FTS_SCHEMA = `
+  create virtual table if not exists memories_fts using fts5(
+    key, title, content, tags_text,
+    content = 'memories', content_rowid = 'rowid', tokenize = 'porter unicode61'
+  );
+  create trigger if not exists memories_fts_ai after insert on memories begin
+    insert into memories_fts (rowid, key, title, content, tags_text)
+    values (new.rowid, new.key, new.title, new.content, new.tags_text);
+  end;
+  create trigger if not exists memories_fts_ad after delete on memories begin
+    insert into memories_fts (memories_fts, rowid, key, title, content, tags_text)
+    values ('delete', old.rowid, old.key, old.title, old.content, old.tags_text);
+  end;
+  create trigger if not exists memories_fts_au after update of key, title, content, tags_text on memories begin
+    insert into memories_fts (memories_fts, rowid, key, title, content, tags_text)
+    values ('delete', old.rowid, old.key, old.title, old.content, old.tags_text);
+    insert into memories_fts (rowid, key, title, content, tags_text)
+    values (new.rowid, new.key, new.title, new.content, new.tags_text);
+  end;
+`;
+
+const LIST_COLUMNS =
+  'key, title, url, content_length, content_type, tags, stored_by, stored_at, access_count, version, upvotes, downvotes, ' +
+  'flagged, expires_at, pinned, last_accessed_at, created_at';
+
+// What each list sort orders by
+const SORT_COLUMNS = {
+  recent: 'm.stored_at',
+  accessed: 'm.access_count',
+  size: 'm.content_length',
+  title: 'sort_title(m.title)'
+};
+
+const STATS_COLUMNS = 'm.key, m.title, m.url, m.content_length, m.tags, m.stored_by, m.stored_at, m.access_count, m.created_at';
+
+function fromRow(row) {
+  const entry = {
+    key: row.key,
+    url: row.url ?? null,
+    title: row.title,
+    contentLength: row.content_length ?? 0,
+    contentType: row.content_type ?? null,
+    tags: JSON.parse(row.tags || '[]'),
+    storedBy: row.stored_by,
+    storedAt: row.stored_at,
+    accessCount: row.access_count ?? 0,
+    version: row.version ?? 1,
+    contentHash: row.content_hash ?? undefined
+  };
+  if (row.content !== undefined) entry.content = row.content;
+  if (row.simhash !== undefined) entry.simhash = row.simhash;
+  if (row.metadata !== undefined) entry.metadata = row.metadata ? JSON.parse(row.metadata) : null;
+  if (row.crawl !== undefined) entry.crawl = row.crawl ? JSON.parse(row.crawl) : null;
+  if (row.summary !== undefined) entry.summary = row.summary ? JSON.parse(row.summary) : null;
+  if (row.provenance !== undefined) entry.provenance = row.provenance ? JSON.parse(row.provenance) : null;
+  if (row.feedback !== undefined) entry.feedback = row.feedback ? JSON.parse(row.feedback) : null;
+  if (row.upvotes !== undefined) {
+    entry.upvotes = row.upvotes;
+    entry.downvotes = row.downvotes;
+    entry.flagged = Boolean(row.flagged);
+  }
+  if (row.expires_at !== undefined) {
+    entry.expiresAt = row.expires_at ?? null;
+    entry.pinned = Boolean(row.pinned);
+    entry.lastAccessedAt = row.last_accessed_at ?? null;
+  }
+  if (row.created_at !== undefined) entry.createdAt = row.created_at ?? row.stored_at;
+  return entry;
+}
+
+function fromRevisionRow(row) {
+  const rev = {
+    version: row.version,
+    url: row.url ?? null,
+    title: row.title,
+    contentHash: row.content_hash,
+    contentLength: row.content_length,
+    contentType: row.content_type ?? null,
+    tags: JSON.parse(row.tags || '[]'),
+    storedBy: row.stored_by,
+    storedAt: row.stored_at
+  };
+  if (row.content !== undefined) rev.content = row.content;
+  if (row.metadata !== undefined) rev.metadata = row.metadata ? JSON.parse(row.metadata) : null;
+  if (row.provenance !== undefined) rev.provenance = row.provenance ? JSON.parse(row.provenance) : null;
+  return rev;
+}
+
+function fromLinkRow(row) {
+  return {
+    from: row.from_key,
+    to: row.to_key,
+    type: row.type,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    auto: Boolean(row.auto)
+  };
+}
+
+function createSqliteStore({ file }) {
+  const db = openDatabase(file);
+  // Readers don't block the writer, and a crash mid-commit rolls back cleanly
+  db.exec('pragma journal_mode = wal');
+  db.exec(SCHEMA);
+  // Columns added after the first release
+  const columns = new Set(db.prepare('pragma table_info(memories)').all().map(c => c.name));
+  if (!columns.has('version')) db.exec('alter table memories add column version integer not null default 1');
+  if (!columns.has('content_hash')) db.exec('alter table memories add column content_hash text');
+  if (!columns.has('metadata')) db.exec('alter table memories add column metadata text');
+  if (!columns.has('content_type')) db.exec('alter table memories add column content_type text');
+  if (!columns.has('crawl')) db.exec('alter table memories add column crawl text');
+  if (!columns.has('summary')) db.exec('alter table memories add column summary text');
+  if (!columns.has('provenance')) db.exec('alter table memories add column provenance text');
+  if (!columns.has('feedback')) {
+    db.exec('alter table memories add column feedback text');
+    db.exec('alter table memories add column upvotes integer not null default 0');
+    db.exec('alter table memories add column downvotes integer not null default 0');
+    db.exec('alter table memories add column flagged integer not null default 0');
+  }
+  if (!columns.has('expires_at')) {
+    db.exec('alter table memories add column expires_at text');
+    db.exec('alter table memories add column pinned integer not null default 0');
+    db.exec('alter table memories add column last_accessed_at text');
+    db.exec('update memories set last_accessed_at = stored_at');
+  }
+  if (!columns.has('created_at')) {
+    db.exec('alter table memories add column created_at text');
+    // First stored when its oldest revision was
+    db.exec(`
+      update memories set created_at = coalesce(
+        (select r.stored_at from memory_revisions r where r.key = memories.key order by r.version limit 1),
+        stored_at
+      )
+    `);
+  }
+  if (!columns.has('simhash')) {
+    db.exec('alter table memories add column simhash text');
+    // Fingerprint what's already stored (and hash anything from before content hashes)
+    const fill = db.prepare('update memories set content_hash = ?, simhash = ? where key = ?');
+    for (const row of db.prepare('select key, content from memories').all()) {
+      fill.run(contentHash(row.content), simhash(row.content), row.key);
+    }
+  }
+  db.exec('create index if not exists memories_content_hash_idx on memories (content_hash)');
+  db.exec('create index if not exists memories_expires_at_idx on memories (expires_at) where expires_at is not null');
+  const revisionColumns = new Set(db.prepare('pragma table_info(memory_revisions)').all().map(c => c.name));
+  if (!revisionColumns.has('metadata')) db.exec('alter table memory_revisions add column metadata text');
+  if (!revisionColumns.has('content_type')) db.exec('alter table memory_revisions add column content_type text');
+  if (!revisionColumns.has('provenance')) db.exec('alter table memory_revisions add column provenance text');
+  const hadFts = db.prepare("select 1 from sqlite_master where name = 'memories_fts'").get();
+  db.exec(FTS_SCHEMA);
+  if (!hadFts) db.exec("insert into memories_fts (memories_fts) values ('rebuild')");
+
+  // Same domain rule as matchesFilters(): exact host or any subdomain.
+  db.function('matches_domain', (url, domain) => {
+    const host = urlDomain(url);
+    const want = String(domain).toLowerCase().replace(/^www\./, '');
+    return host && (host === want || host.endsWith('.' + want)) ? 1 : 0;
+  });
+  // Same title order as sortTitle()
+  db.function('sort_title', title => sortTitle(title));
+
+  const stmts = {
+    get: db.prepare('select * from memories where key = ?'),
+    upsert: db.prepare(`
+      insert into memories (key, url, title, content, content_length, tags, tags_text, stored_by, stored_at,
+                            access_count, version, content_hash, simhash, content_type, metadata, crawl, summary,
+                            provenance, expires_at, last_accessed_at, created_at)
+      values (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      on conflict (key) do update set
+        url = excluded.url, title = excluded.title, content = excluded.content,
+        content_length = excluded.content_length, tags = excluded.tags, tags_text = excluded.tags_text,
+        stored_by = excluded.stored_by, stored_at = excluded.stored_at,
+        version = excluded.version, content_hash = excluded.content_hash, simhash = excluded.simhash,
+        content_type = excluded.content_type, metadata = excluded.metadata, crawl = excluded.crawl,
+        summary = excluded.summary, provenance = excluded.provenance, expires_at = excluded.expires_at,
+        last_accessed_at = excluded.last_accessed_at
+    `),
+    insertRevision: db.prepare(`
+      insert into memory_revisions (key, version, url, title, content, content_hash, content_length, content_type,
+                                    tags, metadata, provenance, stored_by, stored_at)
+      values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    hasRevisions: db.prepare('select 1 from memory_revisions where key = ? limit 1'),
+    history: db.prepare(`
+      select version, url, title, content_hash, content_length, content_type, tags, stored_by, stored_at
+      from memory_revisions where key = ? order by version desc limit ? offset ?
+    `),
+    getRevision: db.prepare('select * from memory_revisions where key = ? and version = ?'),
+    deleteRevisions: db.prepare('delete from memory_revisions where key = ?'),
+    delete: db.prepare('delete from memories where key = ?'),
+    deleteChunks: db.prepare('delete from memory_chunks where key = ?'),
+    insertChunk: db.prepare(`
+      insert into memory_chunks (key, chunk_index, start_offset, end_offset, model, embedding)
+      values (?, ?, ?, ?, ?, ?)
+    `),
+    chunksForModel: db.prepare(`
+      select c.key, c.chunk_index, c.start_offset, c.end_offset, c.embedding
+      from memory_chunks c join memories m on m.key = c.key
+      where c.model = ?
+    `),
+    unindexed: db.prepare(`
+      select key from memories m
+      where not exists (select 1 from memory_chunks c where c.key = m.key and c.model = ?)
+    `),
+    setCrawl: db.prepare('update memories set crawl = ? where key = ?'),
+    setSummary: db.prepare('update memories set summary = ? where key = ?'),
+    setFeedback: db.prepare('update memories set feedback = ?, upvotes = ?, downvotes = ?, flagged = ? where key = ?'),
+    feedbackTotals: db.prepare('select stored_by, upvotes, downvotes, flagged from memories'),
+    setExpiry: db.prepare('update memories set expires_at = ? where key = ?'),
+    setPinned: db.prepare('update memories set pinned = ? where key = ?'),
+    expiredKeys: db.prepare(`
+      select key from memories
+      where expires_at is not null and expires_at <= ? and pinned = 0
+      order by expires_at limit ?
+    `),
+    evictionCandidates: db.prepare(`
+      select key, content_length from memories where pinned = 0
+      order by coalesce(last_accessed_at, stored_at) limit ?
+    `),
+    unsummarized: db.prepare(`
+      select key from memories
+      where summary is null or json_extract(summary, '$.summarizer') is not ?
+        or json_extract(summary, '$.contentHash') is not content_hash
+    `),
+    putLink: db.prepare(`
+      insert or replace into memory_links (from_key, to_key, type, created_by, created_at, auto)
+      values (?, ?, ?, ?, ?, ?)
+    `),
+    deleteLink: db.prepare('delete from memory_links where from_key = ? and to_key = ? and type = ?'),
+    deleteLinksOf: db.prepare('delete from memory_links where from_key = ? or to_key = ?'),
+    deleteAutoLinks: db.prepare('delete from memory_links where from_key = ? and auto = 1'),
+    outgoing: db.prepare('select * from memory_links where from_key = ? order by created_at'),
+    incoming: db.prepare('select * from memory_links where to_key = ? order by created_at'),
+    keyForUrl: db.prepare('select key, url from memories where url = ?'),
+    keysForContent: db.prepare('select key from memories where content_hash = ?'),
+    staleUrls: db.prepare(`
+      select key, url from memories
+      where url is not null and coalesce(json_extract(crawl, '$.checkedAt'), stored_at) < ?
+      order by coalesce(json_extract(crawl, '$.checkedAt'), stored_at) limit ?
+    `),
+    increment: db.prepare('update memories set access_count = access_count + 1, last_accessed_at = ? where key = ?'),
+    accessCount: db.prepare('select access_count from memories where key = ?'),
+    count: db.prepare('select count(*) as n from memories')
+  };
+
+  function transaction(fn) {
+    db.exec('begin');
+    try {
+      const result = fn();
+      db.exec('commit');
+      return result;
+    } catch (e) {
+      db.exec('rollback');
+      throw e;
+    }
+  }
+
+  function insertRevision(key, rev) {
+    stmts.insertRevision.run(
+      key, rev.version, rev.url, rev.title, rev.content, rev.contentHash, rev.contentLength, rev.contentType,
+      JSON.stringify(rev.tags), rev.metadata ? JSON.stringify(rev.metadata) : null,
+      rev.provenance ? JSON.stringify(rev.provenance) : null, rev.storedBy, rev.storedAt
+    );
+  }
+
+  // SQL conditions on `memories m` for the filters matchesFilters() applies
+  function filterClauses(filters) {
+    const where = [];
+    const params = [];
+    for (const tag of filters.tags || []) {
+      where.push('exists (select 1 from json_each(m.tags) t where lower(t.value) = lower(?))');
+      params.push(String(tag));
+    }
+    if (filters.storedBy) { where.push('m.stored_by = ?'); params.push(filters.storedBy); }
+    if (filters.flagged !== undefined) { where.push('m.flagged = ?'); params.push(filters.flagged ? 1 : 0); }
+    if (filters.activeAt) {
+      where.push('(m.expires_at is null or m.expires_at > ? or m.pinned = 1)');
+      params.push(filters.activeAt);
+    }
+    if (filters.domain) { where.push('matches_domain(m.url, ?)'); params.push(filters.domain); }
+    if (filters.since) { where.push('m.stored_at >= ?'); params.push(filters.since); }
+    if (filters.until) { where.push('m.stored_at <= ?'); params.push(filters.until); }
+    // Prefixes are compared with substr() so "_" and "%" in them stay literal
+    if (filters.keyPrefix) {
+      where.push('substr(m.key, 1, length(?)) = ?');
+      params.push(filters.keyPrefix, filters.keyPrefix);
+    }
+    for (const prefix of filters.excludeKeyPrefixes || []) {
+      where.push('substr(m.key, 1, length(?)) <> ?');
+      params.push(prefix, prefix);
+    }
+    return { where, params };
+  }
+
+  // Statement over `memories m` narrowed by the filters; `sql` is a template for the where clause
+  function filteredStatement(sql, filters) {
+    const { where, params } = filterClauses(filters);
+    return { stmt: db.prepare(sql(where.length ? `where ${where.join(' and ')}` : '')), params };
+  }
+
+  function searchStatement(filters) {
+    const clauses = filterClauses(filters);
+    const where = ['memories_fts match ?', ...clauses.where];
+    const params = clauses.params;
+
+    // bm25() can't sit next to a window function, hence the subquery.
+    const sql = `
+      select *, count(*) over () as total from (
+        select m.*, -bm25(memories_fts, 2.0, 3.0, 1.0, 2.0) as score
+        from memories_fts join memories m on m.rowid = memories_fts.rowid
+        where ${where.join(' and ')}
+      )
+      order by score desc, stored_at desc
+      limit ? offset ?
+    `;
+    return { stmt: db.prepare(sql), params };
+  }
+
+  return {
+    name: 'sqlite',
+
+    async get(key) {
+      const row = stmts.get.get(key);
+      if (!row) return null;
+      const entry = fromRow(row);
+      return { ...entry, contentHash: entry.contentHash || contentHash(entry.content) };
+    },
+
+    async upsert(entry, { ifVersion } = {}) {
+      const e = normalizeEntry(entry);
+      return transaction(() => {
+        const row = stmts.get.get(e.key);
+        const current = row ? fromRow(row) : null;
+        const currentVersion = current ? current.version : 0;
+        checkVersion(e.key, ifVersion, currentVersion);
+
+        // Entries from before versioning: keep what they held as their first revision.
+        if (current && !stmts.hasRevisions.get(e.key)) insertRevision(e.key, toRevision(current));
+
+        const version = currentVersion + 1;
+        stmts.upsert.run(
+          e.key, e.url, e.title, e.content, e.contentLength,
+          JSON.stringify(e.tags), tagsToText(e.tags), e.storedBy, e.storedAt, version, e.contentHash, e.simhash, e.contentType,
+          e.metadata ? JSON.stringify(e.metadata) : null, e.crawl ? JSON.stringify(e.crawl) : null,
+          e.summary ? JSON.stringify(e.summary) : null, e.provenance ? JSON.stringify(e.provenance) : null,
+          e.expiresAt, e.storedAt, current ? current.createdAt || current.storedAt : e.storedAt
+        );
+        insertRevision(e.key, toRevision({ ...e, version }));
+        return { key: e.key, version };
+      });
+    },
+
+    async history(key, { limit = 20, offset = 0 } = {}) {
+      return stmts.history.all(key, limit, offset).map(fromRevisionRow);
+    },
+
+    async getRevision(key, version) {
+      const row = stmts.getRevision.get(key, Number(version));
+      return row ? fromRevisionRow(row) : null;
+    },
+
+    async delete(key) {
+      return transaction(() => {
+        stmts.deleteChunks.run(key);
+        stmts.deleteLinksOf.run(key, key);
+        stmts.deleteRevisions.run(key);
+        return stmts.delete.run(key).changes > 0;
+      });
+    },
+
+    async incrementAccess(key) {
+      if (stmts.increment.run(new Date().toISOString(), key).changes === 0) return null;
+      return stmts.accessCount.get(key).access_count;
+    },
+
+    async setCrawl(key, crawl) {
+      stmts.setCrawl.run(crawl ? JSON.stringify(crawl) : null, key);
+    },
+
+    async setSummary(key, summary) {
+      stmts.setSummary.run(summary ? JSON.stringify(summary) : null, key);
+    },
+
+    async unsummarizedKeys(id) {
+      return stmts.unsummarized.all(id).map(r => r.key);
+    },
+
+    async setFeedback(key, feedback) {
+      const { upvotes, downvotes, flagged } = tallyFeedback(feedback);
+      stmts.setFeedback.run(feedback ? JSON.stringify(feedback) : null, upvotes, downvotes, flagged ? 1 : 0, key);
+    },
+
+    async feedbackTotals() {
+      return feedbackTotals(stmts.feedbackTotals.all().map(fromRow));
+    },
+
+    async setRetention(key, { expiresAt, pinned }) {
+      transaction(() => {
+        if (expiresAt !== undefined) stmts.setExpiry.run(expiresAt, key);
+        if (pinned !== undefined) stmts.setPinned.run(pinned ? 1 : 0, key);
+      });
+    },
+
+    async expiredKeys({ before, limit = 100 } = {}) {
+      return stmts.expiredKeys.all(before, limit).map(r => r.key);
+    },
+
+    async evictionCandidates({ limit = 100 } = {}) {
+      return stmts.evictionCandidates.all(limit).map(r => ({ key: r.key, contentLength: r.content_length }));
+    },
+
+    async staleUrls({ before, limit = 10 } = {}) {
+      return stmts.staleUrls.all(before, limit).map(r => ({ key: r.key, url: r.url }));
+    },
+
+    async search(query, { limit = 10, offset = 0, filters = {} } = {}) {
+      const terms = queryTerms(query);
+      if (!terms.length) return { total: 0, results: [] };
+      const match = terms.map(t => `"${t}"`).join(' OR ');
+
+      const { stmt, params } = searchStatement(filters);
+      const rows = stmt.all(match, ...params, limit, offset);
+      return {
+        // The window count is only visible on returned rows; past the last page fall back to a count.
+        total: rows.length ? rows[0].total : offset > 0 ? stmt.all(match, ...params, 1, 0)[0]?.total ?? 0 : 0,
+        results: rows.map(r => ({ ...fromRow(r), score: r.score }))
+      };
+    },
+
+    async list({ limit = 50, offset = 0, filters = {}, sort = 'recent', order = LIST_SORTS[sort], after } = {}) {
+      const { where, params } = filterClauses(filters);
+      const column = SORT_COLUMNS[sort];
+      const dir = order === 'asc' ? 'asc' : 'desc';
+      if (after) {
+        // Just past the previous page's last entry: further along in sort order, or level with it and a later key
+        where.push(`(${column} ${dir === 'asc' ? '>' : '<'} ? or (${column} = ? and m.key > ?))`);
+        params.push(after.value, after.value, after.key);
+      }
+      const stmt = db.prepare(`
+        select ${LIST_COLUMNS.split(', ').map(c => 'm.' + c).join(', ')} from memories m
+        ${where.length ? `where ${where.join(' and ')}` : ''}
+        order by ${column} ${dir}, m.key limit ? offset ?
+      `);
+      return stmt.all(...params, limit, offset).map(fromRow);
+    },
+
+    async count({ filters } = {}) {
+      if (!filters) return stmts.count.get().n;
+      const { stmt, params } = filteredStatement(w => `select count(*) as n from memories m ${w}`, filters);
+      return stmt.get(...params).n;
+    },
+
+    async stats({ filters = {}, top, interval } = {}) {
+      const { stmt, params } = filteredStatement(w => `select ${STATS_COLUMNS} from memories m ${w}`, filters);
+      return summarizeStats(stmt.all(...params).map(fromRow), { top, interval });
+    },
+
+    async scan({ after = '', limit = 100, filters = {} } = {}) {
+      const { where, params } = filterClauses(filters);
+      const stmt = db.prepare(`
+        select m.* from memories m where ${['m.key > ?', ...where].join(' and ')} order by m.key limit ?
+      `);
+      return stmt.all(after, ...params, limit).map(row => {
+        const entry = fromRow(row);
+        return { ...entry, contentHash: entry.contentHash || contentHash(entry.content) };
+      });
+    },
+
+    async keysForContent(hash) {
+      return stmts.keysForContent.all(hash).map(r => r.key);
+    },
+
+    async fingerprints({ filters = {} } = {}) {
+      const { stmt, params } = filteredStatement(w => `
+        select m.key, m.url, m.title, m.stored_at, m.content_length, m.content_hash, m.simhash from memories m ${w}
+      `, filters);
+      return stmt.all(...params).map(row => ({
+        key: row.key,
+        url: row.url ?? null,
+        title: row.title,
+        storedAt: row.stored_at,
+        contentLength: row.content_length,
+        contentHash: row.content_hash,
+        simhash: row.simhash
+      }));
+    },
+
+    async putChunks(key, model, chunks) {
+      transaction(() => {
+        stmts.deleteChunks.run(key);
+        for (const c of chunks) {
+          stmts.insertChunk.run(key, c.index, c.start, c.end, model, encodeVector(c.vector));
+        }
+      });
+    },
+
+    async matchChunks(vector, { model, limit = 5 } = {}) {
+      return stmts.chunksForModel.all(model)
+        .map(r => ({
+          key: r.key,
+          index: r.chunk_index,
+          start: r.start_offset,
+          end: r.end_offset,
+          score: dot(vector, decodeVector(r.embedding))
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async unindexedKeys(model) {
+      return stmts.unindexed.all(model).map(r => r.key);
+    },
+
+    async putLink(link) {
+      stmts.putLink.run(link.from, link.to, link.type, link.createdBy, link.createdAt, link.auto ? 1 : 0);
+      return link;
+    },
+
+    async deleteLink(from, to, type) {
+      return stmts.deleteLink.run(from, to, type).changes > 0;
+    },
+
+    async links(key) {
+      return {
+        outgoing: stmts.outgoing.all(key).map(fromLinkRow),
+        incoming: stmts.incoming.all(key).map(fromLinkRow)
+      };
+    },
+
+    async setAutoLinks(from, toKeys, { createdBy, createdAt }) {
+      transaction(() => {
+        stmts.deleteAutoLinks.run(from);
+        for (const to of toKeys) stmts.putLink.run(from, to, 'links_to', createdBy, createdAt, 1);
+      });
+    },
+
+    async keysForUrls(urls) {
+      return urls.flatMap(url => stmts.keyForUrl.all(url));
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,476 @@
+const {
+  tagsToText, normalizeEntry, summarizeStats, VersionConflictError, contentHash, summaryIsCurrent, tallyFeedback,
+  feedbackTotals, LIST_SORTS
+} = require('./common');
+const { simhash } = require('../simhash');
+
+// Supabase/Postgres store backed by the `memories` table in supabase_schema.sql.
+
+const LIST_COLUMNS =
+  'key,title,url,content_length,content_type,tags,stored_by,stored_at,access_count,version,upvotes,downvotes,flagged,' +
+  'expires_at,pinned,last_accessed_at,created_at';
+
+// What each list sort orders by (title_sort is lower(title), see supabase_schema.sql)
+const SORT_COLUMNS = { recent: 'stored_at', accessed: 'access_count', size: 'content_length', title: 'title_sort' };
+
+const STATS_COLUMNS = 'key,title,url,content_length,tags,stored_by,stored_at,access_count,created_at';
+
+// A value inside a PostgREST or() filter, quoted so commas, dots and parentheses stay literal
+function quoted(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// filter_memories() arguments for `filters`; unset ones are left to the defaults
+function filterArgs(filters = {}) {
+  const args = {};
+  if (filters.tags && filters.tags.length) args.filter_tags = filters.tags.map(String);
+  if (filters.storedBy) args.filter_stored_by = filters.storedBy;
+  if (filters.domain) args.filter_domain = filters.domain;
+  if (filters.since) args.stored_since = filters.since;
+  if (filters.until) args.stored_until = filters.until;
+  if (filters.keyPrefix) args.key_prefix = filters.keyPrefix;
+  if (filters.excludeKeyPrefixes && filters.excludeKeyPrefixes.length) args.exclude_key_prefixes = filters.excludeKeyPrefixes;
+  if (filters.flagged !== undefined) args.filter_flagged = Boolean(filters.flagged);
+  if (filters.activeAt) args.active_at = filters.activeAt;
+  return args;
+}
+
+function fromRow(row) {
+  const entry = {
+    key: row.key,
+    url: row.url ?? null,
+    title: row.title,
+    contentLength: row.content_length ?? 0,
+    contentType: row.content_type ?? null,
+    tags: row.tags || [],
+    storedBy: row.stored_by,
+    storedAt: row.stored_at,
+    accessCount: row.access_count ?? 0,
+    version: row.version ?? 1,
+    contentHash: row.content_hash ?? undefined
+  };
+  if (row.content !== undefined) entry.content = row.content;
+  if (row.simhash !== undefined) entry.simhash = row.simhash;
+  if (row.metadata !== undefined) entry.metadata = row.metadata;
+  if (row.crawl !== undefined) entry.crawl = row.crawl;
+  if (row.summary !== undefined) entry.summary = row.summary;
+  if (row.provenance !== undefined) entry.provenance = row.provenance;
+  if (row.feedback !== undefined) entry.feedback = row.feedback;
+  if (row.upvotes !== undefined) {
+    entry.upvotes = row.upvotes;
+    entry.downvotes = row.downvotes;
+    entry.flagged = Boolean(row.flagged);
+  }
+  if (row.expires_at !== undefined) {
+    entry.expiresAt = row.expires_at ?? null;
+    entry.pinned = Boolean(row.pinned);
+    entry.lastAccessedAt = row.last_accessed_at ?? null;
+  }
+  if (row.created_at !== undefined) entry.createdAt = row.created_at ?? row.stored_at;
+  return entry;
+}
+
+function fromRevisionRow(row) {
+  const rev = {
+    version: row.version,
+    url: row.url ?? null,
+    title: row.title,
+    contentHash: row.content_hash,
+    contentLength: row.content_length,
+    contentType: row.content_type ?? null,
+    tags: row.tags || [],
+    storedBy: row.stored_by,
+    storedAt: row.stored_at
+  };
+  if (row.content !== undefined) rev.content = row.content;
+  if (row.metadata !== undefined) rev.metadata = row.metadata;
+  if (row.provenance !== undefined) rev.provenance = row.provenance;
+  return rev;
+}
+
+function fromLinkRow(row) {
+  return {
+    from: row.from_key,
+    to: row.to_key,
+    type: row.type,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    auto: row.auto
+  };
+}
+
+function toLinkRow(link) {
+  return {
+    from_key: link.from,
+    to_key: link.to,
+    type: link.type,
+    created_by: link.createdBy,
+    created_at: link.createdAt,
+    auto: Boolean(link.auto)
+  };
+}
+
+function toRow(entry) {
+  return {
+    key: entry.key,
+    url: entry.url,
+    title: entry.title,
+    content: entry.content,
+    content_length: entry.contentLength,
+    content_type: entry.contentType,
+    tags: entry.tags,
+    tags_text: tagsToText(entry.tags),
+    stored_by: entry.storedBy,
+    stored_at: entry.storedAt,
+    content_hash: entry.contentHash,
+    simhash: entry.simhash,
+    metadata: entry.metadata,
+    crawl: entry.crawl,
+    summary: entry.summary,
+    provenance: entry.provenance,
+    expires_at: entry.expiresAt
+  };
+}
+
+const PAGE_SIZE = 1000;
+
+function createSupabaseStore({ client }) {
+  const supabase = client;
+
+  // PostgREST caps result sets, so read large selects page by page.
+  async function selectAll(build) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  // The memories matching `filters`, every one of them applied in SQL by the
+  // filter_memories() function in supabase_schema.sql; chain select(),
+  // order() and range() as on a table. opts: { count }
+  function filtered(filters, opts) {
+    return supabase.rpc('filter_memories', filterArgs(filters), opts);
+  }
+
+  async function get(key) {
+    const { data, error } = await supabase
+      .from('memories')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    const entry = fromRow(data);
+    return { ...entry, contentHash: entry.contentHash || contentHash(entry.content) };
+  }
+
+  return {
+    name: 'supabase',
+
+    get,
+
+    async upsert(entry, { ifVersion } = {}) {
+      // write_memory() checks the version, appends the revision and upserts in one transaction.
+      const { data, error } = await supabase.rpc('write_memory', {
+        entry: toRow(normalizeEntry(entry)),
+        if_version: ifVersion ?? null
+      });
+      if (error) throw new Error(error.message);
+      const result = data[0];
+      if (result.conflict) throw new VersionConflictError(result.key, Number(ifVersion), result.version);
+      return { key: result.key, version: result.version };
+    },
+
+    async history(key, { limit = 20, offset = 0 } = {}) {
+      const { data, error } = await supabase
+        .from('memory_revisions')
+        .select('version,url,title,content_hash,content_length,content_type,tags,stored_by,stored_at')
+        .eq('key', key)
+        .order('version', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(error.message);
+      return (data || []).map(fromRevisionRow);
+    },
+
+    async getRevision(key, version) {
+      const { data, error } = await supabase
+        .from('memory_revisions')
+        .select('*')
+        .eq('key', key)
+        .eq('version', Number(version))
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      return data ? fromRevisionRow(data) : null;
+    },
+
+    async delete(key) {
+      const { data, error } = await supabase.from('memories').delete().eq('key', key).select('key');
+      if (error) throw new Error(error.message);
+      return (data || []).length > 0;
+    },
+
+    async incrementAccess(key) {
+      // Best-effort read-modify-write; never fail the surrounding request.
+      try {
+        const { data } = await supabase.from('memories').select('access_count').eq('key', key).maybeSingle();
+        if (!data) return null;
+        const next = (data.access_count ?? 0) + 1;
+        await supabase.from('memories')
+          .update({ access_count: next, last_accessed_at: new Date().toISOString() })
+          .eq('key', key);
+        return next;
+      } catch { return null; }
+    },
+
+    async setCrawl(key, crawl) {
+      const { error } = await supabase.from('memories').update({ crawl }).eq('key', key);
+      if (error) throw new Error(error.message);
+    },
+
+    async setSummary(key, summary) {
+      const { error } = await supabase.from('memories').update({ summary }).eq('key', key);
+      if (error) throw new Error(error.message);
+    },
+
+    async unsummarizedKeys(id) {
+      const rows = await selectAll(() => supabase.from('memories').select('key,content_hash,summary').order('key'));
+      return rows.map(fromRow).filter(e => !summaryIsCurrent(e, id)).map(e => e.key);
+    },
+
+    async setFeedback(key, feedback) {
+      const { error } = await supabase.from('memories').update({ feedback, ...tallyFeedback(feedback) }).eq('key', key);
+      if (error) throw new Error(error.message);
+    },
+
+    async feedbackTotals() {
+      const rows = await selectAll(() => supabase.from('memories').select('stored_by,upvotes,downvotes,flagged').order('key'));
+      return feedbackTotals(rows.map(fromRow));
+    },
+
+    async setRetention(key, { expiresAt, pinned }) {
+      const changes = {};
+      if (expiresAt !== undefined) changes.expires_at = expiresAt;
+      if (pinned !== undefined) changes.pinned = Boolean(pinned);
+      const { error } = await supabase.from('memories').update(changes).eq('key', key);
+      if (error) throw new Error(error.message);
+    },
+
+    async expiredKeys({ before, limit = 100 } = {}) {
+      const { data, error } = await supabase
+        .from('memories')
+        .select('key')
+        .lte('expires_at', before)
+        .eq('pinned', false)
+        .order('expires_at', { ascending: true })
+        .limit(limit);
+      if (error) throw new Error(error.message);
+      return (data || []).map(r => r.key);
+    },
+
+    async evictionCandidates({ limit = 100 } = {}) {
+      // last_accessed_at is set on every write, so it is never older than stored_at
+      const { data, error } = await supabase
+        .from('memories')
+        .select('key,content_length')
+        .eq('pinned', false)
+        .order('last_accessed_at', { ascending: true, nullsFirst: false })
+        .order('stored_at', { ascending: true })
+        .limit(limit);
+      if (error) throw new Error(error.message);
+      return (data || []).map(r => ({ key: r.key, contentLength: r.content_length ?? 0 }));
+    },
+
+    async staleUrls({ before, limit = 10 } = {}) {
+      // Filtered and ordered by lastChecked() in stale_urls(), see supabase_schema.sql
+      const { data, error } = await supabase.rpc('stale_urls', { checked_before: before, result_limit: limit });
+      if (error) throw new Error(error.message);
+      return (data || []).map(r => ({ key: r.key, url: r.url }));
+    },
+
+    async search(query, { limit = 10, offset = 0, filters = {} } = {}) {
+      // Ranked with ts_rank by the search_memories() function in supabase_schema.sql.
+      const run = async (lim, off) => {
+        const { data, error } = await supabase.rpc('search_memories', {
+          search_query: String(query || ''),
+          ...filterArgs(filters),
+          result_limit: lim,
+          result_offset: off
+        });
+        if (error) throw new Error(error.message);
+        return data || [];
+      };
+
+      const rows = await run(limit, offset);
+      const total = rows.length ? rows[0].total : offset > 0 ? (await run(1, 0))[0]?.total ?? 0 : 0;
+      return {
+        total: Number(total),
+        results: rows.map(r => ({ ...fromRow(r), score: r.score }))
+      };
+    },
+
+    async list({ limit = 50, offset = 0, filters, sort = 'recent', order = LIST_SORTS[sort], after } = {}) {
+      const column = SORT_COLUMNS[sort];
+      const ascending = order === 'asc';
+      let query = filtered(filters).select(LIST_COLUMNS);
+      if (after) {
+        // Just past the previous page's last entry: further along in sort order, or level with it and a later key
+        const value = quoted(after.value);
+        query = query.or(`${column}.${ascending ? 'gt' : 'lt'}.${value},and(${column}.eq.${value},key.gt.${quoted(after.key)})`);
+      }
+      const { data, error } = await query
+        .order(column, { ascending })
+        .order('key', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(error.message);
+      return (data || []).map(fromRow);
+    },
+
+    async count({ filters } = {}) {
+      const { count, error } = await filtered(filters, { count: 'exact' }).select('key').limit(1);
+      if (error) throw new Error(error.message);
+      return count || 0;
+    },
+
+    async stats({ filters, top, interval } = {}) {
+      const rows = await selectAll(() => filtered(filters).select(STATS_COLUMNS).order('key'));
+      return summarizeStats(rows.map(fromRow), { top, interval });
+    },
+
+    async scan({ after = '', limit = 100, filters } = {}) {
+      const { data, error } = await filtered(filters).select('*')
+        .gt('key', after)
+        .order('key')
+        .limit(limit);
+      if (error) throw new Error(error.message);
+      return (data || []).map(row => {
+        const entry = fromRow(row);
+        return { ...entry, contentHash: entry.contentHash || contentHash(entry.content) };
+      });
+    },
+
+    async keysForContent(hash) {
+      const { data, error } = await supabase.from('memories').select('key').eq('content_hash', hash);
+      if (error) throw new Error(error.message);
+      return (data || []).map(r => r.key);
+    },
+
+    async fingerprints({ filters } = {}) {
+      const rows = await selectAll(() => filtered(filters)
+        .select('key,url,title,stored_at,content_length,content_hash,simhash')
+        .order('key'));
+      // Rows written before fingerprints existed get one now, computed here and saved
+      for (const row of rows.filter(r => !r.simhash || !r.content_hash)) {
+        const { data, error } = await supabase.from('memories').select('content').eq('key', row.key).maybeSingle();
+        if (error) throw new Error(error.message);
+        if (!data) continue;
+        row.content_hash = contentHash(data.content);
+        row.simhash = simhash(data.content);
+        await supabase.from('memories').update({ content_hash: row.content_hash, simhash: row.simhash }).eq('key', row.key);
+      }
+      return rows.map(row => ({
+        key: row.key,
+        url: row.url ?? null,
+        title: row.title,
+        storedAt: row.stored_at,
+        contentLength: row.content_length ?? 0,
+        contentHash: row.content_hash,
+        simhash: row.simhash
+      }));
+    },
+
+    // Passage vectors live in `memory_chunks` (pgvector); rows cascade on entry delete.
+    async putChunks(key, model, chunks) {
+      const { error: delErr } = await supabase.from('memory_chunks').delete().eq('key', key);
+      if (delErr) throw new Error(delErr.message);
+      if (!chunks.length) return;
+
+      const { error } = await supabase.from('memory_chunks').insert(chunks.map(c => ({
+        key,
+        chunk_index: c.index,
+        start_offset: c.start,
+        end_offset: c.end,
+        model,
+        embedding: Array.from(c.vector)
+      })));
+      if (error) throw new Error(error.message);
+    },
+
+    async matchChunks(vector, { model, limit = 5 } = {}) {
+      const { data, error } = await supabase.rpc('match_memory_chunks', {
+        query_embedding: Array.from(vector),
+        match_model: model,
+        match_count: limit
+      });
+      if (error) throw new Error(error.message);
+      return (data || []).map(r => ({
+        key: r.key,
+        index: r.chunk_index,
+        start: r.start_offset,
+        end: r.end_offset,
+        score: r.score
+      }));
+    },
+
+    async unindexedKeys(model) {
+      // Every indexed entry has a chunk 0, so those keys are the indexed set.
+      const [all, indexed] = await Promise.all([
+        selectAll(() => supabase.from('memories').select('key').order('key')),
+        selectAll(() => supabase.from('memory_chunks').select('key').eq('model', model).eq('chunk_index', 0).order('key'))
+      ]);
+      const done = new Set(indexed.map(r => r.key));
+      return all.map(r => r.key).filter(k => !done.has(k));
+    },
+
+    // Links live in `memory_links`; rows cascade when either entry is deleted.
+    async putLink(link) {
+      const { error } = await supabase
+        .from('memory_links')
+        .upsert(toLinkRow(link), { onConflict: 'from_key,to_key,type' });
+      if (error) throw new Error(error.message);
+      return link;
+    },
+
+    async deleteLink(from, to, type) {
+      const { data, error } = await supabase
+        .from('memory_links')
+        .delete()
+        .eq('from_key', from).eq('to_key', to).eq('type', type)
+        .select('from_key');
+      if (error) throw new Error(error.message);
+      return (data || []).length > 0;
+    },
+
+    async links(key) {
+      const [outgoing, incoming] = await Promise.all([
+        selectAll(() => supabase.from('memory_links').select('*').eq('from_key', key).order('created_at')),
+        selectAll(() => supabase.from('memory_links').select('*').eq('to_key', key).order('created_at'))
+      ]);
+      return { outgoing: outgoing.map(fromLinkRow), incoming: incoming.map(fromLinkRow) };
+    },
+
+    async setAutoLinks(from, toKeys, { createdBy, createdAt }) {
+      const { error: delErr } = await supabase.from('memory_links').delete().eq('from_key', from).eq('auto', true);
+      if (delErr) throw new Error(delErr.message);
+      if (!toKeys.length) return;
+      const { error } = await supabase.from('memory_links').upsert(
+        toKeys.map(to => toLinkRow({ from, to, type: 'links_to', createdBy, createdAt, auto: true })),
+        { onConflict: 'from_key,to_key,type' }
+      );
+      if (error) throw new Error(error.message);
+    },
+
+    async keysForUrls(urls) {
+      if (!urls.length) return [];
+      const { data, error } = await supabase.from('memories').select('key,url').in('url', urls);
+      if (error) throw new Error(error.message);
+      return data || [];
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,58 @@
+const { contentHash, summaryIsCurrent } = require('./storage/common');
+
+// Entry summaries on top of a storage adapter. A summary is made after each
+// write and kept on the entry with the content hash and summarizer it came
+// from; reads regenerate it when either has changed since (or the write-time
+// summary failed or hasn't finished).
+function createSummaryIndex({ store, summarizer }) {
+  // A fresh summary of `entry` (or of one of its revisions), not stored
+  async function summarize(entry) {
+    const summary = await summarizer.summarize({ title: entry.title, content: entry.content || '' });
+    return {
+      ...summary,
+      summarizer: summarizer.id,
+      contentHash: entry.contentHash || contentHash(entry.content),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  async function update(entry) {
+    const summary = await summarize(entry);
+    await store.setSummary(entry.key, summary);
+    return summary;
+  }
+
+  // The stored summary of a current entry, made now if missing or stale
+  async function get(entry) {
+    return summaryIsCurrent(entry, summarizer.id) ? entry.summary : update(entry);
+  }
+
+  // Rollup of `entries` (whole, newest first): each one's short summary, and
+  // an overview summarizing those summaries together
+  async function digest(entries) {
+    const items = [];
+    for (const entry of entries) items.push({ entry, summary: await get(entry) });
+    const text = items.map(({ entry, summary }) => `${entry.title}: ${summary.short}`).join('\n');
+    const overview = items.length
+      ? await summarizer.summarize({ title: 'Digest', content: text })
+      : { short: '', long: '', keyPoints: [] };
+    return { overview, items };
+  }
+
+  // Summarize entries stored before summaries existed (or by another summarizer)
+  async function backfill() {
+    let summarized = 0;
+    for (const key of await store.unsummarizedKeys(summarizer.id)) {
+      const entry = await store.get(key);
+      if (entry) {
+        await update(entry);
+        summarized++;
+      }
+    }
+    return summarized;
+  }
+
+  return { id: summarizer.id, summarize, update, get, digest, backfill };
+}
+
+module.exports = { createSummaryIndex };
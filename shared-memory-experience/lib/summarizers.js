@@ -0,0 +1,154 @@
+const { tokenize } = require('./search');
+
+// Summarizers are { id, summarize({ title, content }) -> { short, long,
+// keyPoints } }; `id` is stored with each summary.
+
+const SHORT_CHARS = 300;
+const LONG_CHARS = 1200;
+const KEY_POINTS = 5;
+const POINT_CHARS = 200;
+
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : cut) + '…';
+}
+
+// Sentences with their position; lines without end punctuation (headings,
+// list items) count as sentences of their own
+function sentences(text) {
+  const out = [];
+  for (const line of String(text || '').split(/\n+/)) {
+    for (const s of line.split(/(?<=[.!?])["')\]]?\s+(?=["'(\[]?[\p{Lu}\p{N}])/u)) {
+      const sentence = s.replace(/\s+/g, ' ').trim();
+      if (sentence) out.push({ index: out.length, text: sentence, terms: tokenize(sentence) });
+    }
+  }
+  return out;
+}
+
+// Share of the shorter term list's distinct terms the other one has too
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / Math.max(1, Math.min(setA.size, setB.size));
+}
+
+// Offline default: scores sentences by how many of the document's frequent
+// terms they carry (length-normalized), with a boost for early sentences and
+// for sharing words with the title, then picks the best that don't repeat
+// each other. Quotes the document verbatim, so it never invents anything.
+function createExtractiveSummarizer() {
+  function summarizeText({ title, content }) {
+    const all = sentences(content);
+    const candidates = all.filter(s => s.terms.length >= 4 && s.text.length <= 600);
+    const pool = candidates.length ? candidates : all;
+    if (!pool.length) return { short: '', long: '', keyPoints: [] };
+
+    const frequency = new Map();
+    for (const s of all) for (const t of new Set(s.terms)) frequency.set(t, (frequency.get(t) || 0) + 1);
+    const titleTerms = new Set(tokenize(title));
+
+    const scored = pool.map(s => {
+      const distinct = [...new Set(s.terms)];
+      const weight = distinct.reduce((sum, t) => sum + Math.log(1 + frequency.get(t)), 0) / Math.sqrt(distinct.length || 1);
+      const titleBoost = titleTerms.size ? 1 + 0.5 * distinct.filter(t => titleTerms.has(t)).length / titleTerms.size : 1;
+      const positionBoost = 1 + 0.5 / (1 + s.index / 3);
+      return { ...s, score: weight * titleBoost * positionBoost };
+    }).sort((a, b) => b.score - a.score);
+
+    // Best sentences first, skipping near-repeats of ones already taken
+    function pick(max, budget) {
+      const taken = [];
+      let used = 0;
+      for (const s of scored) {
+        if (taken.length >= max) break;
+        if (taken.some(t => overlap(t.terms, s.terms) > 0.6)) continue;
+        if (taken.length && used + s.text.length > budget) continue;
+        taken.push(s);
+        used += s.text.length + 1;
+      }
+      return taken;
+    }
+    const inOrder = list => list.slice().sort((a, b) => a.index - b.index);
+
+    return {
+      short: clip(inOrder(pick(2, SHORT_CHARS)).map(s => s.text).join(' '), SHORT_CHARS),
+      long: clip(inOrder(pick(8, LONG_CHARS)).map(s => s.text).join(' '), LONG_CHARS),
+      keyPoints: inOrder(pick(KEY_POINTS, Infinity)).map(s => clip(s.text, POINT_CHARS))
+    };
+  }
+
+  return {
+    id: 'extractive-1',
+    async summarize(doc) { return summarizeText(doc); }
+  };
+}
+
+// Any OpenAI-compatible /chat/completions endpoint. Documents are cut to
+// `maxInputChars` first, so cost per entry stays bounded.
+function createHttpSummarizer({ url, apiKey, model, maxInputChars = 24000 }) {
+  const instructions = [
+    'Summarize the document for an AI agent deciding whether to read it in full.',
+    'Answer with a JSON object only: {"short": one or two sentences,',
+    '"long": one paragraph of at most 200 words, "keyPoints": an array of at most',
+    `${KEY_POINTS} short standalone statements}. Use only facts stated in the document.`
+  ].join(' ');
+
+  return {
+    id: `http:${model}`,
+    async summarize({ title, content }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: instructions },
+            { role: 'user', content: `Title: ${title || '(none)'}\n\n${String(content || '').slice(0, maxInputChars)}` }
+          ]
+        })
+      });
+      if (!res.ok) throw new Error(`Summary request failed: HTTP ${res.status}`);
+      const body = await res.json();
+      let parsed;
+      try {
+        parsed = JSON.parse(body.choices[0].message.content);
+      } catch {
+        throw new Error('Summary response was not the JSON object asked for');
+      }
+      const text = v => (typeof v === 'string' ? v.trim() : '');
+      return {
+        short: clip(text(parsed.short), SHORT_CHARS),
+        long: clip(text(parsed.long), LONG_CHARS),
+        keyPoints: (Array.isArray(parsed.keyPoints) ? parsed.keyPoints : [])
+          .map(text).filter(Boolean).slice(0, KEY_POINTS).map(p => clip(p, POINT_CHARS))
+      };
+    }
+  };
+}
+
+// Pick a summarizer from env-style config: SUMMARIZER = extractive | http | off.
+function createSummarizer({ kind = 'extractive', url, apiKey, model, maxInputChars } = {}) {
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'extractive':
+      return createExtractiveSummarizer();
+    case 'http':
+      if (!url || !model) throw new Error('SUMMARIZER=http requires SUMMARIZER_URL and SUMMARIZER_MODEL');
+      return createHttpSummarizer({ url, apiKey, model, maxInputChars });
+    default:
+      throw new Error(`Unknown summarizer: ${kind}`);
+  }
+}
+
+module.exports = { createSummarizer, createExtractiveSummarizer, createHttpSummarizer, sentences, overlap };
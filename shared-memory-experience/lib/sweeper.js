@@ -0,0 +1,84 @@
+const { isExpired } = require('./storage/common');
+
+// Background cleanup: deletes expired entries, then evicts the least recently
+// used while the store is over its caps. Pinned entries are never touched.
+function createSweeper({ store, remove, intervalMs, batchSize = 100, maxEntries = 0, maxCharacters = 0 }) {
+  let timer = null;
+  let running = false;
+
+  async function purgeExpired(counts) {
+    for (;;) {
+      const now = new Date().toISOString();
+      const keys = await store.expiredKeys({ before: now, limit: batchSize });
+      let removed = 0;
+      for (const key of keys) {
+        // It may have been rewritten or pinned since the query
+        const entry = await store.get(key);
+        if (!entry || !isExpired(entry, now)) continue;
+        if (await remove(key)) removed++;
+      }
+      counts.expired += removed;
+      if (keys.length < batchSize || !removed) return;
+    }
+  }
+
+  async function overCap() {
+    const entries = maxEntries > 0 ? await store.count() : 0;
+    const characters = maxCharacters > 0 ? (await store.stats()).totalCharacters : 0;
+    return {
+      entries: maxEntries > 0 ? Math.max(entries - maxEntries, 0) : 0,
+      characters: maxCharacters > 0 ? Math.max(characters - maxCharacters, 0) : 0
+    };
+  }
+
+  async function evictOverCap(counts) {
+    if (!(maxEntries > 0) && !(maxCharacters > 0)) return;
+    let excess = await overCap();
+    while (excess.entries > 0 || excess.characters > 0) {
+      const candidates = await store.evictionCandidates({ limit: batchSize });
+      if (!candidates.length) return; // everything left is pinned
+      let removed = 0;
+      for (const { key, contentLength } of candidates) {
+        if (excess.entries <= 0 && excess.characters <= 0) break;
+        if (!(await remove(key))) continue;
+        removed++;
+        excess = { entries: excess.entries - 1, characters: excess.characters - contentLength };
+      }
+      counts.evicted += removed;
+      if (!removed) return;
+      excess = await overCap();
+    }
+  }
+
+  async function runOnce() {
+    const counts = { expired: 0, evicted: 0 };
+    if (running) return counts;
+    running = true;
+    try {
+      await purgeExpired(counts);
+      await evictOverCap(counts);
+      return counts;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || !(intervalMs > 0)) return;
+    timer = setInterval(() => {
+      runOnce()
+        .then(c => { if (c.expired || c.evicted) console.log(`Swept ${c.expired} expired and ${c.evicted} evicted entries`); })
+        .catch(e => console.error('Sweep failed:', e.message));
+    }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createSweeper };
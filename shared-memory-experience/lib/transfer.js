@@ -0,0 +1,296 @@
+const { contentHash } = require('./storage/common');
+
+// Export and import of whole stores as JSON Lines, one entry (with optional
+// revisions and links) per line; used by the endpoints and scripts/migrate.js.
+
+const IMPORT_STRATEGIES = ['skip', 'overwrite', 'version'];
+const MAX_KEY_LENGTH = 512;
+
+// Pages through `store` in key order, yielding one record per entry
+async function* exportRecords(store, { history = false, links = true, filters, pageSize = 200 } = {}) {
+  let after = '';
+  for (;;) {
+    const page = await store.scan({ after, limit: pageSize, filters });
+    for (const entry of page) {
+      const record = {
+        key: entry.key,
+        url: entry.url ?? null,
+        title: entry.title,
+        content: entry.content,
+        contentType: entry.contentType ?? null,
+        tags: entry.tags || [],
+        metadata: entry.metadata ?? null,
+        provenance: entry.provenance ?? null,
+        crawl: entry.crawl ?? null,
+        storedBy: entry.storedBy,
+        storedAt: entry.storedAt,
+        version: entry.version,
+        contentHash: entry.contentHash,
+        expiresAt: entry.expiresAt ?? null,
+        pinned: Boolean(entry.pinned)
+      };
+      if (history) {
+        const earlier = [];
+        for (const summary of (await store.history(entry.key, { limit: 1e6 })).reverse()) {
+          if (summary.version >= entry.version) continue;
+          const rev = await store.getRevision(entry.key, summary.version);
+          if (rev) earlier.push(revisionRecord(rev));
+        }
+        record.revisions = earlier;
+      }
+      if (links) {
+        const { outgoing } = await store.links(entry.key);
+        if (outgoing.length) record.links = outgoing;
+      }
+      yield record;
+    }
+    if (page.length < pageSize) return;
+    after = page[page.length - 1].key;
+  }
+}
+
+function revisionRecord(rev) {
+  return {
+    version: rev.version,
+    url: rev.url ?? null,
+    title: rev.title,
+    content: rev.content,
+    contentType: rev.contentType ?? null,
+    tags: rev.tags || [],
+    metadata: rev.metadata ?? null,
+    provenance: rev.provenance ?? null,
+    storedBy: rev.storedBy,
+    storedAt: rev.storedAt
+  };
+}
+
+// --- Markdown bundle ---
+
+// File path for a key: namespaces become folders, anything unsafe becomes "_"
+function markdownPath(key, taken) {
+  const parts = key.split(':');
+  const safe = parts.map(p => p.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_') || '_');
+  let base = safe.join('/');
+  let name = `${base}.md`;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}.md`;
+  taken.add(name);
+  return name;
+}
+
+// The entry as Markdown with YAML front matter (values are JSON, which YAML reads as-is)
+function toMarkdown(record) {
+  const front = {
+    key: record.key,
+    title: record.title,
+    url: record.url,
+    tags: record.tags,
+    storedBy: record.storedBy,
+    storedAt: record.storedAt,
+    version: record.version,
+    contentType: record.contentType,
+    contentHash: record.contentHash
+  };
+  const lines = Object.entries(front)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${k}: ${JSON.stringify(v)}`);
+  return `---\n${lines.join('\n')}\n---\n\n${record.content}\n`;
+}
+
+// --- Import ---
+
+class ImportError extends Error {}
+
+function isDate(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Check one record and fill in defaults; throws ImportError saying what's wrong
+function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) throw new ImportError('not an object');
+  const { key, content } = record;
+  if (typeof key !== 'string' || !key.trim()) throw new ImportError('key must be a non-empty string');
+  if (key.length > MAX_KEY_LENGTH) throw new ImportError(`key is longer than ${MAX_KEY_LENGTH} characters`);
+  if (typeof content !== 'string') throw new ImportError('content must be a string');
+  if (record.tags !== undefined && !(Array.isArray(record.tags) && record.tags.every(t => typeof t === 'string'))) {
+    throw new ImportError('tags must be an array of strings');
+  }
+  if (record.storedAt !== undefined && !isDate(record.storedAt)) throw new ImportError('storedAt is not a date');
+  if (record.expiresAt !== undefined && record.expiresAt !== null && !isDate(record.expiresAt)) {
+    throw new ImportError('expiresAt is not a date');
+  }
+  if (record.url !== undefined && record.url !== null && typeof record.url !== 'string') {
+    throw new ImportError('url must be a string');
+  }
+  if (record.contentHash && record.contentHash !== contentHash(content)) {
+    throw new ImportError('contentHash does not match content');
+  }
+  if (record.revisions !== undefined && !Array.isArray(record.revisions)) throw new ImportError('revisions must be an array');
+
+  const entry = r => ({
+    key,
+    url: r.url || null,
+    title: typeof r.title === 'string' && r.title ? r.title : key,
+    content: r.content,
+    contentType: r.contentType || null,
+    tags: r.tags || [],
+    metadata: r.metadata && typeof r.metadata === 'object' ? r.metadata : null,
+    provenance: r.provenance && typeof r.provenance === 'object' ? r.provenance : { method: 'import' },
+    storedBy: typeof r.storedBy === 'string' && r.storedBy ? r.storedBy : 'anonymous',
+    storedAt: isDate(r.storedAt) ? new Date(r.storedAt).toISOString() : new Date().toISOString()
+  });
+  const revisions = (record.revisions || []).map((r, i) => {
+    if (!r || typeof r.content !== 'string') throw new ImportError(`revision ${i + 1} has no content`);
+    return entry(r);
+  });
+  const current = entry(record);
+  if (record.expiresAt !== undefined) current.expiresAt = record.expiresAt && new Date(record.expiresAt).toISOString();
+  return {
+    ...current,
+    crawl: record.crawl && typeof record.crawl === 'object' ? record.crawl : null,
+    pinned: record.pinned === true,
+    revisions,
+    links: Array.isArray(record.links) ? record.links : []
+  };
+}
+
+// Records from JSONL text: [{ line, record } | { line, error }]
+function parseJsonLines(text) {
+  const out = [];
+  String(text).split('\n').forEach((raw, i) => {
+    if (!raw.trim()) return;
+    try {
+      out.push({ line: i + 1, record: JSON.parse(raw) });
+    } catch (e) {
+      out.push({ line: i + 1, error: `invalid JSON (${e.message})` });
+    }
+  });
+  return out;
+}
+
+// The prototype's jsonblob (see SHARED_MEMORY.md): { entries: { [key]: { url, content, storedBy, storedAt } } }
+function isLegacyBlob(data) {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+    data.entries && typeof data.entries === 'object' && !Array.isArray(data.entries);
+}
+
+function legacyRecords(blob) {
+  return Object.entries(blob.entries).map(([key, e], i) => ({
+    line: i + 1,
+    record: e && typeof e === 'object'
+      ? { tags: ['legacy'], ...e, key, url: legacyUrl(e.url) }
+      : { key }
+  }));
+}
+
+// The blob wrote URLs with or without a scheme ("gwern.net/about")
+function legacyUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+// Any accepted upload: JSONL text, a JSON array of records, or a legacy blob
+function parseImport(body) {
+  if (typeof body === 'string') {
+    const trimmed = body.trim();
+    if (!trimmed.startsWith('[') && !/^\{\s*"entries"\s*:/.test(trimmed)) return parseJsonLines(body);
+    try {
+      body = JSON.parse(trimmed);
+    } catch (e) {
+      throw new ImportError(`Invalid JSON: ${e.message}`);
+    }
+  }
+  if (isLegacyBlob(body)) return legacyRecords(body);
+  if (Array.isArray(body)) return body.map((record, i) => ({ line: i + 1, record }));
+  throw new ImportError('Expected JSON Lines, an array of records, or a { "entries": {...} } blob');
+}
+
+// Write parsed records through `ops`, resolving existing keys by `strategy`
+// (skip, overwrite or version); new keys get their revisions replayed first.
+async function importRecords(parsed, ops, { strategy = 'skip', dryRun = false, maxErrors = 100 } = {}) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new ImportError(`strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}`);
+  }
+  const report = { strategy, dryRun, created: 0, updated: 0, replaced: 0, unchanged: 0, skipped: 0, failed: 0, errors: [] };
+  const fail = (line, key, error) => {
+    report.failed++;
+    if (report.errors.length < maxErrors) report.errors.push({ line, key: key || null, error });
+  };
+  const seen = new Set();
+  const written = [];
+
+  for await (const { line, record, error } of parsed) {
+    if (error) {
+      fail(line, null, error);
+      continue;
+    }
+    let entry;
+    try {
+      entry = validateRecord(record);
+    } catch (e) {
+      fail(line, record && typeof record.key === 'string' ? record.key : null, e.message);
+      continue;
+    }
+    if (seen.has(entry.key)) {
+      fail(line, entry.key, 'duplicate key in this import');
+      continue;
+    }
+    seen.add(entry.key);
+
+    try {
+      const existing = await ops.get(entry.key);
+      const { revisions, crawl, links, pinned, ...current } = entry;
+      if (existing && strategy === 'skip') {
+        report.skipped++;
+        continue;
+      }
+      if (existing && strategy === 'version' && existing.contentHash === contentHash(current.content) &&
+          existing.title === current.title && existing.url === current.url) {
+        report.unchanged++;
+        continue;
+      }
+      if (!dryRun) {
+        if (existing && strategy === 'overwrite') await ops.remove(existing);
+        const replay = existing && strategy === 'version' ? [] : revisions;
+        for (const rev of replay) await ops.write(rev);
+        await ops.write(current);
+        if (crawl) await ops.setCrawl(entry.key, crawl);
+        if (pinned) await ops.setRetention(entry.key, { pinned: true });
+      }
+      if (!existing) report.created++;
+      else if (strategy === 'overwrite') report.replaced++;
+      else report.updated++;
+      written.push({ line, key: entry.key, links });
+    } catch (e) {
+      fail(line, entry.key, e.message);
+    }
+  }
+
+  // Links last, once both ends may exist
+  if (!dryRun) {
+    for (const { line, key, links } of written) {
+      for (const link of links) {
+        if (!link || link.from !== key || typeof link.to !== 'string' || typeof link.type !== 'string') continue;
+        try {
+          if (await ops.get(link.to)) await ops.putLink(link);
+        } catch (e) {
+          fail(line, key, `link to ${link.to}: ${e.message}`);
+        }
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  exportRecords,
+  toMarkdown,
+  markdownPath,
+  validateRecord,
+  parseJsonLines,
+  parseImport,
+  legacyRecords,
+  isLegacyBlob,
+  importRecords,
+  ImportError,
+  IMPORT_STRATEGIES
+};
@@ -0,0 +1,110 @@
+const { tallyFeedback } = require('./storage/common');
+
+// Votes, flags and trust (0..1): an entry's trust is its votes over its author's
+// reputation. Voting and flagging need standing; see votingBar().
+
+// Votes' worth of weight the prior carries: a few votes move trust, one doesn't
+const PRIOR_VOTES = 2;
+// An open flag on one of an agent's entries counts as this many downvotes
+const FLAG_WEIGHT = 3;
+const NEUTRAL = 0.5;
+
+function round(score) {
+  return Number(score.toFixed(3));
+}
+
+function reputationScore({ upvotes, downvotes, flagged }) {
+  return (upvotes + PRIOR_VOTES * NEUTRAL) / (upvotes + downvotes + FLAG_WEIGHT * flagged + PRIOR_VOTES);
+}
+
+function emptyFeedback() {
+  return { votes: {}, flags: [], reviews: [] };
+}
+
+function createTrust({ store, agents, minVoterAgeMs = 0, minVoterContributions = 0, flagsToHide = 1 }) {
+  // Reputations are summed over the whole store, so they're computed once
+  // and kept until the next write or vote
+  let reputations = null;
+
+  function loadReputations() {
+    if (!reputations) {
+      reputations = store.feedbackTotals().then(rows => new Map(rows.map(r => [r.agent, r])));
+      reputations.catch(() => { reputations = null; });
+    }
+    return reputations;
+  }
+
+  function invalidate() {
+    reputations = null;
+  }
+
+  // -> { agent, score, entries, upvotes, downvotes, flagged }
+  async function reputation(agent) {
+    const totals = (await loadReputations()).get(agent) ||
+      { agent, entries: 0, upvotes: 0, downvotes: 0, flagged: 0 };
+    return { ...totals, agent, score: round(reputationScore(totals)) };
+  }
+
+  // Trust of each of `entries` (anything with storedBy, upvotes, downvotes)
+  async function trustOf(entries) {
+    const known = await loadReputations();
+    return entries.map(e => {
+      const prior = known.has(e.storedBy) ? reputationScore(known.get(e.storedBy)) : NEUTRAL;
+      const up = e.upvotes || 0;
+      const down = e.downvotes || 0;
+      return round((up + PRIOR_VOTES * prior) / (up + down + PRIOR_VOTES));
+    });
+  }
+
+  async function save(entry, feedback) {
+    await store.setFeedback(entry.key, feedback);
+    invalidate();
+    return { ...tallyFeedback(feedback), feedback };
+  }
+
+  // Why `username` may not vote (or flag: `verb`) yet, or null if they may
+  function votingBar(username, verb = 'vote') {
+    const agent = agents()[username];
+    if (!agent) return `Only registered agents can ${verb}`;
+    const age = Date.now() - Date.parse(agent.registeredAt || 0);
+    if (age < minVoterAgeMs) {
+      const hours = Math.ceil((minVoterAgeMs - age) / 3600000);
+      return `Agents can ${verb} ${minVoterAgeMs / 3600000} hours after registering; ${hours} to go`;
+    }
+    if ((agent.contributions || 0) < minVoterContributions) {
+      return `Agents can ${verb} once they have written ${minVoterContributions} versions (${agent.contributions || 0} so far)`;
+    }
+    return null;
+  }
+
+  // `value` 1 (up), -1 (down) or 0 (take the vote back); one vote per agent
+  async function vote(entry, agent, value) {
+    const feedback = { ...emptyFeedback(), ...entry.feedback };
+    const votes = { ...feedback.votes };
+    if (value) votes[agent] = value;
+    else delete votes[agent];
+    return save(entry, { ...feedback, votes });
+  }
+
+  // Flag for admin review; an agent's later flag replaces their earlier one.
+  // `hide` hides the entry at once, however few flags it has.
+  async function flag(entry, agent, reason, { hide = false } = {}) {
+    const feedback = { ...emptyFeedback(), ...entry.feedback };
+    const flags = feedback.flags.filter(f => f.by !== agent);
+    flags.push({ by: agent, reason, at: new Date().toISOString() });
+    const hidden = hide || tallyFeedback(feedback).flagged || flags.length >= flagsToHide;
+    return save(entry, { ...feedback, flags, hidden });
+  }
+
+  // An admin's decision to keep a flagged entry: its open flags move to the
+  // review record, which makes it visible again
+  async function keep(entry, admin, note) {
+    const feedback = { ...emptyFeedback(), ...entry.feedback };
+    const review = { by: admin, at: new Date().toISOString(), decision: 'keep', note: note || null, flags: feedback.flags };
+    return save(entry, { ...feedback, flags: [], hidden: false, reviews: [...feedback.reviews, review] });
+  }
+
+  return { reputation, trustOf, votingBar, vote, flag, keep, invalidate };
+}
+
+module.exports = { createTrust };
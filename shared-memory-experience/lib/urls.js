@@ -0,0 +1,90 @@
+// URL canonicalization: canonicalUrl() is what gets fetched and stored,
+// urlIdentity() (also scheme-, www- and slash-blind) is what keys come from.
+
+const { getDomain } = require('tldts');
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'oly_anon_id', 'oly_enc_id', 'wickedid', '_ga', '_gl', 'ref_src',
+  'ref_url', 's_cid', 'spm'
+]);
+
+function isTracking(name) {
+  const n = name.toLowerCase();
+  return n.startsWith('utm_') || TRACKING_PARAMS.has(n);
+}
+
+function parse(url) {
+  try {
+    const u = new URL(String(url).trim());
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u : null;
+  } catch {
+    return null;
+  }
+}
+
+// Anything that isn't an http(s) URL comes back unchanged.
+// (URL already lowercases the host and drops default ports.)
+function canonicalUrl(url) {
+  const u = parse(url);
+  if (!u) return url;
+  u.hash = '';
+  const kept = [...u.searchParams].filter(([name]) => !isTracking(name));
+  kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = new URLSearchParams(kept).toString();
+  return u.toString();
+}
+
+function urlIdentity(url) {
+  const u = parse(canonicalUrl(url));
+  if (!u) return String(url);
+  const host = u.host.replace(/^www\./, '');
+  return `${host}${u.pathname.replace(/\/+$/, '')}${u.search}`;
+}
+
+function sameUrl(a, b) {
+  return Boolean(a) && Boolean(b) && urlIdentity(a) === urlIdentity(b);
+}
+
+// Spellings of `url` an entry may have been stored under: the URL as given,
+// and its canonical form with either scheme, with and without "www." and a trailing slash
+function urlVariants(url) {
+  const u = parse(canonicalUrl(url));
+  if (!u) return [url];
+  const host = u.host.replace(/^www\./, '');
+  const path = u.pathname.replace(/\/+$/, '');
+  const variants = new Set([url]);
+  for (const scheme of ['https:', 'http:']) {
+    for (const h of [host, `www.${host}`]) {
+      for (const p of path ? [path, `${path}/`] : ['/']) variants.add(`${scheme}//${h}${p}${u.search}`);
+    }
+  }
+  return [...variants];
+}
+
+// The part of a host one owner controls: "example.co.uk" for
+// "news.example.co.uk", "alice.github.io" for itself (private suffixes count).
+// IP addresses and single-label names are only themselves.
+function registrableDomain(host) {
+  return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+// The page's rel=canonical when it can be trusted: on the page's own site,
+// and not its home page declared by a deeper page.
+function declaredCanonical(pageUrl, declared) {
+  if (!declared) return null;
+  let target;
+  try {
+    target = new URL(declared, pageUrl);
+  } catch {
+    return null;
+  }
+  const page = parse(pageUrl);
+  if (!parse(target.href) || !page) return null;
+  if (registrableDomain(target.hostname) !== registrableDomain(page.hostname)) return null;
+  const isHome = u => u.pathname === '/' && !u.search;
+  if (isHome(target) && !isHome(page)) return null;
+  return canonicalUrl(target.href);
+}
+
+module.exports = { canonicalUrl, urlIdentity, sameUrl, urlVariants, declaredCanonical };
@@ -0,0 +1,71 @@
+const { chunkText } = require('./embeddings');
+const { documentChunks, chunkAt } = require('./documents');
+const { matchesFilters } = require('./storage/common');
+
+// Passage-level embedding index on top of a storage adapter. Entries are cut
+// into overlapping chunks, each chunk (prefixed with the entry title) is
+// embedded, and the adapter keeps { index, start, end, vector } per chunk.
+function createVectorIndex({ store, embedder, chunkSize = 800, chunkOverlap = 100 }) {
+  async function index(entry) {
+    const chunks = chunkText(entry.content || '', { size: chunkSize, overlap: chunkOverlap });
+    const vectors = chunks.length
+      ? await embedder.embed(chunks.map(c => `${entry.title || ''}\n${c.text}`))
+      : [];
+    await store.putChunks(entry.key, embedder.id, chunks.map((c, i) => ({ ...c, vector: vectors[i] })));
+    return chunks.length;
+  }
+
+  // Top-k passages for free text. `excludeKey` drops the entry the query came
+  // from; `visible(key)`, when given, drops entries it returns false for, and
+  // `filters` (as for search) entries that don't match them.
+  async function query(text, { limit = 5, excludeKey, visible, filters } = {}) {
+    const [vector] = await embedder.embed([text]);
+    const matches = await store.matchChunks(vector, {
+      model: embedder.id,
+      limit: excludeKey || visible || filters ? limit * 3 : limit
+    });
+
+    const entries = new Map();
+    const results = [];
+    for (const m of matches) {
+      if (m.key === excludeKey || m.score <= 0 || (visible && !visible(m.key))) continue;
+      if (!entries.has(m.key)) {
+        const found = await store.get(m.key);
+        const wanted = found && (!filters || matchesFilters(found, filters));
+        entries.set(m.key, wanted && { entry: found, chunks: documentChunks(found.content) });
+      }
+      if (!entries.get(m.key)) continue;
+      const { entry, chunks } = entries.get(m.key);
+      results.push({
+        key: m.key,
+        title: entry.title,
+        url: entry.url,
+        // the document chunk (as served by `get`) holding this passage
+        chunk: chunkAt(chunks, m.start),
+        start: m.start,
+        end: m.end,
+        passage: entry.content.slice(m.start, m.end).trim(),
+        score: m.score
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  // Embed entries stored before the index existed (or under another model).
+  async function backfill() {
+    let indexed = 0;
+    for (const key of await store.unindexedKeys(embedder.id)) {
+      const entry = await store.get(key);
+      if (entry) {
+        await index(entry);
+        indexed++;
+      }
+    }
+    return indexed;
+  }
+
+  return { index, query, backfill };
+}
+
+module.exports = { createVectorIndex };
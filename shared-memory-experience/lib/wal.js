@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+// Append-only write-ahead log of JSON records, one per line. Each append is
+// flushed to disk before it returns. On open, a last line cut short by a
+// crash is dropped (that write never completed); damage anywhere else stops
+// the load.
+
+function readRecords(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return { records: [], validBytes: 0 };
+    throw e;
+  }
+
+  const records = [];
+  let offset = 0;
+  while (offset < text.length) {
+    const newline = text.indexOf('\n', offset);
+    const line = text.slice(offset, newline === -1 ? text.length : newline);
+    try {
+      if (newline === -1) throw new Error('unterminated record');
+      if (line.trim()) records.push(JSON.parse(line));
+    } catch (e) {
+      if (newline === -1 || text.slice(newline + 1).trim() === '') {
+        console.warn(`${file}: dropping an incomplete last record (${e.message})`);
+        break;
+      }
+      throw new Error(`${file} is corrupt at byte ${Buffer.byteLength(text.slice(0, offset))} (${e.message}); ` +
+        'restore it from a backup or move it aside');
+    }
+    offset = newline + 1;
+  }
+  return { records, validBytes: Buffer.byteLength(text.slice(0, offset)) };
+}
+
+function createWriteAheadLog(file) {
+  const { records, validBytes } = readRecords(file);
+  // Cut off a torn tail so new records start on a clean line
+  if (fs.existsSync(file) && fs.statSync(file).size !== validBytes) fs.truncateSync(file, validBytes);
+  let fd = fs.openSync(file, 'a');
+  let bytes = validBytes;
+
+  function append(record) {
+    const line = JSON.stringify(record) + '\n';
+    fs.writeSync(fd, line);
+    fs.fdatasyncSync(fd);
+    bytes += Buffer.byteLength(line);
+  }
+
+  // Empty the log once everything in it is safely in the snapshot files
+  function reset() {
+    fs.ftruncateSync(fd, 0);
+    fs.fsyncSync(fd);
+    bytes = 0;
+  }
+
+  function close() {
+    if (fd === null) return;
+    fs.closeSync(fd);
+    fd = null;
+  }
+
+  return { records, append, reset, close, size: () => bytes };
+}
+
+module.exports = { createWriteAheadLog };
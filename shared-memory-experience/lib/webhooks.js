@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { isTransient } = require('./jobs');
+
+// Outbound webhook deliveries, signed with the subscription's secret:
+//   X-SharedMemory-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookDispatcher({
+  guard,
+  userAgent,
+  retries = 5,
+  backoffMs = 5000,
+  timeoutMs = 10000,
+  maxPending = 1000,
+  onResult = () => {}
+}) {
+  let pending = 0;
+
+  function post(url, body, headers) {
+    const u = guard.assertPublicHttpUrl(url);
+    const client = u.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(u, {
+        method: 'POST',
+        headers: {
+          'User-Agent': userAgent,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers
+        },
+        lookup: guard.safeLookup,
+        timeout: timeoutMs
+      }, (res) => {
+        res.resume();
+        const status = res.statusCode || 0;
+        if (status >= 200 && status < 300) return resolve(status);
+        reject(Object.assign(new Error(`HTTP ${status}`), { status }));
+      });
+      req.on('error', reject);
+      req.on('timeout', () => req.destroy(new Error('Timeout')));
+      req.end(body);
+    });
+  }
+
+  async function attempt(subscription, event, delivery, n) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const status = await post(subscription.url, body, {
+        'X-SharedMemory-Event': event.type,
+        'X-SharedMemory-Delivery': delivery,
+        'X-SharedMemory-Signature': `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+      });
+      pending--;
+      onResult(subscription, { at: new Date().toISOString(), eventId: event.id, status, attempts: n });
+    } catch (e) {
+      if (n <= retries && isTransient(e)) {
+        setTimeout(() => attempt(subscription, event, delivery, n + 1), backoffMs * 2 ** (n - 1)).unref();
+        return;
+      }
+      pending--;
+      onResult(subscription, {
+        at: new Date().toISOString(),
+        eventId: event.id,
+        status: e.status || null,
+        error: e.message,
+        attempts: n
+      });
+    }
+  }
+
+  // Fire and forget; returns false if the backlog is full and the event was dropped
+  function deliver(subscription, event) {
+    if (pending >= maxPending) {
+      console.warn(`Webhook backlog full; dropping event ${event.id} for ${subscription.url}`);
+      return false;
+    }
+    pending++;
+    attempt(subscription, event, crypto.randomUUID(), 1);
+    return true;
+  }
+
+  return { deliver, pending: () => pending };
+}
+
+module.exports = { createWebhookDispatcher, generateSecret, sign };
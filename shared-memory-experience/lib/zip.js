@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+
+// Minimal streaming ZIP writer: each file is deflated in memory and written
+// with its sizes up front, then finish() appends the central directory.
+// Enough for exports of text files; no ZIP64, so stay under 4GB and 65535 files.
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+// `write(buffer)` receives the archive bytes in order
+function createZipWriter(write) {
+  const files = [];
+  let offset = 0;
+
+  function emit(buf) {
+    write(buf);
+    offset += buf.length;
+  }
+
+  function addFile(name, data, { modified = new Date() } = {}) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const packed = zlib.deflateRawSync(raw);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const { time, date } = dosTime(modified);
+    const file = { nameBytes, crc: crc32(raw), size: raw.length, packedSize: packed.length, time, date, offset };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(file.crc, 14);
+    header.writeUInt32LE(file.packedSize, 18);
+    header.writeUInt32LE(file.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+    emit(header);
+    emit(nameBytes);
+    emit(packed);
+    files.push(file);
+  }
+
+  function finish() {
+    const start = offset;
+    for (const f of files) {
+      const entry = Buffer.alloc(46);
+      entry.writeUInt32LE(0x02014b50, 0);
+      entry.writeUInt16LE(20, 4); // made by
+      entry.writeUInt16LE(20, 6); // version needed
+      entry.writeUInt16LE(0x0800, 8);
+      entry.writeUInt16LE(8, 10);
+      entry.writeUInt16LE(f.time, 12);
+      entry.writeUInt16LE(f.date, 14);
+      entry.writeUInt32LE(f.crc, 16);
+      entry.writeUInt32LE(f.packedSize, 20);
+      entry.writeUInt32LE(f.size, 24);
+      entry.writeUInt16LE(f.nameBytes.length, 28);
+      entry.writeUInt32LE(f.offset, 42);
+      emit(entry);
+      emit(f.nameBytes);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    emit(end);
+  }
+
+  return { addFile, finish };
+}
+
+module.exports = { createZipWriter, crc32 };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Copy entries between storage backends and export files, with the server's
+// storage settings; see --help. Stop the server first when using its disk store.
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { createStore } = require('../lib/storage');
+const { exportRecords, parseImport, importRecords, IMPORT_STRATEGIES } = require('../lib/transfer');
+
+const BACKENDS = ['disk', 'sqlite', 'supabase'];
+
+const USAGE = `Usage: node scripts/migrate.js --from <source> --to <target> [options]
+
+  --from         disk | sqlite | supabase | <export.jsonl> | <blob.json> | <http(s) URL>
+  --to           disk | sqlite | supabase | <file.jsonl>
+  --strategy     what to do with keys the target already has: ${IMPORT_STRATEGIES.join(' | ')} (default skip)
+  --no-history   copy only the current version of each entry
+  --dry-run      validate and report without writing
+  --storage-dir  disk/sqlite directory (default $STORAGE_DIR or ./memory)
+  --sqlite-file  sqlite database (default $SQLITE_FILE or <storage-dir>/shared-memory.db)`;
+
+function parseArgs(argv) {
+  const opts = { strategy: 'skip', history: true, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--from') opts.from = value();
+    else if (arg === '--to') opts.to = value();
+    else if (arg === '--strategy') opts.strategy = value();
+    else if (arg === '--no-history') opts.history = false;
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--storage-dir') opts.storageDir = value();
+    else if (arg === '--sqlite-file') opts.sqliteFile = value();
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (opts.help) return opts;
+  if (!opts.from || !opts.to) throw new Error('--from and --to are required');
+  if (!IMPORT_STRATEGIES.includes(opts.strategy)) {
+    throw new Error(`--strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}`);
+  }
+  if (opts.from === opts.to) throw new Error('--from and --to are the same');
+  if (!BACKENDS.includes(opts.to) && !opts.to.endsWith('.jsonl')) {
+    throw new Error('--to must be a backend or a .jsonl file');
+  }
+  return opts;
+}
+
+function openStore(backend, opts) {
+  const supabase = backend === 'supabase' && process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+    ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
+    : null;
+  const storageDir = opts.storageDir || process.env.STORAGE_DIR || path.join(__dirname, '..', 'memory');
+  if (backend !== 'supabase') fs.mkdirSync(storageDir, { recursive: true });
+  return createStore({
+    backend,
+    storageDir,
+    sqliteFile: opts.sqliteFile || process.env.SQLITE_FILE,
+    supabase
+  });
+}
+
+// Parsed records ([{ line, record }]) from a file or URL
+async function readSource(from) {
+  let text;
+  if (/^https?:\/\//i.test(from)) {
+    const res = await fetch(from, { headers: { Accept: 'application/json, application/x-ndjson' } });
+    if (!res.ok) throw new Error(`GET ${from} failed: HTTP ${res.status}`);
+    text = await res.text();
+  } else {
+    text = fs.readFileSync(from, 'utf8');
+  }
+  return parseImport(text);
+}
+
+async function* numbered(records) {
+  let line = 0;
+  for await (const record of records) yield { line: ++line, record };
+}
+
+async function main(opts) {
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const stores = [];
+  try {
+    let source;
+    if (BACKENDS.includes(opts.from)) {
+      const from = openStore(opts.from, opts);
+      stores.push(from);
+      source = numbered(exportRecords(from, { history: opts.history }));
+    } else {
+      source = await readSource(opts.from);
+    }
+
+    if (!BACKENDS.includes(opts.to)) {
+      let written = 0;
+      if (!opts.dryRun) {
+        const out = fs.createWriteStream(opts.to);
+        for await (const { record, error } of source) {
+          if (error) continue;
+          if (!opts.history) delete record.revisions;
+          if (!out.write(JSON.stringify(record) + '\n')) await new Promise(r => out.once('drain', r));
+          written++;
+        }
+        await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+      }
+      console.log(`Wrote ${written} entries to ${opts.to}`);
+      return 0;
+    }
+
+    const to = openStore(opts.to, opts);
+    stores.push(to);
+    const report = await importRecords(source, {
+      get: key => to.get(key),
+      write: entry => to.upsert(entry),
+      remove: entry => to.delete(entry.key),
+      setCrawl: (key, crawl) => to.setCrawl(key, crawl),
+      setRetention: (key, retention) => to.setRetention(key, retention),
+      putLink: link => to.putLink(link)
+    }, { strategy: opts.strategy, dryRun: opts.dryRun });
+
+    const { errors, ...counts } = report;
+    console.log(Object.entries(counts).map(([k, v]) => `${k}: ${v}`).join(', '));
+    for (const e of errors) console.error(`  line ${e.line}${e.key ? ` (${e.key})` : ''}: ${e.error}`);
+    return report.failed ? 1 : 0;
+  } finally {
+    for (const s of stores) await s.close();
+  }
+}
+
+let opts;
+try {
+  opts = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(`${e.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+main(opts).then(
+  code => process.exit(code),
+  e => {
+    console.error(e.message);
+    process.exit(1);
+  }
+);
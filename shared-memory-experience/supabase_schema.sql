@@ -28,3 +28,307 @@ create table if not exists public.agents (
   registered_at timestamptz not null default now(),
   contributions int not null default 0
 );
+
+-- Full-text search: one weighted vector per entry (title > tags/key > content),
+-- ranked with ts_rank by search_memories() below.
+alter table public.memories add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(tags_text, '')), 'B') ||
+    setweight(to_tsvector('simple', replace(key, '_', ' ')), 'B') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'C')
+  ) stored;
+
+create index if not exists memories_search_idx on public.memories using gin (search_vector);
+
+-- Semantic search: passage embeddings (pgvector). The dimension must match
+-- EMBEDDING_DIMENSIONS (default 256 for the built-in hashing embedder).
+create extension if not exists vector;
+
+create table if not exists public.memory_chunks (
+  key text not null references public.memories (key) on delete cascade,
+  chunk_index int not null,
+  start_offset int not null,
+  end_offset int not null,
+  model text not null,
+  embedding vector(256) not null,
+  primary key (key, chunk_index)
+);
+
+create index if not exists memory_chunks_embedding_idx on public.memory_chunks using hnsw (embedding vector_cosine_ops);
+
+create or replace function public.match_memory_chunks(
+  query_embedding vector(256),
+  match_model text,
+  match_count int default 5
+)
+returns table (key text, chunk_index int, start_offset int, end_offset int, score float)
+language sql stable
+as $$
+  select c.key, c.chunk_index, c.start_offset, c.end_offset, 1 - (c.embedding <=> query_embedding) as score
+  from public.memory_chunks c
+  where c.model = match_model
+  order by c.embedding <=> query_embedding
+  limit match_count;
+$$;
+
+-- Agent API keys (SHA-256 of the key; the key itself is never stored)
+alter table public.agents add column if not exists api_key_hash text;
+alter table public.agents add column if not exists api_key_issued_at timestamptz;
+create unique index if not exists agents_api_key_hash_idx on public.agents (api_key_hash);
+-- Characters written by the agent across all versions (storage quota)
+alter table public.agents add column if not exists stored_characters bigint not null default 0;
+-- Change-feed webhook subscriptions: [{ id, url, secret, filter, createdAt }]
+alter table public.agents add column if not exists webhooks jsonb not null default '[]'::jsonb;
+-- Set when the agent deregisters; the keyless row keeps the name from being reused
+alter table public.agents add column if not exists deregistered_at timestamptz;
+
+-- Namespaces: entries keyed "<name>:<key>" belong to namespace <name>
+create table if not exists public.namespaces (
+  name text primary key,
+  visibility text not null default 'team' check (visibility in ('public', 'team', 'private')),
+  owner text,
+  members jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Versioning: every write appends a revision; writes go through write_memory()
+alter table public.memories add column if not exists version int not null default 1;
+alter table public.memories add column if not exists content_hash text;
+-- Page metadata captured on scrape (title, description, author, OpenGraph...)
+alter table public.memories add column if not exists metadata jsonb;
+-- MIME type the content was extracted from (text/html, application/pdf, ...)
+alter table public.memories add column if not exists content_type text;
+-- Fetch state of URL entries for conditional re-crawls: { etag, lastModified, checkedAt, status, error }
+alter table public.memories add column if not exists crawl jsonb;
+-- Generated summary { short, long, keyPoints, summarizer, contentHash, generatedAt };
+-- not versioned, cleared by every write and regenerated by the server (lib/summaries.js)
+alter table public.memories add column if not exists summary jsonb;
+-- Where each version's content came from { method, sourceUrl, fetchedUrl, fetchedAt, httpStatus, contentHash, extractor }
+alter table public.memories add column if not exists provenance jsonb;
+-- Votes and flags from other agents { votes, flags, reviews }, not versioned (lib/trust.js);
+-- the counts are kept next to it by the server for filtering and reputation
+alter table public.memories add column if not exists feedback jsonb;
+alter table public.memories add column if not exists upvotes int not null default 0;
+alter table public.memories add column if not exists downvotes int not null default 0;
+alter table public.memories add column if not exists flagged boolean not null default false;
+-- Retention (lib/sweeper.js): expired entries are purged unless pinned, and
+-- pinned ones are never evicted when the store is over its size cap, which
+-- goes least recently used (last_accessed_at is bumped by writes and reads)
+alter table public.memories add column if not exists expires_at timestamptz;
+alter table public.memories add column if not exists pinned boolean not null default false;
+alter table public.memories add column if not exists last_accessed_at timestamptz;
+update public.memories set last_accessed_at = stored_at where last_accessed_at is null;
+create index if not exists memories_expires_at_idx on public.memories (expires_at) where expires_at is not null;
+-- Browsing: when the key was first stored (kept by writes, backfilled once
+-- memory_revisions exists below) and the title as lists sort it, lowercased
+-- and compared code point by code point like the server does
+alter table public.memories add column if not exists created_at timestamptz;
+alter table public.memories add column if not exists title_sort text collate "C"
+  generated always as (lower(coalesce(title, ''))) stored;
+create index if not exists memories_title_sort_idx on public.memories (title_sort, key);
+create index if not exists memories_content_length_idx on public.memories (content_length desc);
+-- Deduplication: exact copies share content_hash; simhash is the near-duplicate
+-- fingerprint (lib/simhash.js), filled in for older rows by the server on first use
+alter table public.memories add column if not exists simhash text;
+update public.memories set content_hash = encode(sha256(convert_to(content, 'UTF8')), 'hex') where content_hash is null;
+create index if not exists memories_content_hash_idx on public.memories (content_hash);
+
+-- The entries matching the server's filters (matchesFilters() in
+-- lib/storage/common.js); list, count, stats and search all go through it.
+create or replace function public.filter_memories(
+  filter_tags text[] default null,
+  filter_stored_by text default null,
+  filter_domain text default null,
+  stored_since timestamptz default null,
+  stored_until timestamptz default null,
+  key_prefix text default null,
+  exclude_key_prefixes text[] default null,
+  filter_flagged boolean default null,
+  active_at timestamptz default null
+)
+returns setof public.memories
+language sql stable
+as $$
+  select m.*
+  from public.memories m
+  where (filter_stored_by is null or m.stored_by = filter_stored_by)
+    and (filter_flagged is null or m.flagged = filter_flagged)
+    and (active_at is null or m.expires_at is null or m.expires_at > active_at or m.pinned)
+    and (filter_tags is null or not exists (
+      select 1 from unnest(filter_tags) f
+      where not exists (select 1 from jsonb_array_elements_text(m.tags) t where lower(t) = lower(f))
+    ))
+    and (filter_domain is null or (
+      select d.host = d.want or d.host like '%.' || d.want
+      from (select
+        regexp_replace(lower(split_part(split_part(split_part(m.url, '://', 2), '/', 1), ':', 1)), '^www\.', '') as host,
+        regexp_replace(lower(filter_domain), '^www\.', '') as want) d
+    ))
+    and (stored_since is null or m.stored_at >= stored_since)
+    and (stored_until is null or m.stored_at <= stored_until)
+    and (key_prefix is null or starts_with(m.key, key_prefix))
+    and (exclude_key_prefixes is null or not exists (
+      select 1 from unnest(exclude_key_prefixes) p where starts_with(m.key, p)
+    ));
+$$;
+
+-- Ranked full-text search, defined once the columns it returns exist. Earlier
+-- versions go first: the one without key prefixes (namespaces), the one
+-- without the flagged filter and the one without expiry (which also returned
+-- fewer columns).
+drop function if exists public.search_memories(text, text[], text, text, timestamptz, timestamptz, int, int);
+drop function if exists public.search_memories(text, text[], text, text, timestamptz, timestamptz, text, text[], int, int);
+drop function if exists public.search_memories(text, text[], text, text, timestamptz, timestamptz, text, text[], boolean, int, int);
+
+create or replace function public.search_memories(
+  search_query text,
+  filter_tags text[] default null,
+  filter_stored_by text default null,
+  filter_domain text default null,
+  stored_since timestamptz default null,
+  stored_until timestamptz default null,
+  key_prefix text default null,
+  exclude_key_prefixes text[] default null,
+  filter_flagged boolean default null,
+  active_at timestamptz default null,
+  result_limit int default 10,
+  result_offset int default 0
+)
+returns table (
+  key text, url text, title text, content text, content_length int, tags jsonb,
+  stored_by text, stored_at timestamptz, access_count int, content_hash text, summary jsonb,
+  upvotes int, downvotes int, flagged boolean, expires_at timestamptz, pinned boolean, last_accessed_at timestamptz,
+  score real, total bigint
+)
+language sql stable
+as $$
+  with q as (
+    -- plainto_tsquery ANDs the terms; match on any of them and let ts_rank order the hits.
+    select nullif(replace(plainto_tsquery('english', search_query)::text, ' & ', ' | '), '')::tsquery as tsq
+  ), hits as (
+    select m.*, ts_rank(m.search_vector, q.tsq, 1) as score
+    from public.filter_memories(filter_tags, filter_stored_by, filter_domain, stored_since, stored_until,
+                                key_prefix, exclude_key_prefixes, filter_flagged, active_at) m, q
+    where m.search_vector @@ q.tsq
+  )
+  select h.key, h.url, h.title, h.content, h.content_length, h.tags, h.stored_by, h.stored_at,
+         h.access_count, h.content_hash, h.summary, h.upvotes, h.downvotes, h.flagged,
+         h.expires_at, h.pinned, h.last_accessed_at, h.score,
+         count(*) over () as total
+  from hits h
+  order by h.score desc, h.stored_at desc
+  limit result_limit offset result_offset;
+$$;
+
+create table if not exists public.memory_revisions (
+  key text not null references public.memories (key) on delete cascade,
+  version int not null,
+  url text,
+  title text,
+  content text not null,
+  content_hash text not null,
+  content_length int not null default 0,
+  content_type text,
+  tags jsonb not null default '[]'::jsonb,
+  metadata jsonb,
+  stored_by text not null,
+  stored_at timestamptz not null,
+  primary key (key, version)
+);
+alter table public.memory_revisions add column if not exists metadata jsonb;
+alter table public.memory_revisions add column if not exists content_type text;
+alter table public.memory_revisions add column if not exists provenance jsonb;
+-- First stored when its oldest revision was
+update public.memories m set created_at = coalesce(
+  (select r.stored_at from public.memory_revisions r where r.key = m.key order by r.version limit 1),
+  m.stored_at
+) where m.created_at is null;
+
+-- Optimistic-concurrency write: `if_version` (when not null) must equal the
+-- current version, 0 meaning "key must not exist". Keeps access_count, feedback,
+-- pinned and created_at.
+create or replace function public.write_memory(entry jsonb, if_version int default null)
+returns table (key text, version int, conflict boolean)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  cur public.memories%rowtype;
+  has_current boolean;
+  next_version int;
+begin
+  select * into cur from public.memories m where m.key = entry->>'key' for update;
+  has_current := found;
+
+  if if_version is not null and if_version <> coalesce(cur.version, 0) then
+    return query select entry->>'key', coalesce(cur.version, 0), true;
+    return;
+  end if;
+
+  -- Entries from before versioning: keep what they held as their first revision
+  if has_current and not exists (select 1 from public.memory_revisions r where r.key = cur.key) then
+    insert into public.memory_revisions (key, version, url, title, content, content_hash, content_length, content_type, tags, metadata, provenance, stored_by, stored_at)
+    values (cur.key, cur.version, cur.url, cur.title, cur.content,
+            coalesce(cur.content_hash, encode(sha256(convert_to(cur.content, 'UTF8')), 'hex')),
+            cur.content_length, cur.content_type, cur.tags, cur.metadata, cur.provenance, cur.stored_by, cur.stored_at);
+  end if;
+
+  next_version := coalesce(cur.version, 0) + 1;
+
+  insert into public.memories (key, url, title, content, content_length, content_type, tags, tags_text, stored_by, stored_at,
+                               version, content_hash, simhash, metadata, crawl, summary, provenance,
+                               expires_at, last_accessed_at, created_at)
+  values (entry->>'key', entry->>'url', entry->>'title', entry->>'content', (entry->>'content_length')::int, entry->>'content_type',
+          coalesce(entry->'tags', '[]'::jsonb), coalesce(entry->>'tags_text', ''), entry->>'stored_by',
+          (entry->>'stored_at')::timestamptz, next_version, entry->>'content_hash', entry->>'simhash',
+          nullif(entry->'metadata', 'null'::jsonb), nullif(entry->'crawl', 'null'::jsonb),
+          nullif(entry->'summary', 'null'::jsonb), nullif(entry->'provenance', 'null'::jsonb),
+          (entry->>'expires_at')::timestamptz, (entry->>'stored_at')::timestamptz, (entry->>'stored_at')::timestamptz)
+  on conflict (key) do update set
+    url = excluded.url, title = excluded.title, content = excluded.content,
+    content_length = excluded.content_length, content_type = excluded.content_type,
+    tags = excluded.tags, tags_text = excluded.tags_text,
+    stored_by = excluded.stored_by, stored_at = excluded.stored_at,
+    version = excluded.version, content_hash = excluded.content_hash, simhash = excluded.simhash,
+    metadata = excluded.metadata, crawl = excluded.crawl, summary = excluded.summary,
+    provenance = excluded.provenance, expires_at = excluded.expires_at,
+    last_accessed_at = excluded.last_accessed_at;
+
+  insert into public.memory_revisions (key, version, url, title, content, content_hash, content_length, content_type, tags, metadata, provenance, stored_by, stored_at)
+  values (entry->>'key', next_version, entry->>'url', entry->>'title', entry->>'content', entry->>'content_hash',
+          (entry->>'content_length')::int, entry->>'content_type', coalesce(entry->'tags', '[]'::jsonb), nullif(entry->'metadata', 'null'::jsonb),
+          nullif(entry->'provenance', 'null'::jsonb), entry->>'stored_by', (entry->>'stored_at')::timestamptz);
+
+  return query select entry->>'key', next_version, false;
+end;
+$$;
+
+-- Knowledge graph: typed links between entries. `auto` links (type links_to)
+-- are the page's own outbound links to other stored URLs, rebuilt on every scrape.
+create table if not exists public.memory_links (
+  from_key text not null references public.memories (key) on delete cascade,
+  to_key text not null references public.memories (key) on delete cascade,
+  type text not null check (type in ('cites', 'summarizes', 'contradicts', 'derived_from', 'links_to')),
+  created_by text not null,
+  created_at timestamptz not null default now(),
+  auto boolean not null default false,
+  primary key (from_key, to_key, type),
+  check (from_key <> to_key)
+);
+create index if not exists memory_links_to_idx on public.memory_links (to_key);
+create index if not exists memories_url_idx on public.memories (url);
+
+-- URL entries last checked (or, never checked, stored) before `checked_before`,
+-- least recently checked first: lastChecked() in lib/storage/common.js.
+create or replace function public.stale_urls(checked_before timestamptz, result_limit int default 10)
+returns table (key text, url text)
+language sql stable
+as $$
+  select m.key, m.url
+  from public.memories m
+  where m.url is not null
+    and coalesce((m.crawl->>'checkedAt')::timestamptz, m.stored_at) < checked_before
+  order by coalesce((m.crawl->>'checkedAt')::timestamptz, m.stored_at), m.key
+  limit result_limit;
+$$;
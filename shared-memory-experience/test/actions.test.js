@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('POST /api/memory failures', () => {
+  let server;
+  const keys = {};
+
+  before(async () => {
+    server = await startServer();
+    for (const agent of ['alice', 'bob']) keys[agent] = await server.register(agent);
+    const stored = await server.action(keys.alice, { action: 'store', key: 'mine', content: 'alice wrote this' });
+    assert.equal(stored.body.success, true);
+  });
+
+  after(() => server.stop());
+
+  it('answers 400 for an invalid parameter', async () => {
+    const res = await server.action(keys.alice, { action: 'store', key: 'bad', content: 'x', ttl: 'soon' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.match(res.body.error, /ttl/);
+  });
+
+  it('answers 413 for content over the document limit, storing nothing', async () => {
+    const res = await server.action(keys.alice, { action: 'store', key: 'huge', content: 'x'.repeat(1000001) });
+    assert.equal(res.status, 413);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.maxLength, 1000000);
+    assert.equal((await server.action(keys.alice, { action: 'get', key: 'huge' })).body.success, false);
+
+    const fits = await server.action(keys.alice, { action: 'store', key: 'huge', content: 'x'.repeat(1000000) });
+    assert.equal(fits.body.contentLength, 1000000);
+  });
+
+  it("answers 403 for someone else's entry", async () => {
+    const res = await server.action(keys.bob, { action: 'delete', key: 'mine' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.success, false);
+    assert.equal((await server.action(keys.alice, { action: 'get', key: 'mine' })).body.success, true);
+  });
+
+  it('answers 403 for a namespace the caller may not read', async () => {
+    const created = await server.request('POST', '/api/namespaces', {
+      key: keys.alice,
+      body: { name: 'secret', visibility: 'private' }
+    });
+    assert.equal(created.status, 201);
+    const res = await server.action(keys.bob, { action: 'get', key: 'secret:plan' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.success, false);
+  });
+
+  it('answers 404 for deleting a missing entry', async () => {
+    const res = await server.action(keys.alice, { action: 'delete', key: 'nothing-here' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+  });
+
+  it('keeps HTTP 200 for failures that are not ApiErrors', async () => {
+    const res = await server.action(keys.alice, { action: 'get' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: false, error: 'key required' });
+  });
+});
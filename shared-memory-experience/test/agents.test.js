@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_KEY = 'test-operator-key';
+
+describe('agent registration', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, ADMIN_AGENTS: 'root' });
+  });
+
+  after(() => server.stop());
+
+  const register = (agentUsername, key) =>
+    server.request('POST', '/api/agents/register', { key, body: { agentUsername } });
+
+  it('refuses a taken name to anyone but its agent or an admin', async () => {
+    const key = await server.register('alice');
+    const stranger = await server.register('mallory');
+
+    assert.equal((await register('alice')).status, 409);
+    assert.equal((await register('alice', stranger)).status, 409);
+
+    const own = await register('alice', key);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.apiKey, undefined);
+    const byAdmin = await register('alice', ADMIN_KEY);
+    assert.equal(byAdmin.status, 200);
+    assert.equal(byAdmin.body.apiKey, undefined);
+
+    const stored = await server.action(key, { action: 'store', key: 'alice-note', content: 'still mine' });
+    assert.equal(stored.body.success, true);
+  });
+
+  it('keeps a revoked agent locked until an admin rotates its key', async () => {
+    const key = await server.register('bob');
+    assert.equal((await server.action(key, { action: 'store', key: 'bob-note', content: 'by bob' })).body.success, true);
+
+    const revoked = await server.request('POST', '/api/agents/revoke-key', { key });
+    assert.equal(revoked.status, 200);
+    assert.equal((await server.action(key, { action: 'quota' })).status, 401);
+
+    // Nobody can pick the keyless name up, not even through a fresh registration
+    const claimed = await register('bob');
+    assert.equal(claimed.status, 409);
+    assert.equal(claimed.body.apiKey, undefined);
+    assert.equal((await server.request('POST', '/api/agents/rotate-key', { key })).status, 401);
+
+    const rotated = await server.request('POST', '/api/agents/rotate-key', {
+      key: ADMIN_KEY,
+      body: { agentUsername: 'bob' }
+    });
+    assert.equal(rotated.status, 200);
+    const deleted = await server.action(rotated.body.apiKey, { action: 'delete', key: 'bob-note' });
+    assert.equal(deleted.body.success, true);
+  });
+
+  it('only lets an admin register an ADMIN_AGENTS name', async () => {
+    const claimed = await register('root');
+    assert.equal(claimed.status, 403);
+    assert.equal(claimed.body.apiKey, undefined);
+
+    const byAdmin = await register('root', ADMIN_KEY);
+    assert.equal(byAdmin.status, 200);
+    assert.ok(byAdmin.body.apiKey);
+  });
+});
@@ -0,0 +1,56 @@
+// Crawl policy: domain lists, robots.txt rules and how a robots load settles.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCrawlPolicy } = require('../lib/crawl-policy');
+
+const url = s => new URL(s);
+
+function policy(fetchRobots, options = {}) {
+  return createCrawlPolicy({ productToken: 'SharedMemory', fetchRobots, ...options });
+}
+
+describe('crawl policy', () => {
+  it('applies robots.txt rules for the product token', async () => {
+    const p = policy(async () => ({
+      status: 200,
+      text: 'User-agent: *\nDisallow: /\n\nUser-agent: sharedmemory\nDisallow: /private\nCrawl-delay: 2\n'
+    }));
+    await p.check(url('https://site.example/public'));
+    await assert.rejects(p.check(url('https://site.example/private/x')), { reason: 'robots' });
+    assert.equal(p.crawlDelay('site.example'), 2000);
+  });
+
+  it('holds robots.txt fetches to the domain lists only', async () => {
+    const p = policy(async () => { throw new Error('unused'); }, { denyDomains: ['bad.example'] });
+    p.checkDomain(url('https://site.example/robots.txt'));
+    p.checkDomain(url('https://site.example/moved/robots'));
+    assert.throws(() => p.checkDomain(url('https://bad.example/robots.txt')), { reason: 'denylist' });
+  });
+
+  it('does not hang when the robots fetch waits on the policy itself', async () => {
+    // What a redirect from /robots.txt to another path on the same origin did
+    // when every hop went through check()
+    const p = policy(async robotsUrl => {
+      await new Promise(resolve => setImmediate(resolve)); // the first hop's 301
+      await p.check(new URL('/moved/robots', robotsUrl));
+      return { status: 200, text: '' };
+    }, { robotsTimeoutMs: 50 });
+    await assert.rejects(p.check(url('https://site.example/page')), err => {
+      assert.equal(err.reason, 'robots');
+      assert.match(err.message, /timed out/);
+      return true;
+    });
+  });
+
+  it('times out a robots load that never settles', async () => {
+    let calls = 0;
+    const p = policy(() => { calls++; return new Promise(() => {}); }, { robotsTimeoutMs: 50 });
+    const started = Date.now();
+    await assert.rejects(p.check(url('https://slow.example/a')), /timed out after 0.05s/);
+    assert.ok(Date.now() - started < 1000);
+    // Cached as unreachable for a while rather than retried on every check
+    await assert.rejects(p.check(url('https://slow.example/b')), { reason: 'robots' });
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const ADMIN_KEY = 'test-operator-key';
+
+describe('flagging entries', () => {
+  let server;
+  const keys = {};
+
+  before(async () => {
+    server = await startServer({
+      ADMIN_API_KEY: ADMIN_KEY,
+      VOTE_MIN_AGE_HOURS: '0',
+      VOTE_MIN_CONTRIBUTIONS: '1',
+      FLAGS_TO_HIDE: '2'
+    });
+    for (const agent of ['alice', 'bob', 'carol', 'dave']) keys[agent] = await server.register(agent);
+    // Everyone but dave has written something, which flagging takes here
+    for (const agent of ['alice', 'bob', 'carol']) {
+      const res = await server.action(keys[agent], { action: 'store', key: `${agent}-intro`, content: `${agent} was here` });
+      assert.equal(res.body.success, true);
+    }
+  });
+
+  after(() => server.stop());
+
+  const flag = (agent, key) => server.action(keys[agent] || agent, { action: 'flag', key, reason: 'spam' });
+  const readBy = (agent, key) => server.action(keys[agent], { action: 'get', key });
+
+  it('hides an entry only once two agents have flagged it', async () => {
+    const first = await flag('bob', 'alice-intro');
+    assert.equal(first.body.success, true);
+    assert.equal(first.body.flagged, false);
+    assert.equal((await readBy('carol', 'alice-intro')).status, 200);
+
+    const second = await flag('carol', 'alice-intro');
+    assert.equal(second.body.flagged, true);
+    assert.equal(second.body.flags, 2);
+    assert.equal((await readBy('bob', 'alice-intro')).status, 403);
+    assert.equal((await readBy('alice', 'alice-intro')).status, 200);
+  });
+
+  it('hides an entry at once when an admin flags it', async () => {
+    const res = await flag(ADMIN_KEY, 'bob-intro');
+    assert.equal(res.body.flagged, true);
+    assert.equal((await readBy('carol', 'bob-intro')).status, 403);
+  });
+
+  it('takes the standing voting takes', async () => {
+    const res = await flag('dave', 'carol-intro');
+    assert.equal(res.status, 403);
+    assert.match(res.body.error, /flag once they have written 1 versions/);
+  });
+
+  it("refuses an agent's flag on their own entry", async () => {
+    const res = await flag('carol', 'carol-intro');
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.flagged, undefined);
+  });
+
+  it("doesn't tell who may not read a namespace whether a key exists there", async () => {
+    const created = await server.request('POST', '/api/namespaces', {
+      key: keys.alice,
+      body: { name: 'secret', visibility: 'private' }
+    });
+    assert.equal(created.status, 201);
+    await server.action(keys.alice, { action: 'store', key: 'secret:plan', content: 'the plan' });
+
+    const existing = await flag('bob', 'secret:plan');
+    const missing = await flag('bob', 'secret:nothing');
+    assert.equal(existing.status, 403);
+    assert.deepEqual(missing.body, existing.body);
+  });
+});
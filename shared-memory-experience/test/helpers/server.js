@@ -0,0 +1,91 @@
+// The app on a scratch storage directory, for tests that go through HTTP.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// `env` is added to (and overrides) the test defaults below
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-memory-app-'));
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_BACKEND: 'disk',
+      STORAGE_DIR: dir,
+      SUPABASE_URL: '',
+      REFRESH_TTL_HOURS: '0',
+      SUMMARIZER: 'off',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve();
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+
+  // -> { status, headers, body } with the body parsed when it is JSON (text otherwise)
+  async function request(method, pathname, { key, body, headers = {} } = {}) {
+    const res = await fetch(base + pathname, {
+      method,
+      headers: {
+        ...(key ? { authorization: `Bearer ${key}` } : {}),
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const json = /^application\/json/.test(res.headers.get('content-type') || '');
+    return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+  }
+
+  return {
+    base,
+    dir,
+    request,
+    output: () => output,
+    // POST /api/memory as `key`'s agent
+    action: (key, body) => request('POST', '/api/memory', { key, body }),
+    // Registers `username` and resolves to its API key
+    async register(username) {
+      const res = await request('POST', '/api/agents/register', { body: { agentUsername: username } });
+      if (!res.body || !res.body.apiKey) throw new Error(`Registering ${username} failed: ${JSON.stringify(res.body)}`);
+      return res.body.apiKey;
+    },
+    // Stops the server after its shutdown flush, then removes its directory
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer, freePort, ROOT };
@@ -0,0 +1,191 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, isTransient } = require('../lib/jobs');
+const { startServer } = require('./helpers/server');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A task that records when it ran and stays busy for `ms`
+function timed(log, name, ms = 20) {
+  return async () => {
+    log.push({ name, start: Date.now() });
+    await sleep(ms);
+    log.find(l => l.name === name).end = Date.now();
+    return name;
+  };
+}
+
+// Job `id` once it has finished
+async function finished(jobs, id) {
+  while (!jobs.get(id).finishedAt) await sleep(2);
+  return jobs.get(id);
+}
+
+function transientError() {
+  return Object.assign(new Error('connect ECONNRESET'), { code: 'ECONNRESET' });
+}
+
+describe('job queue', () => {
+  // The queue's timers are unref'd: in the app, the server keeps the process up
+  let keepAlive;
+  before(() => { keepAlive = setInterval(() => {}, 1000); });
+  after(() => clearInterval(keepAlive));
+
+  it('tells transient errors from the rest', () => {
+    assert.equal(isTransient(transientError()), true);
+    assert.equal(isTransient(new Error('HTTP 503')), true);
+    assert.equal(isTransient(new Error('HTTP 429')), true);
+    assert.equal(isTransient(new Error('HTTP 404')), false);
+    assert.equal(isTransient(new Error('robots.txt disallows /')), false);
+  });
+
+  it('runs one task per host at a time, spaced hostDelayMs apart', async () => {
+    const jobs = createJobQueue({ concurrency: 4, perHost: 1, hostDelayMs: 50 });
+    const log = [];
+    const results = await Promise.all([
+      jobs.run(timed(log, 'a1'), { url: 'https://a.example/1' }),
+      jobs.run(timed(log, 'a2'), { url: 'https://A.example/2' }),
+      jobs.run(timed(log, 'b1'), { url: 'https://b.example/1' })
+    ]);
+    assert.deepEqual(results, ['a1', 'a2', 'b1']);
+    const at = name => log.find(l => l.name === name);
+    // b doesn't wait for a; a's second task waits for its first and the delay
+    assert.ok(at('b1').start < at('a1').end);
+    assert.ok(at('a2').start >= at('a1').start + 50);
+    assert.ok(at('a2').start >= at('a1').end);
+  });
+
+  it('caps tasks running at once across hosts', async () => {
+    const jobs = createJobQueue({ concurrency: 2, hostDelayMs: 0 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      peak = Math.max(peak, ++running);
+      await sleep(10);
+      running--;
+    };
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(h => jobs.run(task, { url: `https://${h}.example/` })));
+    assert.equal(peak, 2);
+    assert.deepEqual(jobs.stats(), { queued: 0, running: 0 });
+  });
+
+  it('retries transient failures with backoff, and only those', async () => {
+    const jobs = createJobQueue({ hostDelayMs: 0, retries: 2, backoffMs: 10 });
+    let calls = 0;
+    const flaky = await jobs.run(async () => {
+      if (++calls < 3) throw transientError();
+      return 'done';
+    }, { url: 'https://a.example/' });
+    assert.equal(flaky, 'done');
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(jobs.run(async () => { calls++; throw transientError(); }, { url: 'https://b.example/' }), /ECONNRESET/);
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(jobs.run(async () => { calls++; throw new Error('HTTP 404'); }, { url: 'https://c.example/' }), /404/);
+    assert.equal(calls, 1);
+  });
+
+  it('reports a job as it goes, and its result or error when done', async () => {
+    const jobs = createJobQueue({ hostDelayMs: 0, retries: 0 });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const job = jobs.submit(async () => { await gate; return { stored: true }; }, {
+      url: 'https://a.example/', info: { type: 'scrape', key: 'k', requestedBy: 'alice' }
+    });
+    assert.equal(job.task, undefined);
+    assert.deepEqual([job.type, job.key, job.requestedBy], ['scrape', 'k', 'alice']);
+    assert.equal(jobs.get(job.id).status, 'running');
+
+    release();
+    const done = await finished(jobs, job.id);
+    assert.equal(done.status, 'succeeded');
+    assert.deepEqual(done.result, { stored: true });
+    assert.equal(done.attempts, 1);
+    assert.ok(done.finishedAt);
+
+    const failed = jobs.submit(async () => { throw new Error('HTTP 410'); }, { url: 'https://b.example/' });
+    const refused = await finished(jobs, failed.id);
+    assert.deepEqual([refused.status, refused.error], ['failed', 'HTTP 410']);
+    assert.equal(jobs.get('no-such-job'), null);
+  });
+
+  it('puts urgent jobs first and refuses jobs past maxQueued', async () => {
+    const jobs = createJobQueue({ concurrency: 1, hostDelayMs: 0, maxQueued: 2 });
+    const order = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const first = jobs.run(() => gate, { url: 'https://a.example/' });
+    const later = jobs.run(async () => order.push('later'), { url: 'https://b.example/' });
+    const urgent = jobs.run(async () => order.push('urgent'), { url: 'https://c.example/', urgent: true });
+    assert.throws(() => jobs.submit(async () => {}, { url: 'https://d.example/' }), /queue is full/);
+
+    release();
+    await Promise.all([first, later, urgent]);
+    assert.deepEqual(order, ['urgent', 'later']);
+  });
+
+  it('forgets finished jobs after keepMs', async () => {
+    const jobs = createJobQueue({ hostDelayMs: 0, keepMs: 20 });
+    const old = jobs.submit(async () => 'old', { url: 'https://a.example/' });
+    await sleep(40);
+    assert.equal(jobs.get(old.id).status, 'succeeded');
+    // Finished jobs are pruned as later ones finish
+    await jobs.run(async () => 'new', { url: 'https://a.example/' });
+    assert.equal(jobs.get(old.id), null);
+  });
+});
+
+describe('job status access', () => {
+  const ADMIN_KEY = 'test-operator-key';
+  let server;
+  const keys = {};
+  let jobId;
+
+  before(async () => {
+    server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+    for (const agent of ['alice', 'bob']) keys[agent] = await server.register(agent);
+    const created = await server.request('POST', '/api/namespaces', {
+      key: keys.alice,
+      body: { name: 'crew', visibility: 'team', members: ['bob'] }
+    });
+    assert.equal(created.status, 201);
+    // The fetch itself is refused (a loopback address), which is all this needs
+    const queued = await server.action(keys.bob, {
+      action: 'scrape', async: true, namespace: 'crew', key: 'page', url: 'http://127.0.0.1/page'
+    });
+    assert.equal(queued.body.success, true, JSON.stringify(queued.body));
+    jobId = queued.body.jobId;
+  });
+
+  after(() => server.stop());
+
+  const poll = key => server.request('GET', `/api/jobs/${jobId}`, { key });
+  const pollAction = key => server.action(key, { action: 'job', jobId });
+
+  it('shows a job to the agent that queued it and to admins', async () => {
+    const own = await poll(keys.bob);
+    assert.equal(own.status, 200);
+    assert.equal(own.body.requestedBy, 'bob');
+    assert.equal(own.body.namespace, 'crew');
+    assert.equal((await pollAction(keys.bob)).body.job.id, jobId);
+    assert.equal((await poll(ADMIN_KEY)).status, 200);
+  });
+
+  it('answers anyone else as if there were no such job', async () => {
+    for (const key of [keys.alice, undefined]) {
+      assert.equal((await poll(key)).status, 404);
+    }
+    const other = await pollAction(keys.alice);
+    assert.equal(other.body.success, false);
+    assert.equal(other.body.job, undefined);
+  });
+
+  it('stops showing it once its agent loses read access to the namespace', async () => {
+    const removed = await server.request('PATCH', '/api/namespaces/crew', { key: keys.alice, body: { removeMembers: ['bob'] } });
+    assert.equal(removed.status, 200);
+    assert.equal((await poll(keys.bob)).status, 404);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+describe('namespaces', () => {
+  let server;
+  const keys = {};
+
+  before(async () => {
+    server = await startServer();
+    for (const agent of ['alice', 'bob', 'carol']) keys[agent] = await server.register(agent);
+    for (const [name, visibility, members] of [['pub', 'public', ['bob']], ['crew', 'team', ['bob']], ['diary', 'private', []]]) {
+      const res = await server.request('POST', '/api/namespaces', { key: keys.alice, body: { name, visibility, members } });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      const stored = await server.action(keys.alice, { action: 'store', namespace: name, key: 'note', content: `in ${name}` });
+      assert.equal(stored.body.key, `${name}:note`);
+    }
+  });
+
+  after(() => server.stop());
+
+  const store = (agent, namespace) =>
+    server.action(keys[agent], { action: 'store', namespace, key: `by-${agent}`, content: `${agent} in ${namespace}` });
+  const listed = async agent => (await server.request('GET', '/api/namespaces', { key: keys[agent] })).body.namespaces;
+
+  it('lets public namespaces be read by anyone and written by members', async () => {
+    assert.equal((await server.action(keys.carol, { action: 'get', key: 'pub:note' })).status, 200);
+    assert.equal((await store('carol', 'pub')).status, 403);
+    assert.equal((await store('bob', 'pub')).body.success, true);
+  });
+
+  it('keeps team namespaces to their members', async () => {
+    assert.equal((await server.action(keys.bob, { action: 'get', key: 'crew:note' })).status, 200);
+    assert.equal((await server.action(keys.carol, { action: 'get', key: 'crew:note' })).status, 403);
+    assert.equal((await store('carol', 'crew')).status, 403);
+  });
+
+  it('keeps private namespaces to their owner', async () => {
+    assert.equal((await server.action(keys.bob, { action: 'get', key: 'diary:note' })).status, 403);
+    assert.equal((await store('bob', 'diary')).status, 403);
+  });
+
+  it('leaves hidden namespaces out of listings and searches', async () => {
+    assert.deepEqual((await listed('carol')).map(n => n.name), ['pub']);
+    assert.deepEqual((await listed('bob')).map(n => n.name).sort(), ['crew', 'pub']);
+    const [pub] = await listed('carol');
+    assert.equal(pub.members, undefined);
+    assert.equal(pub.canWrite, false);
+
+    const listing = await server.action(keys.carol, { action: 'list', limit: 100 });
+    const seen = listing.body.items.map(e => e.key);
+    assert.ok(seen.includes('pub:note'));
+    assert.ok(!seen.some(k => k.startsWith('crew:') || k.startsWith('diary:')));
+  });
+
+  it('lets only the owner change membership and visibility', async () => {
+    assert.equal((await server.request('PATCH', '/api/namespaces/crew', { key: keys.bob, body: { addMembers: ['carol'] } })).status, 403);
+    assert.equal((await server.request('PATCH', '/api/namespaces/diary', { key: keys.bob, body: { visibility: 'public' } })).status, 404);
+
+    const added = await server.request('PATCH', '/api/namespaces/crew', { key: keys.alice, body: { addMembers: ['carol'] } });
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.namespace.members.sort(), ['bob', 'carol']);
+    assert.equal((await store('carol', 'crew')).body.success, true);
+  });
+
+  it('refuses names that are taken or already used as a key prefix', async () => {
+    await server.action(keys.carol, { action: 'store', key: 'loose:thing', content: 'a commons key with a colon' });
+    assert.equal((await server.request('POST', '/api/namespaces', { key: keys.bob, body: { name: 'crew' } })).status, 409);
+    assert.equal((await server.request('POST', '/api/namespaces', { key: keys.bob, body: { name: 'loose' } })).status, 409);
+    assert.equal((await server.request('POST', '/api/namespaces', { key: keys.bob, body: { name: 'X' } })).status, 400);
+  });
+
+  it('deletes a namespace only once it is empty', async () => {
+    assert.equal((await server.request('DELETE', '/api/namespaces/diary', { key: keys.alice })).status, 409);
+    assert.equal((await server.action(keys.alice, { action: 'delete', key: 'diary:note' })).body.success, true);
+    assert.equal((await server.request('DELETE', '/api/namespaces/diary', { key: keys.alice })).status, 200);
+    assert.ok(!(await listed('alice')).some(n => n.name === 'diary'));
+  });
+
+  it('answers a failure to save with a 500 and keeps serving', async () => {
+    // A directory where the registry file goes makes saving it fail
+    const file = path.join(server.dir, 'namespaces.json');
+    fs.rmSync(file, { force: true });
+    fs.mkdirSync(file);
+    try {
+      const res = await server.request('POST', '/api/namespaces', { key: keys.bob, body: { name: 'broken' } });
+      assert.equal(res.status, 500);
+      assert.equal(res.body.success, false);
+    } finally {
+      fs.rmdirSync(file);
+    }
+    assert.equal((await server.request('GET', '/api/namespaces', { key: keys.bob })).status, 200);
+  });
+});
@@ -0,0 +1,260 @@
+// /api/v1/memories against openapi.yaml: each response's status must be one
+// the spec lists for that operation, and its body must match the schema the
+// spec gives for that status. Runs the real server on a scratch directory.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { startServer, ROOT } = require('./helpers/server');
+
+const spec = YAML.parse(fs.readFileSync(path.join(ROOT, 'openapi.yaml'), 'utf8'));
+
+function resolve(node) {
+  while (node && node.$ref) {
+    node = node.$ref.replace(/^#\//, '').split('/').reduce((at, part) => at[part], spec);
+  }
+  return node;
+}
+
+// Enough JSON Schema for this spec: $ref, allOf, type, nullable, enum,
+// required, properties, additionalProperties and items. Returns the problems.
+function validate(schema, value, at = '$') {
+  schema = resolve(schema);
+  if (!schema) return [];
+  const problems = [];
+  for (const part of schema.allOf || []) problems.push(...validate(part, value, at));
+  if (value === null) return schema.nullable || !schema.type ? problems : [...problems, `${at} is null`];
+
+  const types = {
+    object: v => typeof v === 'object' && !Array.isArray(v),
+    array: Array.isArray,
+    string: v => typeof v === 'string',
+    integer: Number.isInteger,
+    number: v => typeof v === 'number',
+    boolean: v => typeof v === 'boolean'
+  };
+  if (schema.type && !types[schema.type](value)) return [...problems, `${at} is not ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at} is ${JSON.stringify(value)}, not one of ${schema.enum}`);
+
+  if (types.object(value)) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) problems.push(`${at}.${name} is missing`);
+    }
+    for (const [name, v] of Object.entries(value)) {
+      const property = schema.properties && schema.properties[name];
+      if (property) problems.push(...validate(property, v, `${at}.${name}`));
+      else if (schema.additionalProperties === false) problems.push(`${at}.${name} is not in the schema`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+  return problems;
+}
+
+// The operation the spec documents for a request, by method and path
+function operationFor(method, pathname) {
+  const template = pathname === '/api/v1/memories' ? '/api/v1/memories' : '/api/v1/memories/{key}';
+  return spec.paths[template][method.toLowerCase()];
+}
+
+// Assert the response is one the spec allows; returns the parsed body
+async function conforms(res, method, pathname) {
+  const text = await res.text();
+  const body = text ? JSON.parse(text) : null;
+  const operation = operationFor(method, pathname);
+  assert.ok(operation, `${method} ${pathname} is not in the spec`);
+  const documented = resolve(operation.responses[String(res.status)]);
+  assert.ok(documented, `${method} ${pathname} answered ${res.status}, which the spec doesn't list: ${text}`);
+  const media = documented.content && documented.content['application/json'];
+  if (!media) {
+    assert.equal(body, null, `${res.status} should have no body`);
+  } else {
+    assert.deepEqual(validate(media.schema, body), [], `${method} ${pathname} ${res.status}: ${text.slice(0, 300)}`);
+  }
+  for (const header of Object.keys(documented.headers || {})) {
+    assert.ok(res.headers.has(header), `${method} ${pathname} ${res.status} is missing ${header}`);
+  }
+  return body;
+}
+
+describe('/api/v1/memories matches openapi.yaml', () => {
+  let server;
+  let base;
+  const keys = {};
+
+  async function call(method, pathname, { agent, body, headers = {}, raw } = {}) {
+    const res = await fetch(base + pathname, {
+      method,
+      headers: {
+        ...(agent ? { authorization: `Bearer ${keys[agent]}` } : {}),
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...headers
+      },
+      body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+    const status = res.status;
+    return { status, headers: res.headers, body: await conforms(res, method, new URL(pathname, base).pathname) };
+  }
+
+  async function errorCode(promise, status, code) {
+    const res = await promise;
+    assert.equal(res.status, status, JSON.stringify(res.body));
+    assert.equal(res.body.error.code, code);
+    return res;
+  }
+
+  before(async () => {
+    server = await startServer({ RATE_LIMIT_WRITE: '30/minute' });
+    base = server.base;
+
+    for (const agent of ['alice', 'bob', 'eve']) keys[agent] = await server.register(agent);
+    keys.forged = 'sk_not_a_real_key';
+
+    const res = await fetch(`${base}/api/namespaces`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${keys.alice}` },
+      body: JSON.stringify({ name: 'secret', visibility: 'private' })
+    });
+    assert.equal(res.status, 201);
+  });
+
+  after(() => server.stop());
+
+  it('PUT answers 201, then 200, and 400/401/412/413 on bad writes', async () => {
+    const created = await call('PUT', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { content: 'first notes', tags: ['contract'], url: 'https://example.com/notes' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('location'), '/api/v1/memories/notes');
+    assert.equal(created.headers.get('etag'), '"1"');
+
+    const replaced = await call('PUT', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { content: 'second notes', tags: ['contract'] },
+      headers: { 'if-match': '"1"' }
+    });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.version, 2);
+
+    await errorCode(call('PUT', '/api/v1/memories/notes', { agent: 'alice', body: { content: '' } }), 400, 'invalid_request');
+    await errorCode(call('PUT', '/api/v1/memories/notes', { agent: 'alice', body: { content: 'x', colour: 'red' } }), 400, 'invalid_request');
+    await errorCode(call('PUT', '/api/v1/memories/notes', { agent: 'alice', raw: '{"content":', headers: { 'content-type': 'application/json' } }), 400, 'invalid_request');
+    await errorCode(call('PUT', '/api/v1/memories/notes', { body: { content: 'anonymous' } }), 401, 'unauthorized');
+    await errorCode(call('PUT', '/api/v1/memories/notes', { agent: 'forged', body: { content: 'forged' } }), 401, 'unauthorized');
+    const stale = await errorCode(call('PUT', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { content: 'third' },
+      headers: { 'if-match': '"1"' }
+    }), 412, 'version_mismatch');
+    assert.equal(stale.body.error.details.currentVersion, 2);
+    await errorCode(call('PUT', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { content: 'again' },
+      headers: { 'if-none-match': '*' }
+    }), 412, 'version_mismatch');
+    await errorCode(call('PUT', '/api/v1/memories/huge', { agent: 'alice', body: { content: 'x'.repeat(1000001) } }), 413, 'payload_too_large');
+  });
+
+  it('PUT answers 403 in a namespace the caller may not write and 404 in one that does not exist', async () => {
+    await call('PUT', '/api/v1/memories/secret:plan', { agent: 'alice', body: { content: 'private plan' } });
+    await errorCode(call('PUT', '/api/v1/memories/secret:plan', { agent: 'bob', body: { content: 'mine now' } }), 403, 'forbidden');
+    await errorCode(call('PUT', '/api/v1/memories/plan?namespace=nowhere', { agent: 'bob', body: { content: 'x' } }), 404, 'namespace_not_found');
+  });
+
+  it('GET answers 200 with an ETag, and 400/403/404/501', async () => {
+    const got = await call('GET', '/api/v1/memories/notes');
+    assert.equal(got.status, 200);
+    assert.equal(got.body.content, 'second notes');
+    assert.equal(got.headers.get('etag'), '"2"');
+
+    const old = await call('GET', '/api/v1/memories/notes?version=1');
+    assert.equal(old.body.content, 'first notes');
+    await call('GET', '/api/v1/memories/notes?chunk=0');
+    await call('GET', '/api/v1/memories/notes?start=0&end=6');
+
+    await errorCode(call('GET', '/api/v1/memories/notes?chunk=-1'), 400, 'invalid_request');
+    await errorCode(call('GET', '/api/v1/memories/secret:plan', { agent: 'bob' }), 403, 'forbidden');
+    await errorCode(call('GET', '/api/v1/memories/missing'), 404, 'not_found');
+    await errorCode(call('GET', '/api/v1/memories/notes?version=9'), 404, 'not_found');
+    await errorCode(call('GET', '/api/v1/memories/notes?summary=true'), 501, 'feature_disabled');
+  });
+
+  it('GET on the collection pages, searches and filters', async () => {
+    await call('PUT', '/api/v1/memories/other', { agent: 'bob', body: { content: 'other notes entirely', tags: ['contract'] } });
+    const page = await call('GET', '/api/v1/memories?limit=1');
+    assert.equal(page.status, 200);
+    assert.equal(page.body.items.length, 1);
+    assert.equal(page.body.nextOffset, 1);
+
+    const found = await call('GET', '/api/v1/memories?q=notes&tags=contract&rank=trust');
+    assert.ok(found.body.items.length >= 1);
+    const mine = await call('GET', '/api/v1/memories?storedBy=bob');
+    assert.deepEqual(mine.body.items.map(e => e.key), ['other']);
+
+    await errorCode(call('GET', '/api/v1/memories?rank=loudest'), 400, 'invalid_request');
+    await errorCode(call('GET', '/api/v1/memories?since=yesterday'), 400, 'invalid_request');
+    await errorCode(call('GET', '/api/v1/memories?namespace=secret', { agent: 'bob' }), 403, 'forbidden');
+    await errorCode(call('GET', '/api/v1/memories?namespace=nowhere'), 404, 'namespace_not_found');
+  });
+
+  it('PATCH answers 200, and 400/401/403/404/412', async () => {
+    const patched = await call('PATCH', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { title: 'Notes', tags: null },
+      headers: { 'content-type': 'application/merge-patch+json', 'if-match': '"2"' }
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.title, 'Notes');
+    assert.deepEqual(patched.body.tags, []);
+
+    await errorCode(call('PATCH', '/api/v1/memories/notes', { agent: 'alice', body: {} }), 400, 'invalid_request');
+    await errorCode(call('PATCH', '/api/v1/memories/notes', { agent: 'alice', body: { tags: 'one' } }), 400, 'invalid_request');
+    await errorCode(call('PATCH', '/api/v1/memories/notes', { body: { title: 'x' } }), 401, 'unauthorized');
+    await errorCode(call('PATCH', '/api/v1/memories/secret:plan', { agent: 'bob', body: { title: 'x' } }), 403, 'forbidden');
+    await errorCode(call('PATCH', '/api/v1/memories/missing', { agent: 'alice', body: { title: 'x' } }), 404, 'not_found');
+    await errorCode(call('PATCH', '/api/v1/memories/notes', {
+      agent: 'alice',
+      body: { title: 'x' },
+      headers: { 'if-match': '"1"' }
+    }), 412, 'version_mismatch');
+  });
+
+  it('DELETE answers 204, and 401/403/404/412', async () => {
+    await errorCode(call('DELETE', '/api/v1/memories/notes'), 401, 'unauthorized');
+    await errorCode(call('DELETE', '/api/v1/memories/notes', { agent: 'bob' }), 403, 'forbidden');
+    await errorCode(call('DELETE', '/api/v1/memories/notes', { agent: 'alice', headers: { 'if-match': '"1"' } }), 412, 'version_mismatch');
+    const deleted = await call('DELETE', '/api/v1/memories/notes', { agent: 'alice', headers: { 'if-match': '"3"' } });
+    assert.equal(deleted.status, 204);
+    await errorCode(call('DELETE', '/api/v1/memories/notes', { agent: 'alice' }), 404, 'not_found');
+  });
+
+  it('answers unsupported methods with the error schema', async () => {
+    for (const [method, pathname, allow] of [
+      ['POST', '/api/v1/memories', 'GET'],
+      ['POST', '/api/v1/memories/other', 'GET, PUT, PATCH, DELETE']
+    ]) {
+      const res = await fetch(base + pathname, { method });
+      assert.equal(res.status, 405);
+      assert.equal(res.headers.get('allow'), allow);
+      const body = await res.json();
+      assert.deepEqual(validate(spec.components.schemas.ApiError, body), []);
+      assert.equal(body.error.code, 'method_not_allowed');
+    }
+  });
+
+  it('answers 429 with Retry-After once an agent runs out of writes', async () => {
+    let res;
+    for (let i = 0; i < 40; i++) {
+      res = await call('PUT', `/api/v1/memories/burst-${i}`, { agent: 'eve', body: { content: `burst ${i}` } });
+      if (res.status === 429) break;
+    }
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'rate_limited');
+    assert.ok(Number(res.headers.get('retry-after')) >= 1);
+    assert.equal(res.body.error.details.limit, 30);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { createRetention, parseDuration } = require('../lib/retention');
+const { createSweeper } = require('../lib/sweeper');
+
+const HOUR = 3600 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+const fromNow = ms => new Date(Date.now() + ms).toISOString();
+
+describe('retention policies', () => {
+  it('reads durations in seconds or with a unit', () => {
+    assert.equal(parseDuration('90'), 90 * 1000);
+    assert.equal(parseDuration(90), 90 * 1000);
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration(' 1.5H '), 1.5 * HOUR);
+    assert.equal(parseDuration('2w'), 14 * 24 * HOUR);
+    for (const bad of ['0', '-5', '6x', 'soon', '', null, Infinity]) assert.equal(parseDuration(bad), null, String(bad));
+  });
+
+  it('gives an entry the shortest policy among its tags', () => {
+    const retention = createRetention({ policies: 'scratch=1d, Prices=6h' });
+    const from = '2026-03-01T00:00:00.000Z';
+    assert.equal(retention.expiryFor(['scratch'], from), '2026-03-02T00:00:00.000Z');
+    assert.equal(retention.expiryFor(['scratch', 'prices'], from), '2026-03-01T06:00:00.000Z');
+    assert.equal(retention.expiryFor(['PRICES'], from), '2026-03-01T06:00:00.000Z');
+    assert.equal(retention.expiryFor(['notes'], from), null);
+    assert.equal(retention.expiryFor(undefined, from), null);
+    assert.deepEqual(retention.describe(), [{ tag: 'scratch', duration: '1d' }, { tag: 'prices', duration: '6h' }]);
+  });
+
+  it('refuses a policy it cannot read', () => {
+    assert.throws(() => createRetention({ policies: 'scratch=forever' }), /Invalid retention policy "scratch=forever"/);
+    assert.throws(() => createRetention({ policies: '=1d' }), /Invalid retention policy/);
+    assert.deepEqual(createRetention().describe(), []);
+  });
+});
+
+describe('sweeper', () => {
+  let dir;
+  let store;
+  let removed;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-memory-sweep-'));
+    store = createStore({ backend: 'disk', storageDir: dir });
+    removed = [];
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // An entry last used `age` ago, `size` characters long
+  async function put(key, { age = HOUR, size = 10, ...fields } = {}) {
+    await store.upsert({ key, title: key, content: 'x'.repeat(size), tags: [], storedBy: 'alice', storedAt: ago(age), ...fields });
+  }
+
+  function sweeper(options = {}) {
+    const remove = async key => {
+      removed.push(key);
+      return store.delete(key);
+    };
+    return createSweeper({ store, remove, batchSize: 2, ...options });
+  }
+
+  const keys = async () => (await store.list({ limit: 100 })).map(e => e.key).sort();
+
+  it('purges expired entries and keeps pinned and unexpired ones', async () => {
+    for (const key of ['gone-1', 'gone-2', 'gone-3']) await put(key, { expiresAt: ago(1000) });
+    await put('pinned', { expiresAt: ago(1000) });
+    await store.setRetention('pinned', { pinned: true });
+    await put('later', { expiresAt: fromNow(HOUR) });
+    await put('forever');
+
+    assert.deepEqual(await sweeper().runOnce(), { expired: 3, evicted: 0 });
+    assert.deepEqual(await keys(), ['forever', 'later', 'pinned']);
+  });
+
+  it('evicts the least recently used down to maxEntries, never pinned ones', async () => {
+    await put('oldest', { age: 5 * HOUR });
+    await put('pinned-old', { age: 4 * HOUR });
+    await store.setRetention('pinned-old', { pinned: true });
+    await put('old', { age: 3 * HOUR });
+    await put('read-lately', { age: 2 * HOUR });
+    await store.incrementAccess('read-lately');
+    await put('new', { age: HOUR });
+
+    assert.deepEqual(await sweeper({ maxEntries: 3 }).runOnce(), { expired: 0, evicted: 2 });
+    assert.deepEqual(removed, ['oldest', 'old']);
+    assert.deepEqual(await keys(), ['new', 'pinned-old', 'read-lately']);
+  });
+
+  it('evicts down to maxCharacters, and stops when only pinned entries are left', async () => {
+    await put('big', { age: 3 * HOUR, size: 100 });
+    await put('small', { age: 2 * HOUR, size: 10 });
+    await put('keep', { age: HOUR, size: 50 });
+    await store.setRetention('keep', { pinned: true });
+
+    assert.deepEqual(await sweeper({ maxCharacters: 70 }).runOnce(), { expired: 0, evicted: 1 });
+    assert.deepEqual(await keys(), ['keep', 'small']);
+
+    assert.deepEqual(await sweeper({ maxCharacters: 10 }).runOnce(), { expired: 0, evicted: 1 });
+    assert.deepEqual(await keys(), ['keep']);
+  });
+
+  it('leaves everything alone without caps or expiries', async () => {
+    await put('a', { age: 10 * HOUR });
+    await put('b');
+    assert.deepEqual(await sweeper().runOnce(), { expired: 0, evicted: 0 });
+    assert.deepEqual(removed, []);
+  });
+});
@@ -0,0 +1,182 @@
+// Fetch guard: which URLs and resolved addresses outbound fetches may reach.
+// DNS answers come from a stand-in resolver, so nothing leaves the machine.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createFetchGuard, isPrivateIp } = require('../lib/ssrf');
+
+const PUBLIC_V4 = '93.184.215.14';
+const PUBLIC_V6 = '2606:2800:21f:cb07:6820:80da:af6b:8b2c';
+
+// dns.lookup stand-in: each call takes the next answer for the host
+function resolver(answers) {
+  const calls = [];
+  function lookup(hostname, options, callback) {
+    calls.push(hostname);
+    const queue = answers[hostname];
+    const next = queue && queue.length > 1 ? queue.shift() : queue && queue[0];
+    if (!next) {
+      return process.nextTick(callback, Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+    }
+    const addresses = [].concat(next).map(address => ({ address, family: net.isIP(address) }));
+    process.nextTick(callback, null, addresses);
+  }
+  return { lookup, calls };
+}
+
+function safeLookup(guard, hostname, options = {}) {
+  return new Promise((resolve, reject) => {
+    guard.safeLookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+  });
+}
+
+// Open a socket through the guard and report the address it dialled; the
+// socket is dropped before anything is sent
+function dial(guard, host) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port: 80, lookup: guard.safeLookup });
+    socket.once('lookup', (err, address) => {
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(address);
+    });
+    socket.once('error', reject);
+  });
+}
+
+describe('isPrivateIp', () => {
+  const cases = {
+    '127.0.0.1': true,
+    '10.1.2.3': true,
+    '169.254.169.254': true,
+    '100.64.0.1': true, // carrier-grade NAT
+    '100.127.255.254': true,
+    '100.128.0.1': false, // just past 100.64/10
+    '198.18.0.1': true, // benchmarking
+    '198.19.255.255': true,
+    '198.20.0.1': false, // just past 198.18/15
+    '224.0.0.1': true, // multicast
+    '239.255.255.250': true,
+    '255.255.255.255': true, // broadcast
+    '0.0.0.0': true,
+    [PUBLIC_V4]: false,
+    '::1': true,
+    '::': true,
+    'fe80::1': true,
+    'fd00::1': true,
+    'ff02::1': true, // multicast
+    '::ffff:127.0.0.1': true, // IPv4-mapped
+    '::ffff:7f00:1': true,
+    '::ffff:169.254.169.254': true,
+    '::ffff:100.64.0.1': true,
+    [`::ffff:${PUBLIC_V4}`]: false,
+    '64:ff9b::a00:1': true, // NAT64
+    [PUBLIC_V6]: false,
+    'not an ip': true
+  };
+  for (const [ip, expected] of Object.entries(cases)) {
+    it(`${ip} is ${expected ? 'private' : 'public'}`, () => assert.equal(isPrivateIp(ip), expected));
+  }
+});
+
+describe('assertPublicHttpUrl', () => {
+  const guard = createFetchGuard({ lookup: resolver({}).lookup });
+  const refused = (url, pattern) => assert.throws(() => guard.assertPublicHttpUrl(url), err => {
+    assert.equal(err.code, 'EBLOCKED', url);
+    assert.match(err.message, pattern, url);
+    return true;
+  });
+
+  it('passes public http(s) URLs on the default ports', () => {
+    for (const url of ['http://example.com/', 'https://example.com/a?b=c', 'http://example.com:8080/', `https://${PUBLIC_V4}:8443/`]) {
+      assert.equal(guard.assertPublicHttpUrl(url).toString(), new URL(url).toString());
+    }
+  });
+
+  it('refuses other schemes and malformed URLs', () => {
+    assert.throws(() => guard.assertPublicHttpUrl('file:///etc/passwd'), /Only http\/https/);
+    assert.throws(() => guard.assertPublicHttpUrl('gopher://example.com/'), /Only http\/https/);
+    assert.throws(() => guard.assertPublicHttpUrl('not a url'), /Invalid URL/);
+  });
+
+  it('refuses ports outside the allowed list', () => {
+    refused('http://example.com:22/', /port 22/);
+    refused('http://example.com:6379/', /port 6379/);
+    refused(`http://${PUBLIC_V4}:8000/`, /port 8000/);
+    const custom = createFetchGuard({ lookup: resolver({}).lookup, allowedPorts: [443] });
+    assert.throws(() => custom.assertPublicHttpUrl('http://example.com/'), /port 80 \(allowed: 443\)/);
+    custom.assertPublicHttpUrl('https://example.com/');
+  });
+
+  it('refuses localhost names', () => {
+    refused('http://localhost/', /localhost/);
+    refused('http://api.localhost/', /localhost/);
+    refused('http://LocalHost:8080/', /localhost/);
+  });
+
+  it('refuses literal private addresses however they are spelled', () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://2130706433/', // decimal
+      'http://0x7f.1/', // hex
+      'http://0177.0.0.1/', // octal
+      'http://169.254.169.254/latest/meta-data/',
+      'http://100.64.0.1/',
+      'http://198.18.0.1/',
+      'http://224.0.0.251/',
+      'http://255.255.255.255/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:a9fe:a9fe]/',
+      'http://[fd12::1]/'
+    ]) {
+      refused(url, /private-network IP/);
+    }
+  });
+});
+
+describe('safeLookup', () => {
+  it('hands back vetted public addresses in either callback shape', async () => {
+    const guard = createFetchGuard({ lookup: resolver({ 'a.example': [[PUBLIC_V4, PUBLIC_V6]] }).lookup });
+    assert.deepEqual(await safeLookup(guard, 'a.example'), { address: PUBLIC_V4, family: 4 });
+    assert.deepEqual((await safeLookup(guard, 'a.example', { all: true })).address, [
+      { address: PUBLIC_V4, family: 4 },
+      { address: PUBLIC_V6, family: 6 }
+    ]);
+  });
+
+  it('refuses a name if any of its addresses is private', async () => {
+    const guard = createFetchGuard({
+      lookup: resolver({
+        'mixed.example': [[PUBLIC_V4, '10.0.0.5']],
+        'mapped.example': [['::ffff:169.254.169.254']],
+        'cgnat.example': [['100.100.100.100']],
+        'bench.example': [['198.19.0.1']],
+        'multicast.example': [['239.1.2.3']],
+        'broadcast.example': [['255.255.255.255']]
+      }).lookup
+    });
+    for (const host of ['mixed.example', 'mapped.example', 'cgnat.example', 'bench.example', 'multicast.example', 'broadcast.example']) {
+      await assert.rejects(safeLookup(guard, host), { code: 'EBLOCKED', message: new RegExp(host) });
+    }
+  });
+
+  it('passes resolver errors through', async () => {
+    const guard = createFetchGuard({ lookup: resolver({}).lookup });
+    await assert.rejects(safeLookup(guard, 'missing.example'), { code: 'ENOTFOUND' });
+  });
+
+  it('pins a connection to the address it vetted', async () => {
+    // A rebinding server: public on the first answer, loopback after that
+    const dns = resolver({ 'rebind.example': [PUBLIC_V4, '127.0.0.1'] });
+    const guard = createFetchGuard({ lookup: dns.lookup });
+
+    assert.equal(await dial(guard, 'rebind.example'), PUBLIC_V4);
+    assert.equal(dns.calls.length, 1, 'one lookup per connection, no second resolution');
+
+    // The next connection gets the rebound answer, and is refused for it
+    await assert.rejects(dial(guard, 'rebind.example'), { code: 'EBLOCKED' });
+    assert.equal(dns.calls.length, 2);
+  });
+});
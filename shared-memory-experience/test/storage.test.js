@@ -0,0 +1,414 @@
+// Conformance suite: every storage adapter must pass the same tests. Supabase
+// runs only against a scratch project named by TEST_SUPABASE_URL and its key.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, VersionConflictError } = require('../lib/storage');
+const { contentHash } = require('../lib/storage/common');
+
+const DIMENSIONS = 256;
+
+// Unit vector along axis `i` (plus a little of axis i + 1, so scores differ)
+function vector(i, tilt = 0) {
+  const v = new Float32Array(DIMENSIONS);
+  v[i] = Math.sqrt(1 - tilt * tilt);
+  v[i + 1] = tilt;
+  return v;
+}
+
+const backends = [
+  {
+    name: 'disk',
+    open: dir => createStore({ backend: 'disk', storageDir: dir })
+  },
+  {
+    name: 'sqlite',
+    open: dir => createStore({ backend: 'sqlite', storageDir: dir })
+  },
+  {
+    name: 'supabase',
+    skip: !(process.env.TEST_SUPABASE_URL && process.env.TEST_SUPABASE_SERVICE_ROLE_KEY) &&
+      'set TEST_SUPABASE_URL and TEST_SUPABASE_SERVICE_ROLE_KEY to run against a scratch project',
+    open: () => {
+      const { createClient } = require('@supabase/supabase-js');
+      const client = createClient(process.env.TEST_SUPABASE_URL, process.env.TEST_SUPABASE_SERVICE_ROLE_KEY);
+      return createStore({ backend: 'supabase', supabase: client });
+    }
+  }
+];
+
+for (const backend of backends) {
+  describe(`${backend.name} store`, { skip: backend.skip }, () => {
+    // Keys are prefixed so a shared database only ever sees this run's rows
+    const P = `conformance-${process.pid}-${Date.now()}:`;
+    const scope = { keyPrefix: P };
+    let dir;
+    let store;
+
+    function entry(key, fields = {}) {
+      return {
+        key: P + key,
+        title: key,
+        content: `Content of ${key}`,
+        tags: [],
+        storedBy: 'alice',
+        storedAt: '2026-01-01T00:00:00.000Z',
+        ...fields
+      };
+    }
+
+    async function seed() {
+      await store.upsert(entry('apple', {
+        title: 'Apple', content: 'Apples grow on trees in orchards.', tags: ['fruit', 'Red'],
+        url: 'https://www.orchard.example/apple', storedAt: '2026-01-05T00:00:00.000Z'
+      }));
+      await store.upsert(entry('banana', {
+        title: 'banana', content: 'Bananas grow in bunches on tall plants in the tropics.', tags: ['fruit'],
+        storedBy: 'bob', storedAt: '2026-02-10T00:00:00.000Z'
+      }));
+      await store.upsert(entry('carrot', {
+        title: 'Carrot', content: 'Carrots are root vegetables.', tags: ['vegetable'],
+        url: 'https://farm.example/carrot', storedBy: 'bob', storedAt: '2026-02-20T00:00:00.000Z'
+      }));
+    }
+
+    function keysOf(rows) {
+      return rows.map(r => r.key.slice(P.length));
+    }
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-memory-store-'));
+      store = backend.open(dir);
+    });
+
+    after(async () => {
+      for (const e of await store.scan({ limit: 1000, filters: scope })) await store.delete(e.key);
+      await store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Each test starts from an empty (prefix of the) store
+    async function reset() {
+      for (const e of await store.scan({ limit: 1000, filters: scope })) await store.delete(e.key);
+    }
+
+    it('returns null for a missing key', async () => {
+      await reset();
+      assert.equal(await store.get(P + 'nothing'), null);
+    });
+
+    it('stores and reads back an entry', async () => {
+      await reset();
+      const written = await store.upsert(entry('notes', {
+        url: 'https://example.com/notes', content: 'Some notes', tags: ['a', 'b'], contentType: 'text/plain',
+        metadata: { author: 'Ann' }
+      }));
+      assert.deepEqual(written, { key: P + 'notes', version: 1 });
+
+      const got = await store.get(P + 'notes');
+      assert.equal(got.key, P + 'notes');
+      assert.equal(got.url, 'https://example.com/notes');
+      assert.equal(got.title, 'notes');
+      assert.equal(got.content, 'Some notes');
+      assert.equal(got.contentLength, 10);
+      assert.equal(got.contentType, 'text/plain');
+      assert.deepEqual(got.tags, ['a', 'b']);
+      assert.deepEqual(got.metadata, { author: 'Ann' });
+      assert.equal(got.storedBy, 'alice');
+      assert.equal(Date.parse(got.storedAt), Date.parse('2026-01-01T00:00:00.000Z'));
+      assert.equal(Date.parse(got.createdAt), Date.parse('2026-01-01T00:00:00.000Z'));
+      assert.equal(got.version, 1);
+      assert.equal(got.accessCount, 0);
+      assert.equal(got.contentHash, contentHash('Some notes'));
+      assert.match(got.simhash, /^[0-9a-f]{16}$/);
+      assert.equal(got.expiresAt, null);
+      assert.equal(got.pinned, false);
+    });
+
+    it('versions every write and keeps the access count and first-stored time', async () => {
+      await reset();
+      await store.upsert(entry('doc', { content: 'first' }));
+      await store.incrementAccess(P + 'doc');
+      const second = await store.upsert(entry('doc', { content: 'second', storedAt: '2026-03-01T00:00:00.000Z' }));
+      assert.equal(second.version, 2);
+
+      const got = await store.get(P + 'doc');
+      assert.equal(got.content, 'second');
+      assert.equal(got.version, 2);
+      assert.equal(got.accessCount, 1);
+      assert.equal(Date.parse(got.createdAt), Date.parse('2026-01-01T00:00:00.000Z'));
+
+      const history = await store.history(P + 'doc');
+      assert.deepEqual(history.map(r => r.version), [2, 1]);
+      assert.equal(history[0].content, undefined);
+      assert.equal((await store.history(P + 'doc', { limit: 1, offset: 1 }))[0].version, 1);
+      assert.equal((await store.getRevision(P + 'doc', 1)).content, 'first');
+      assert.equal(await store.getRevision(P + 'doc', 3), null);
+    });
+
+    it('rejects a write whose ifVersion does not match', async () => {
+      await reset();
+      await store.upsert(entry('doc'), { ifVersion: 0 });
+      await assert.rejects(store.upsert(entry('doc'), { ifVersion: 0 }), e => {
+        assert.ok(e instanceof VersionConflictError);
+        assert.equal(e.currentVersion, 1);
+        return true;
+      });
+      await assert.rejects(store.upsert(entry('doc'), { ifVersion: 5 }), VersionConflictError);
+      assert.equal((await store.upsert(entry('doc'), { ifVersion: 1 })).version, 2);
+    });
+
+    it('deletes an entry with its revisions, vectors and links', async () => {
+      await reset();
+      await store.upsert(entry('gone'));
+      await store.upsert(entry('stays'));
+      await store.putChunks(P + 'gone', 'test-model', [{ index: 0, start: 0, end: 5, vector: vector(0) }]);
+      await store.putLink({ from: P + 'stays', to: P + 'gone', type: 'cites', createdBy: 'alice', createdAt: '2026-01-02T00:00:00.000Z' });
+
+      assert.equal(await store.delete(P + 'gone'), true);
+      assert.equal(await store.delete(P + 'gone'), false);
+      assert.equal(await store.get(P + 'gone'), null);
+      assert.deepEqual(await store.history(P + 'gone'), []);
+      assert.deepEqual((await store.links(P + 'stays')).outgoing, []);
+      const matches = await store.matchChunks(vector(0), { model: 'test-model', limit: 10 });
+      assert.ok(!matches.some(m => m.key === P + 'gone'));
+    });
+
+    it('counts reads', async () => {
+      await reset();
+      await store.upsert(entry('read'));
+      assert.equal(await store.incrementAccess(P + 'read'), 1);
+      assert.equal(await store.incrementAccess(P + 'read'), 2);
+      assert.equal(await store.incrementAccess(P + 'missing'), null);
+      const got = await store.get(P + 'read');
+      assert.equal(got.accessCount, 2);
+      assert.ok(Date.parse(got.lastAccessedAt) > Date.parse(got.storedAt));
+    });
+
+    it('searches by relevance with filters', async () => {
+      await reset();
+      await seed();
+      const found = await store.search('grow', { filters: scope });
+      assert.equal(found.total, 2);
+      assert.deepEqual((keysOf(found.results)).sort(), ['apple', 'banana']);
+      assert.ok(found.results.every(r => typeof r.score === 'number'));
+      assert.ok(found.results[0].score >= found.results[1].score);
+
+      const filtered = async filters => keysOf((await store.search('grow', { filters: { ...scope, ...filters } })).results);
+      assert.deepEqual(await filtered({ tags: ['FRUIT', 'red'] }), ['apple']);
+      assert.deepEqual(await filtered({ storedBy: 'bob' }), ['banana']);
+      assert.deepEqual(await filtered({ domain: 'orchard.example' }), ['apple']);
+      assert.deepEqual(await filtered({ since: '2026-02-01T00:00:00.000Z' }), ['banana']);
+      assert.deepEqual(await filtered({ until: '2026-02-01T00:00:00.000Z' }), ['apple']);
+      assert.deepEqual(keysOf((await store.search('grow', { limit: 1, offset: 1, filters: scope })).results).length, 1);
+      assert.equal((await store.search('grow', { limit: 1, offset: 5, filters: scope })).total, 2);
+    });
+
+    it('lists in each sort order and pages with `after`', async () => {
+      await reset();
+      await seed();
+      await store.incrementAccess(P + 'carrot');
+      await store.incrementAccess(P + 'carrot');
+      await store.incrementAccess(P + 'apple');
+
+      const list = async opts => keysOf(await store.list({ filters: scope, ...opts }));
+      assert.deepEqual(await list({}), ['carrot', 'banana', 'apple']);
+      assert.deepEqual(await list({ sort: 'recent', order: 'asc' }), ['apple', 'banana', 'carrot']);
+      assert.deepEqual(await list({ sort: 'accessed' }), ['carrot', 'apple', 'banana']);
+      assert.deepEqual(await list({ sort: 'size' }), ['banana', 'apple', 'carrot']);
+      assert.deepEqual(await list({ sort: 'title' }), ['apple', 'banana', 'carrot']);
+      assert.deepEqual(await list({ sort: 'title', order: 'desc' }), ['carrot', 'banana', 'apple']);
+      assert.deepEqual(await list({ limit: 1, offset: 1 }), ['banana']);
+      assert.deepEqual(await list({ filters: { ...scope, tags: ['fruit'] } }), ['banana', 'apple']);
+      assert.deepEqual(await list({ filters: { ...scope, domain: 'example' } }), ['carrot', 'apple']);
+
+      const rows = await store.list({ filters: scope });
+      assert.equal(rows[0].content, undefined);
+
+      // Equal sort values fall back to key order, page boundaries included
+      const first = await store.list({ filters: scope, sort: 'accessed', limit: 1 });
+      const rest = await store.list({
+        filters: scope, sort: 'accessed', after: { value: first[0].accessCount, key: first[0].key }
+      });
+      assert.deepEqual([...keysOf(first), ...keysOf(rest)], ['carrot', 'apple', 'banana']);
+      const byTitle = await store.list({
+        filters: scope, sort: 'title', after: { value: 'apple', key: P + 'apple' }
+      });
+      assert.deepEqual(keysOf(byTitle), ['banana', 'carrot']);
+    });
+
+    it('counts entries with filters', async () => {
+      await reset();
+      await seed();
+      assert.equal(await store.count({ filters: scope }), 3);
+      assert.equal(await store.count({ filters: { ...scope, storedBy: 'bob' } }), 2);
+      assert.equal(await store.count({ filters: { ...scope, tags: ['vegetable'] } }), 1);
+    });
+
+    it('reports the same statistics', async () => {
+      await reset();
+      await seed();
+      await store.incrementAccess(P + 'banana');
+      const stats = await store.stats({ filters: scope, top: 5, interval: 'month' });
+      assert.equal(stats.totalEntries, 3);
+      assert.equal(stats.totalCharacters, 33 + 54 + 28);
+      assert.equal(stats.uniqueContributors, 2);
+      assert.deepEqual(stats.topContributors, [
+        { agent: 'bob', entries: 2, characters: 82 },
+        { agent: 'alice', entries: 1, characters: 33 }
+      ]);
+      assert.deepEqual(stats.tags, [
+        { tag: 'fruit', entries: 2 }, { tag: 'red', entries: 1 }, { tag: 'vegetable', entries: 1 }
+      ]);
+      assert.deepEqual(stats.domains, [{ domain: 'farm.example', entries: 1 }, { domain: 'orchard.example', entries: 1 }]);
+      assert.deepEqual(stats.growth, [
+        { period: '2026-01', entries: 1, characters: 33, totalEntries: 1 },
+        { period: '2026-02', entries: 2, characters: 82, totalEntries: 3 }
+      ]);
+      assert.deepEqual(stats.mostAccessed.map(m => [m.key, m.accessCount]), [[P + 'banana', 1]]);
+    });
+
+    it('keeps crawl state, summaries and feedback without new versions', async () => {
+      await reset();
+      await store.upsert(entry('page', { url: 'https://example.com/page' }));
+      await store.setCrawl(P + 'page', { etag: '"x"', checkedAt: '2026-01-03T00:00:00.000Z', status: 200 });
+      await store.setSummary(P + 'page', { short: 'S', summarizer: 'test', contentHash: contentHash('Content of page') });
+      await store.setFeedback(P + 'page', { votes: { bob: 1, carol: -1, dan: 1 }, flags: [{ by: 'carol', reason: 'x' }], reviews: [] });
+
+      const got = await store.get(P + 'page');
+      assert.equal(got.version, 1);
+      assert.equal(got.crawl.etag, '"x"');
+      assert.equal(got.summary.short, 'S');
+      assert.equal(got.upvotes, 2);
+      assert.equal(got.downvotes, 1);
+      assert.equal(got.flagged, true);
+      assert.deepEqual(keysOf(await store.list({ filters: { ...scope, flagged: true } })), ['page']);
+      assert.deepEqual(await store.list({ filters: { ...scope, flagged: false } }), []);
+      assert.deepEqual(await store.unsummarizedKeys('test').then(k => k.filter(x => x.startsWith(P))), []);
+      assert.deepEqual(await store.unsummarizedKeys('other').then(k => k.filter(x => x.startsWith(P))), [P + 'page']);
+
+      const totals = (await store.feedbackTotals()).find(t => t.agent === 'alice');
+      assert.ok(totals.entries >= 1 && totals.upvotes >= 2 && totals.flagged >= 1);
+
+      // A new version clears the summary and keeps the feedback
+      await store.upsert(entry('page', { content: 'changed' }));
+      const next = await store.get(P + 'page');
+      assert.equal(next.summary, null);
+      assert.equal(next.upvotes, 2);
+    });
+
+    it('expires and evicts unpinned entries only', async () => {
+      await reset();
+      await store.upsert(entry('old', { expiresAt: '2026-01-02T00:00:00.000Z' }));
+      await store.upsert(entry('pinned', { expiresAt: '2026-01-02T00:00:00.000Z' }));
+      await store.upsert(entry('forever'));
+      await store.setRetention(P + 'pinned', { pinned: true });
+
+      const now = '2026-06-01T00:00:00.000Z';
+      const expired = (await store.expiredKeys({ before: now })).filter(k => k.startsWith(P));
+      assert.deepEqual(expired, [P + 'old']);
+      assert.deepEqual(keysOf(await store.list({ filters: { ...scope, activeAt: now }, sort: 'title' })),
+        ['forever', 'pinned']);
+
+      const candidates = (await store.evictionCandidates({ limit: 1000 })).filter(c => c.key.startsWith(P));
+      assert.deepEqual(candidates.map(c => c.key).sort(), [P + 'forever', P + 'old']);
+      assert.ok(candidates.every(c => c.contentLength > 0));
+
+      await store.setRetention(P + 'old', { expiresAt: null });
+      assert.deepEqual((await store.expiredKeys({ before: now })).filter(k => k.startsWith(P)), []);
+      const pinned = await store.get(P + 'pinned');
+      assert.equal(pinned.pinned, true);
+      await store.upsert(entry('pinned', { content: 'rewritten' }));
+      assert.equal((await store.get(P + 'pinned')).pinned, true);
+    });
+
+    it('scans every entry in key order', async () => {
+      await reset();
+      await seed();
+      const first = await store.scan({ limit: 2, filters: scope });
+      assert.deepEqual(keysOf(first), ['apple', 'banana']);
+      assert.equal(first[0].content, 'Apples grow on trees in orchards.');
+      const rest = await store.scan({ after: first[1].key, limit: 2, filters: scope });
+      assert.deepEqual(keysOf(rest), ['carrot']);
+    });
+
+    it('finds entries by content and fingerprint', async () => {
+      await reset();
+      await seed();
+      await store.upsert(entry('copy', { content: 'Carrots are root vegetables.' }));
+      assert.deepEqual((await store.keysForContent(contentHash('Carrots are root vegetables.'))).sort(),
+        [P + 'carrot', P + 'copy']);
+      const prints = await store.fingerprints({ filters: scope });
+      assert.equal(prints.length, 4);
+      const carrot = prints.find(p => p.key === P + 'carrot');
+      assert.equal(carrot.url, 'https://farm.example/carrot');
+      assert.equal(carrot.contentHash, contentHash('Carrots are root vegetables.'));
+      assert.equal(carrot.simhash, prints.find(p => p.key === P + 'copy').simhash);
+    });
+
+    it('matches passage vectors by model', async () => {
+      await reset();
+      await seed();
+      await store.putChunks(P + 'apple', 'test-model', [
+        { index: 0, start: 0, end: 10, vector: vector(0) },
+        { index: 1, start: 10, end: 20, vector: vector(2) }
+      ]);
+      await store.putChunks(P + 'banana', 'test-model', [{ index: 0, start: 0, end: 10, vector: vector(0, 0.6) }]);
+      await store.putChunks(P + 'carrot', 'other-model', [{ index: 0, start: 0, end: 10, vector: vector(0) }]);
+
+      const matches = (await store.matchChunks(vector(0), { model: 'test-model', limit: 10 }))
+        .filter(m => m.key.startsWith(P));
+      assert.deepEqual(matches.slice(0, 2).map(m => [m.key, m.index]), [[P + 'apple', 0], [P + 'banana', 0]]);
+      assert.ok(Math.abs(matches[0].score - 1) < 1e-4);
+      assert.ok(Math.abs(matches[1].score - 0.8) < 1e-4);
+      assert.deepEqual(matches[0].start, 0);
+      assert.deepEqual(matches[0].end, 10);
+
+      const unindexed = (await store.unindexedKeys('test-model')).filter(k => k.startsWith(P));
+      assert.deepEqual(unindexed, [P + 'carrot']);
+
+      // Replacing a key's vectors drops the old ones
+      await store.putChunks(P + 'apple', 'test-model', [{ index: 0, start: 0, end: 5, vector: vector(4) }]);
+      const again = (await store.matchChunks(vector(2), { model: 'test-model', limit: 10 })).filter(m => m.key === P + 'apple');
+      assert.ok(again.every(m => m.score < 0.5));
+    });
+
+    it('keeps typed links between entries', async () => {
+      await reset();
+      await seed();
+      const by = { createdBy: 'alice', createdAt: '2026-03-01T00:00:00.000Z' };
+      await store.putLink({ from: P + 'apple', to: P + 'banana', type: 'cites', ...by, auto: false });
+      await store.putLink({ from: P + 'carrot', to: P + 'banana', type: 'contradicts', ...by, auto: false });
+      await store.setAutoLinks(P + 'apple', [P + 'carrot'], by);
+
+      const banana = await store.links(P + 'banana');
+      assert.deepEqual(banana.incoming.map(l => [l.from, l.type]).sort(), [[P + 'apple', 'cites'], [P + 'carrot', 'contradicts']]);
+      const apple = await store.links(P + 'apple');
+      assert.deepEqual(apple.outgoing.map(l => [l.to, l.type, l.auto]).sort(),
+        [[P + 'banana', 'cites', false], [P + 'carrot', 'links_to', true]]);
+
+      // Automatic links are replaced wholesale, manual ones are kept
+      await store.setAutoLinks(P + 'apple', [], by);
+      assert.deepEqual((await store.links(P + 'apple')).outgoing.map(l => l.type), ['cites']);
+
+      assert.equal(await store.deleteLink(P + 'apple', P + 'banana', 'cites'), true);
+      assert.equal(await store.deleteLink(P + 'apple', P + 'banana', 'cites'), false);
+
+      const byUrl = await store.keysForUrls(['https://farm.example/carrot', 'https://nowhere.example/']);
+      assert.deepEqual(byUrl.filter(r => r.key.startsWith(P)), [{ key: P + 'carrot', url: 'https://farm.example/carrot' }]);
+    });
+
+    it('lists URL entries due for a re-check, oldest first', async () => {
+      await reset();
+      await seed();
+      await store.setCrawl(P + 'apple', { checkedAt: '2026-03-01T00:00:00.000Z', status: 200 });
+      const stale = async before => (await store.staleUrls({ before, limit: 1000 })).filter(r => r.key.startsWith(P));
+      assert.deepEqual(await stale('2026-02-25T00:00:00.000Z'), [{ key: P + 'carrot', url: 'https://farm.example/carrot' }]);
+      // apple was stored first but checked last
+      assert.deepEqual((await stale('2026-04-01T00:00:00.000Z')).map(r => r.key), [P + 'carrot', P + 'apple']);
+    });
+  });
+}
@@ -0,0 +1,48 @@
+// What the conformance suite can't check without a Supabase project: that the
+// adapter leaves stale-URL ordering to the database, and that the SQL there
+// orders by the same last-checked time it filters on.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+
+const schema = fs.readFileSync(path.join(__dirname, '..', 'supabase_schema.sql'), 'utf8');
+
+// Records rpc() calls and answers them with `rows`
+function fakeClient(rows) {
+  const calls = [];
+  return {
+    calls,
+    async rpc(name, args) {
+      calls.push({ name, args });
+      return { data: rows, error: null };
+    }
+  };
+}
+
+describe('supabase staleUrls', () => {
+  it('asks stale_urls() for the rows, in the order it returns them', async () => {
+    const client = fakeClient([
+      { key: 'b', url: 'https://b.example/', stored_at: '2026-01-01T00:00:00Z' },
+      { key: 'a', url: 'https://a.example/', stored_at: '2025-01-01T00:00:00Z' }
+    ]);
+    const store = createStore({ backend: 'supabase', supabase: client });
+    const stale = await store.staleUrls({ before: '2026-04-01T00:00:00.000Z', limit: 5 });
+    assert.deepEqual(client.calls, [
+      { name: 'stale_urls', args: { checked_before: '2026-04-01T00:00:00.000Z', result_limit: 5 } }
+    ]);
+    assert.deepEqual(stale, [{ key: 'b', url: 'https://b.example/' }, { key: 'a', url: 'https://a.example/' }]);
+  });
+
+  it('orders stale_urls() by the time it filters on', () => {
+    const body = schema.match(/function public\.stale_urls\([\s\S]*?\$\$([\s\S]*?)\$\$/);
+    assert.ok(body, 'stale_urls() is defined in supabase_schema.sql');
+    const filtered = body[1].match(/and (.*) < checked_before/);
+    const ordered = body[1].match(/order by (.*), m\.key/);
+    assert.ok(filtered && ordered);
+    assert.equal(ordered[1], filtered[1]);
+    assert.match(filtered[1], /crawl->>'checkedAt'.*stored_at/);
+  });
+});
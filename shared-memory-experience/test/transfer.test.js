@@ -0,0 +1,185 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { contentHash } = require('../lib/storage/common');
+const {
+  exportRecords, importRecords, parseImport, parseJsonLines, markdownPath, toMarkdown, ImportError
+} = require('../lib/transfer');
+const { startServer } = require('./helpers/server');
+
+// What importRecords needs, on a store (as in scripts/migrate.js)
+function opsFor(store) {
+  return {
+    get: key => store.get(key),
+    write: entry => store.upsert(entry),
+    remove: entry => store.delete(entry.key),
+    setCrawl: (key, crawl) => store.setCrawl(key, crawl),
+    setRetention: (key, retention) => store.setRetention(key, retention),
+    putLink: link => store.putLink(link)
+  };
+}
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+// Records as they'd come back from an export file
+const asFile = records => parseJsonLines(records.map(r => JSON.stringify(r)).join('\n'));
+
+describe('export and import', () => {
+  let dir;
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-memory-transfer-'));
+    const open = name => {
+      fs.mkdirSync(path.join(dir, name));
+      return createStore({ backend: 'disk', storageDir: path.join(dir, name) });
+    };
+    source = open('source');
+    target = open('target');
+    const base = { tags: ['notes'], storedBy: 'alice' };
+    await source.upsert({ ...base, key: 'notes', title: 'Notes', content: 'first draft', storedAt: '2026-01-01T00:00:00.000Z' });
+    await source.upsert({ ...base, key: 'notes', title: 'Notes', content: 'second draft', storedAt: '2026-01-02T00:00:00.000Z' });
+    await source.upsert({
+      ...base, key: 'crew:page', title: 'Page', content: 'a page', url: 'https://example.com/page', storedBy: 'bob',
+      storedAt: '2026-01-03T00:00:00.000Z', provenance: { method: 'scrape', sourceUrl: 'https://example.com/page' }
+    });
+    await source.setCrawl('crew:page', { checkedAt: '2026-01-04T00:00:00.000Z', etag: '"abc"', status: 200 });
+    await source.setRetention('notes', { pinned: true });
+    await source.putLink({ from: 'notes', to: 'crew:page', type: 'cites', createdBy: 'alice', createdAt: '2026-01-05T00:00:00.000Z', auto: false });
+  });
+
+  afterEach(async () => {
+    await source.close();
+    await target.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('carries entries, history, crawl state, pins and links across', async () => {
+    const records = await collect(exportRecords(source, { history: true }));
+    assert.deepEqual(records.map(r => r.key), ['crew:page', 'notes']);
+    const notes = records[1];
+    assert.equal(notes.contentHash, contentHash('second draft'));
+    assert.deepEqual(notes.revisions.map(r => r.content), ['first draft']);
+
+    const report = await importRecords(asFile(records), opsFor(target));
+    assert.deepEqual([report.created, report.failed], [2, 0]);
+
+    const copied = await target.get('notes');
+    assert.deepEqual([copied.content, copied.version, copied.pinned], ['second draft', 2, true]);
+    assert.equal((await target.getRevision('notes', 1)).content, 'first draft');
+    assert.deepEqual((await target.links('notes')).outgoing.map(l => [l.to, l.type]), [['crew:page', 'cites']]);
+    const page = await target.get('crew:page');
+    assert.deepEqual([page.storedBy, page.crawl.etag, page.provenance.method], ['bob', '"abc"', 'scrape']);
+  });
+
+  it('leaves existing keys alone, versions them or replaces them, as asked', async () => {
+    const records = await collect(exportRecords(source));
+    await target.upsert({ key: 'notes', title: 'Notes', content: 'local copy', tags: [], storedBy: 'carol', storedAt: '2026-02-01T00:00:00.000Z' });
+
+    const skipped = await importRecords(asFile(records), opsFor(target), { strategy: 'skip' });
+    assert.deepEqual([skipped.created, skipped.skipped], [1, 1]);
+    assert.equal((await target.get('notes')).content, 'local copy');
+
+    const versioned = await importRecords(asFile(records), opsFor(target), { strategy: 'version' });
+    assert.deepEqual([versioned.updated, versioned.unchanged], [1, 1]);
+    const notes = await target.get('notes');
+    assert.deepEqual([notes.content, notes.version], ['second draft', 2]);
+
+    const replaced = await importRecords(asFile(records), opsFor(target), { strategy: 'overwrite' });
+    assert.equal(replaced.replaced, 2);
+    assert.deepEqual((await target.history('notes')).map(h => h.version), [1]);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const records = await collect(exportRecords(source, { history: true }));
+    const report = await importRecords(asFile(records), opsFor(target), { dryRun: true });
+    assert.deepEqual([report.dryRun, report.created], [true, 2]);
+    assert.equal(await target.count(), 0);
+  });
+
+  it('reports bad records by line and imports the rest', async () => {
+    const lines = [
+      JSON.stringify({ key: 'good', content: 'fine' }),
+      '{ not json',
+      JSON.stringify({ key: 'no-content' }),
+      JSON.stringify({ key: 'tampered', content: 'changed', contentHash: contentHash('original') }),
+      JSON.stringify({ key: 'good', content: 'again' }),
+      JSON.stringify({ key: 'dated', content: 'x', storedAt: 'yesterday' })
+    ].join('\n');
+    const report = await importRecords(parseImport(lines), opsFor(target));
+    assert.equal(report.created, 1);
+    assert.deepEqual(report.errors.map(e => [e.line, e.key]), [[2, null], [3, 'no-content'], [4, 'tampered'], [5, 'good'], [6, 'dated']]);
+    assert.match(report.errors[3].error, /duplicate key/);
+    const good = await target.get('good');
+    assert.deepEqual([good.storedBy, good.provenance], ['anonymous', { method: 'import' }]);
+    await assert.rejects(importRecords([], opsFor(target), { strategy: 'merge' }), ImportError);
+  });
+});
+
+describe('import formats', () => {
+  it('reads JSON Lines, arrays of records and the prototype blob', () => {
+    assert.deepEqual(parseImport('{"key":"a","content":"x"}\n\n{"key":"b","content":"y"}\n').map(r => r.line), [1, 3]);
+    assert.deepEqual(parseImport('[{"key":"a","content":"x"}]'), [{ line: 1, record: { key: 'a', content: 'x' } }]);
+
+    const [legacy] = parseImport(JSON.stringify({ entries: { about: { url: 'gwern.net/about', content: 'hi', storedBy: 'old' } } }));
+    assert.deepEqual(legacy.record, { key: 'about', url: 'https://gwern.net/about', content: 'hi', storedBy: 'old', tags: ['legacy'] });
+
+    assert.throws(() => parseImport('[{"key":'), ImportError);
+    assert.throws(() => parseImport({ key: 'a' }), /Expected JSON Lines/);
+  });
+
+  it('names Markdown files safely and uniquely, with front matter', () => {
+    const taken = new Set();
+    assert.equal(markdownPath('crew:notes', taken), 'crew/notes.md');
+    assert.equal(markdownPath('crew:notes', taken), 'crew/notes-2.md');
+    assert.equal(markdownPath('../etc passwd', taken), '__etc_passwd.md');
+    const md = toMarkdown({ key: 'k', title: 'T: "quoted"', url: null, tags: ['a'], content: 'Body' });
+    assert.equal(md, '---\nkey: "k"\ntitle: "T: \\"quoted\\""\ntags: ["a"]\n---\n\nBody\n');
+  });
+});
+
+describe('export and import endpoints', () => {
+  const ADMIN_KEY = 'test-operator-key';
+  let server;
+  const keys = {};
+
+  before(async () => {
+    server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+    for (const agent of ['alice', 'bob']) keys[agent] = await server.register(agent);
+    await server.request('POST', '/api/namespaces', { key: keys.alice, body: { name: 'diary', visibility: 'private' } });
+    await server.action(keys.alice, { action: 'store', key: 'shared', content: 'for everyone' });
+    await server.action(keys.alice, { action: 'store', key: 'diary:day', content: 'for alice' });
+  });
+
+  after(() => server.stop());
+
+  const exported = async key =>
+    (await server.request('GET', '/api/memory/export', { key })).body.trim().split('\n').map(l => JSON.parse(l).key);
+
+  it('exports only what the caller can read', async () => {
+    assert.deepEqual(await exported(keys.alice), ['diary:day', 'shared']);
+    assert.deepEqual(await exported(keys.bob), ['shared']);
+    assert.equal((await server.request('GET', '/api/memory/export?namespace=diary', { key: keys.bob })).status, 403);
+    assert.equal((await server.request('GET', '/api/memory/export')).status, 401);
+  });
+
+  it('lets only admins import', async () => {
+    const body = JSON.stringify({ key: 'imported', content: 'from a backup', storedBy: 'carol' });
+    const headers = { 'content-type': 'application/x-ndjson' };
+    assert.equal((await server.request('POST', '/api/memory/import', { key: keys.alice, body, headers })).status, 403);
+
+    const res = await server.request('POST', '/api/memory/import', { key: ADMIN_KEY, body, headers });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created, 1);
+    const read = await server.action(keys.bob, { action: 'get', key: 'imported' });
+    assert.deepEqual([read.body.content, read.body.storedBy], ['from a backup', 'carol']);
+  });
+});
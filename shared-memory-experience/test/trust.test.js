@@ -0,0 +1,92 @@
+// Trust: who may vote, what votes do to an entry's trust, and when flags hide it.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrust } = require('../lib/trust');
+
+const HOUR = 3600 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// Just enough of a store for votes and reputations
+function fakeStore() {
+  return {
+    feedback: {},
+    async setFeedback(key, feedback) { this.feedback[key] = feedback; },
+    async feedbackTotals() { return []; }
+  };
+}
+
+describe('trust', () => {
+  const agents = {
+    fresh: { registeredAt: ago(HOUR), contributions: 10 },
+    idle: { registeredAt: ago(48 * HOUR), contributions: 1 },
+    settled: { registeredAt: ago(48 * HOUR), contributions: 3 },
+    legacy: { contributions: 5 } // registered before registeredAt was kept
+  };
+  const trust = createTrust({
+    store: fakeStore(),
+    agents: () => agents,
+    minVoterAgeMs: 24 * HOUR,
+    minVoterContributions: 3
+  });
+
+  it('lets agents vote once they are old enough and have written enough', () => {
+    assert.equal(trust.votingBar('settled'), null);
+    assert.equal(trust.votingBar('legacy'), null);
+  });
+
+  it('keeps brand-new, idle and unknown agents from voting', () => {
+    assert.match(trust.votingBar('fresh'), /24 hours after registering; 23 to go/);
+    assert.match(trust.votingBar('idle'), /written 3 versions \(1 so far\)/);
+    assert.match(trust.votingBar('nobody'), /registered agents/);
+  });
+
+  it('puts no bar up by default', () => {
+    const open = createTrust({ store: fakeStore(), agents: () => agents });
+    assert.equal(open.votingBar('fresh'), null);
+  });
+
+  it('moves trust from the author prior with votes', async () => {
+    const [none, up, down] = await trust.trustOf([
+      { storedBy: 'a' },
+      { storedBy: 'a', upvotes: 2 },
+      { storedBy: 'a', downvotes: 2 }
+    ]);
+    assert.equal(none, 0.5);
+    assert.equal(up, 0.75);
+    assert.equal(down, 0.25);
+  });
+
+  it('records one vote per agent and takes it back', async () => {
+    const entry = { key: 'k', feedback: null };
+    let tally = await trust.vote(entry, 'settled', 1);
+    assert.equal(tally.upvotes, 1);
+    tally = await trust.vote({ ...entry, feedback: tally.feedback }, 'settled', -1);
+    assert.deepEqual([tally.upvotes, tally.downvotes], [0, 1]);
+    tally = await trust.vote({ ...entry, feedback: tally.feedback }, 'settled', 0);
+    assert.deepEqual([tally.upvotes, tally.downvotes], [0, 0]);
+  });
+
+  it('hides an entry once enough agents have flagged it', async () => {
+    const strict = createTrust({ store: fakeStore(), agents: () => agents, flagsToHide: 2 });
+    const entry = { key: 'k', feedback: null };
+    let tally = await strict.flag(entry, 'settled', 'spam');
+    assert.equal(tally.flagged, false);
+    tally = await strict.flag({ ...entry, feedback: tally.feedback }, 'settled', 'still spam');
+    assert.deepEqual([tally.flagged, tally.feedback.flags.length], [false, 1]);
+    tally = await strict.flag({ ...entry, feedback: tally.feedback }, 'legacy', 'spam');
+    assert.equal(tally.flagged, true);
+
+    tally = await strict.keep({ ...entry, feedback: tally.feedback }, 'admin', null);
+    assert.equal(tally.flagged, false);
+    tally = await strict.flag({ ...entry, feedback: tally.feedback }, 'admin', 'harmful', { hide: true });
+    assert.equal(tally.flagged, true);
+  });
+
+  it('keeps feedback flagged before flags were counted hidden', async () => {
+    const strict = createTrust({ store: fakeStore(), agents: () => agents, flagsToHide: 2 });
+    const feedback = { votes: {}, flags: [{ by: 'settled', reason: 'spam', at: ago(HOUR) }], reviews: [] };
+    const tally = await strict.flag({ key: 'k', feedback }, 'settled', 'spam again');
+    assert.equal(tally.flagged, true);
+  });
+});
@@ -0,0 +1,45 @@
+// URL canonicalization and which rel=canonical declarations are honored.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalUrl, sameUrl, declaredCanonical } = require('../lib/urls');
+
+describe('canonicalUrl', () => {
+  it('drops the fragment and tracking parameters and sorts the rest', () => {
+    assert.equal(
+      canonicalUrl('https://Example.com:443/a?utm_source=x&b=2&fbclid=y&a=1#top'),
+      'https://example.com/a?a=1&b=2'
+    );
+  });
+
+  it('treats scheme, www. and a trailing slash as the same page', () => {
+    assert.ok(sameUrl('http://www.example.com/a/', 'https://example.com/a'));
+    assert.ok(!sameUrl('https://example.com/a', 'https://example.com/b'));
+  });
+});
+
+describe('declaredCanonical', () => {
+  it('honors a canonical on the same host, resolved against the page', () => {
+    assert.equal(declaredCanonical('https://example.com/a?ref=1', '/a?utm_medium=x'), 'https://example.com/a');
+  });
+
+  it('honors a canonical elsewhere on the same registrable domain', () => {
+    assert.equal(declaredCanonical('https://m.example.com/story', 'https://www.example.com/story'), 'https://www.example.com/story');
+    assert.equal(declaredCanonical('https://news.example.co.uk/x', 'https://example.co.uk/x'), 'https://example.co.uk/x');
+  });
+
+  it('ignores a canonical on another site', () => {
+    assert.equal(declaredCanonical('https://example.com/a', 'https://attacker.example.net/a'), null);
+    // Sharing a public suffix doesn't make two sites one
+    assert.equal(declaredCanonical('https://alice.co.uk/a', 'https://bob.co.uk/a'), null);
+    assert.equal(declaredCanonical('https://alice.github.io/post', 'https://bob.github.io/post'), null);
+    assert.equal(declaredCanonical('http://203.0.113.5/a', 'http://203.0.113.6/a'), null);
+  });
+
+  it('ignores a home page declared by a deeper page, and anything not http(s)', () => {
+    assert.equal(declaredCanonical('https://example.com/deep/page', '/'), null);
+    assert.equal(declaredCanonical('https://example.com/', '/'), 'https://example.com/');
+    assert.equal(declaredCanonical('https://example.com/a', 'javascript:alert(1)'), null);
+    assert.equal(declaredCanonical('https://example.com/a', ''), null);
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createWebhookDispatcher, generateSecret, sign } = require('../lib/webhooks');
+const { parseFilter, matchesFilter } = require('../lib/events');
+const { startServer } = require('./helpers/server');
+
+// Lets the test receiver on 127.0.0.1 through; lib/ssrf.js has its own tests
+const openGuard = { assertPublicHttpUrl: url => new URL(url) };
+
+const event = { id: 7, type: 'created', key: 'notes', version: 1, tags: ['Docs'], storedBy: 'alice', at: '2026-03-01T00:00:00.000Z' };
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let base;
+  const received = [];
+  // Status for each request to a path, in turn (200 once they run out)
+  const replies = {};
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        const status = (replies[req.url] || []).shift() || 200;
+        res.writeHead(status, status === 302 ? { Location: '/elsewhere' } : {});
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  after(() => new Promise(resolve => receiver.close(resolve)));
+
+  // Delivers `event` to `path` and resolves to the reported outcome
+  function deliver(path, options = {}) {
+    return new Promise(resolve => {
+      const dispatcher = createWebhookDispatcher({
+        guard: openGuard, userAgent: 'test', backoffMs: 5, ...options, onResult: (s, result) => resolve(result)
+      });
+      dispatcher.deliver({ id: 'sub', url: base + path, secret: 'whsec_test' }, event);
+    });
+  }
+
+  it('POSTs the event signed with the subscription secret', async () => {
+    const result = await deliver('/signed');
+    assert.deepEqual([result.status, result.attempts, result.eventId], [200, 1, 7]);
+
+    const [request] = received.filter(r => r.path === '/signed');
+    assert.deepEqual(JSON.parse(request.body), event);
+    assert.equal(request.headers['x-sharedmemory-event'], 'created');
+    assert.ok(request.headers['x-sharedmemory-delivery']);
+    const [, t, v1] = request.headers['x-sharedmemory-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    assert.ok(Math.abs(Number(t) - Date.now() / 1000) < 60);
+    assert.equal(v1, sign('whsec_test', t, request.body));
+    assert.notEqual(v1, sign('whsec_other', t, request.body));
+    assert.notEqual(v1, sign('whsec_test', t, request.body + ' '));
+  });
+
+  it('retries transient failures under the same delivery id', async () => {
+    replies['/flaky'] = [503, 429];
+    const result = await deliver('/flaky');
+    assert.deepEqual([result.status, result.attempts], [200, 3]);
+    const ids = received.filter(r => r.path === '/flaky').map(r => r.headers['x-sharedmemory-delivery']);
+    assert.equal(ids.length, 3);
+    assert.equal(new Set(ids).size, 1);
+  });
+
+  it('gives up after the last retry', async () => {
+    replies['/down'] = [500, 500, 500];
+    const result = await deliver('/down', { retries: 2 });
+    assert.deepEqual([result.status, result.error, result.attempts], [500, 'HTTP 500', 3]);
+  });
+
+  it('fails other statuses and redirects at once, without following them', async () => {
+    replies['/gone'] = [410];
+    replies['/moved'] = [302];
+    const gone = await deliver('/gone');
+    assert.deepEqual([gone.status, gone.attempts], [410, 1]);
+    const moved = await deliver('/moved');
+    assert.deepEqual([moved.error, moved.attempts], ['HTTP 302', 1]);
+    assert.equal(received.filter(r => r.path === '/elsewhere').length, 0);
+  });
+
+  it('fails a delivery the guard refuses without sending it', async () => {
+    const sent = received.length;
+    const refusing = { assertPublicHttpUrl: () => { throw new Error('private address'); } };
+    const result = await deliver('/private', { guard: refusing });
+    assert.deepEqual([result.error, result.attempts], ['private address', 1]);
+    assert.equal(received.length, sent);
+  });
+
+  it('drops events once maxPending deliveries are outstanding', () => {
+    const dispatcher = createWebhookDispatcher({ guard: openGuard, userAgent: 'test', maxPending: 1 });
+    const subscription = { id: 'sub', url: base + '/backlog', secret: 'whsec_test' };
+    assert.equal(dispatcher.deliver(subscription, event), true);
+    assert.equal(dispatcher.deliver(subscription, event), false);
+    assert.equal(dispatcher.pending(), 1);
+  });
+
+  it('makes a fresh secret for every subscription', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^whsec_[\w-]{32}$/);
+    assert.notEqual(generateSecret(), secret);
+  });
+});
+
+describe('change feed filters', () => {
+  it('matches on type, agent, key prefix and any tag', () => {
+    assert.equal(matchesFilter(event, parseFilter({})), true);
+    assert.equal(matchesFilter(event, parseFilter({ types: 'created,deleted' })), true);
+    assert.equal(matchesFilter(event, parseFilter({ types: ['updated'] })), false);
+    assert.equal(matchesFilter(event, parseFilter({ tags: 'docs,misc' })), true);
+    assert.equal(matchesFilter(event, parseFilter({ tags: 'misc' })), false);
+    assert.equal(matchesFilter(event, parseFilter({ agent: 'bob' })), false);
+    assert.equal(matchesFilter(event, parseFilter({ prefix: 'no', agent: 'alice' })), true);
+  });
+
+  it('refuses unknown event types', () => {
+    assert.throws(() => parseFilter({ types: 'created,renamed' }), /Unknown event type: renamed/);
+  });
+});
+
+describe('webhook subscriptions', () => {
+  let server;
+  const keys = {};
+
+  before(async () => {
+    server = await startServer({ MAX_WEBHOOKS_PER_AGENT: '2' });
+    for (const agent of ['alice', 'bob']) keys[agent] = await server.register(agent);
+  });
+
+  after(() => server.stop());
+
+  const subscribe = (agent, body) => server.request('POST', '/api/agents/webhooks', { key: keys[agent], body });
+  const listed = async agent => (await server.request('GET', '/api/agents/webhooks', { key: keys[agent] })).body.webhooks;
+
+  it('returns the signing secret once, with the filter it parsed', async () => {
+    const res = await subscribe('alice', { url: 'https://hooks.example/in', types: 'created', tags: 'Docs' });
+    assert.equal(res.status, 201);
+    assert.match(res.body.webhook.secret, /^whsec_/);
+    assert.deepEqual(res.body.webhook.filter, { types: ['created'], tags: ['docs'] });
+
+    const [webhook] = await listed('alice');
+    assert.equal(webhook.id, res.body.webhook.id);
+    assert.equal(webhook.secret, undefined);
+    assert.deepEqual(await listed('bob'), []);
+  });
+
+  it('refuses private URLs, bad filters and more than MAX_WEBHOOKS_PER_AGENT', async () => {
+    assert.equal((await subscribe('bob', { url: 'http://127.0.0.1:9/' })).status, 400);
+    assert.equal((await subscribe('bob', { url: 'https://hooks.example/', types: 'renamed' })).status, 400);
+    assert.equal((await subscribe('bob', { url: 'https://hooks.example/1' })).status, 201);
+    assert.equal((await subscribe('bob', { url: 'https://hooks.example/2' })).status, 201);
+    assert.equal((await subscribe('bob', { url: 'https://hooks.example/3' })).status, 409);
+  });
+
+  it('lets an agent remove only its own webhooks', async () => {
+    const [webhook] = await listed('alice');
+    const path = `/api/agents/webhooks/${webhook.id}`;
+    assert.equal((await server.request('DELETE', path, { key: keys.bob })).status, 404);
+    assert.equal((await server.request('DELETE', path, { key: keys.alice })).status, 200);
+    assert.deepEqual(await listed('alice'), []);
+  });
+});